@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Payment Webhook Simulator
+ *
+ * Acts as the mock payment provider calling the payments webhook, so a payment can be settled
+ * or declined by hand instead of waiting for MOCK_SETTLEMENT_SECONDS. Intents are the
+ * payment_gateway_id of a pending transaction, e.g. one paid with the mock_delayed method.
+ * The webhook is signed with MOCK_WEBHOOK_SECRET, which must match the server's.
+ *
+ * Usage: node payment-simulator.js <intentId> [succeeded|failed]
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const MockProvider = require('./src/services/payments/mockProvider');
+
+const BASE_URL = process.env.API_BASE_URL || 'http://localhost:5000';
+const EVENT_TYPES = { succeeded: 'payment.succeeded', failed: 'payment.failed' };
+
+// Sends one signed event and prints what the server did with it
+async function sendEvent(intentId, outcome) {
+  const provider = new MockProvider();
+  const body = JSON.stringify({
+    id: `mock_evt_${crypto.randomBytes(6).toString('hex')}`,
+    type: EVENT_TYPES[outcome],
+    data: {
+      intentId,
+      failureReason: outcome === 'failed' ? 'Card declined (simulated)' : null
+    }
+  });
+
+  try {
+    const response = await fetch(`${BASE_URL}/api/payments/webhooks/mock`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [provider.signatureHeader]: provider.signPayload(body)
+      },
+      body
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.log(`❌ ${intentId}: webhook refused (${response.status}) - ${data.error}`);
+      return false;
+    }
+
+    if (!data.transactionId) {
+      console.log(`⚠️  ${intentId}: no transaction has this payment intent`);
+      return false;
+    }
+
+    console.log(`✅ ${intentId}: transaction ${data.transactionId} is ${data.status}`);
+    return true;
+  } catch (error) {
+    console.log(`❌ ${intentId}: could not reach ${BASE_URL} - ${error.message}`);
+    return false;
+  }
+}
+
+async function main() {
+  const [intentId, outcome = 'succeeded'] = process.argv.slice(2);
+
+  if (!intentId || !EVENT_TYPES[outcome]) {
+    console.error('Usage: node payment-simulator.js <intentId> [succeeded|failed]');
+    process.exit(1);
+  }
+
+  console.log(`💳 Sending mock payment ${outcome} webhook to ${BASE_URL}\n`);
+
+  const ok = await sendEvent(intentId, outcome);
+  process.exitCode = ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { sendEvent };
\ No newline at end of file
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * RFID Door Reader Simulator
+ *
+ * Acts as a door reader against the access-control API so card taps can be tested without
+ * hardware. Register a device first (POST /api/access/devices) and use the ID and API key it
+ * returns.
+ *
+ * Usage:
+ *   ACCESS_DEVICE_ID=<id> ACCESS_DEVICE_KEY=<key> node rfid-simulator.js [cardUid ...]
+ *
+ * With card UIDs on the command line each one is tapped once; without, UIDs are read from the
+ * prompt until an empty line or Ctrl+D.
+ */
+
+const readline = require('readline');
+
+const BASE_URL = process.env.API_BASE_URL || 'http://localhost:5000';
+const DEVICE_ID = process.env.ACCESS_DEVICE_ID;
+const DEVICE_KEY = process.env.ACCESS_DEVICE_KEY;
+
+// Sends one card tap and prints what the door would do
+async function tap(cardUid) {
+  try {
+    const response = await fetch(`${BASE_URL}/api/access/verify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Device-Id': DEVICE_ID,
+        'X-Device-Key': DEVICE_KEY
+      },
+      body: JSON.stringify({ cardUid })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.log(`❌ ${cardUid}: reader error ${response.status} - ${data.error}`);
+      return false;
+    }
+
+    if (data.decision === 'allow') {
+      console.log(`🟢 ${cardUid}: door unlocked (${data.reason}) - ${data.message}`);
+    } else {
+      console.log(`🔴 ${cardUid}: access denied (${data.reason}) - ${data.message}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.log(`❌ ${cardUid}: could not reach ${BASE_URL} - ${error.message}`);
+    return false;
+  }
+}
+
+async function runInteractive() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const prompt = () => new Promise((resolve) => rl.question('Tap card (UID): ', resolve));
+
+  let cardUid = await prompt();
+  while (cardUid && cardUid.trim()) {
+    await tap(cardUid.trim());
+    cardUid = await prompt();
+  }
+
+  rl.close();
+}
+
+async function main() {
+  if (!DEVICE_ID || !DEVICE_KEY) {
+    console.error('Set ACCESS_DEVICE_ID and ACCESS_DEVICE_KEY to the device registered for this reader.');
+    process.exit(1);
+  }
+
+  console.log(`📟 Simulating reader ${DEVICE_ID} against ${BASE_URL}\n`);
+
+  const cardUids = process.argv.slice(2);
+  if (cardUids.length === 0) {
+    await runInteractive();
+    return;
+  }
+
+  let failed = false;
+  for (const cardUid of cardUids) {
+    const ok = await tap(cardUid);
+    failed = failed || !ok;
+  }
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { tap };
\ No newline at end of file
@@ -4,11 +4,18 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { pool } = require('./database/connection');
+const { scheduleMembershipJobs } = require('./services/membershipJobs');
+const { scheduleBookingJobs } = require('./services/bookingJobs');
+const { schedulePaymentJobs } = require('./services/paymentJobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const bookingRoutes = require('./routes/bookings');
 const facilityRoutes = require('./routes/facilities');
+const membershipRoutes = require('./routes/memberships');
+const checkInRoutes = require('./routes/checkIns');
+const accessRoutes = require('./routes/access');
+const paymentRoutes = require('./routes/payments');
 
 const app = express();
 
@@ -32,11 +39,20 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Door readers call on every card tap and authenticate with their own key, and payment
+  // providers sign their webhooks
+  skip: (req) => req.path === '/api/access/verify' || req.path.startsWith('/api/payments/webhooks/'),
 });
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Webhook signatures are checked against the body exactly as it was sent
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Enhanced request logging middleware
@@ -58,6 +74,10 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/facilities', facilityRoutes);
+app.use('/api/memberships', membershipRoutes);
+app.use('/api/check-ins', checkInRoutes);
+app.use('/api/access', accessRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -159,6 +179,22 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🗄️  Database health: http://localhost:${PORT}/api/health/db`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Listening on: 0.0.0.0:${PORT} (IPv4)`);
+
+  // Background jobs
+  if (process.env.MEMBERSHIP_JOBS_ENABLED !== 'false') {
+    scheduleMembershipJobs();
+    console.log('⏰ Membership expiry/renewal job scheduled');
+  }
+
+  if (process.env.BOOKING_JOBS_ENABLED !== 'false') {
+    scheduleBookingJobs();
+    console.log('⏰ Booking completion and waitlist job scheduled');
+  }
+
+  if (process.env.PAYMENT_JOBS_ENABLED !== 'false') {
+    schedulePaymentJobs();
+    console.log(`⏰ Payment job scheduled (${process.env.PAYMENT_PROVIDER || 'mock'} provider)`);
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,170 @@
+const Joi = require('joi');
+const AccessCredential = require('../models/AccessCredential');
+const AccessDevice = require('../models/AccessDevice');
+const AccessEvent = require('../models/AccessEvent');
+
+const credentialSchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+  cardUid: Joi.string().pattern(/^[0-9A-Fa-f:\s-]{4,64}$/).required(),
+  label: Joi.string().max(100).optional()
+});
+
+const deviceSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  facilityId: Joi.string().uuid().allow(null).default(null)
+});
+
+const verifySchema = Joi.object({
+  cardUid: Joi.string().pattern(/^[0-9A-Fa-f:\s-]{4,64}$/).required()
+});
+
+const eventFiltersSchema = Joi.object({
+  deviceId: Joi.string().uuid(),
+  userId: Joi.string().uuid(),
+  decision: Joi.string().valid('allow', 'deny'),
+  date: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+class AccessController {
+  static async registerCredential(req, res) {
+    try {
+      const { error, value } = credentialSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const credential = await AccessCredential.register(value, req.user.id);
+
+      res.status(201).json({
+        message: 'Card registered successfully',
+        credential
+      });
+    } catch (error) {
+      console.error('Register credential error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async getCredentials(req, res) {
+    try {
+      const credentials = await AccessCredential.getAll({
+        userId: req.query.userId,
+        status: req.query.status
+      });
+
+      res.json({ credentials });
+    } catch (error) {
+      console.error('Get credentials error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async revokeCredential(req, res) {
+    try {
+      const credential = await AccessCredential.revoke(req.params.id, req.user.id);
+      if (!credential) {
+        return res.status(404).json({ error: 'Active card not found.' });
+      }
+
+      res.json({
+        message: 'Card revoked successfully',
+        credential
+      });
+    } catch (error) {
+      console.error('Revoke credential error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async createDevice(req, res) {
+    try {
+      const { error, value } = deviceSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const device = await AccessDevice.create(value, req.user.id);
+
+      res.status(201).json({
+        message: 'Device registered successfully. Store the API key now; it cannot be shown again.',
+        device
+      });
+    } catch (error) {
+      console.error('Create device error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async getDevices(req, res) {
+    try {
+      const devices = await AccessDevice.getAll();
+      res.json({ devices });
+    } catch (error) {
+      console.error('Get devices error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async updateDeviceStatus(req, res) {
+    try {
+      const { status } = req.body;
+      if (!['active', 'disabled'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be active or disabled.' });
+      }
+
+      const device = await AccessDevice.updateStatus(req.params.id, status, req.user.id);
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found.' });
+      }
+
+      res.json({
+        message: 'Device status updated successfully',
+        device
+      });
+    } catch (error) {
+      console.error('Update device status error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getEvents(req, res) {
+    try {
+      const { error, value } = eventFiltersSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const events = await AccessEvent.getAll(value);
+      res.json({ events });
+    } catch (error) {
+      console.error('Get access events error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Called by door readers; the decision is logged before it is returned
+  static async verify(req, res) {
+    try {
+      const { error, value } = verifySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const event = await AccessEvent.verify(req.device, value.cardUid);
+
+      res.json({
+        decision: event.decision,
+        reason: event.reason,
+        message: event.message,
+        eventId: event.id,
+        bookingId: event.booking_id
+      });
+    } catch (error) {
+      console.error('Access verify error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = AccessController;
\ No newline at end of file
@@ -1,12 +1,73 @@
 const Joi = require('joi');
 const Booking = require('../models/Booking');
+const BookingGuest = require('../models/BookingGuest');
+const BookingSeries = require('../models/BookingSeries');
+const BookingStrike = require('../models/BookingStrike');
+const BookingWaitlist = require('../models/BookingWaitlist');
+const Membership = require('../models/Membership');
+const PricingRule = require('../models/PricingRule');
+const Payment = require('../models/Payment');
+const { MAX_OCCURRENCES, parseRule } = require('../utils/recurrence');
+const { clubDate, clubDayRange } = require('../utils/clubTime');
+const { isRuleError } = require('../utils/ruleError');
 const moment = require('moment');
 
+const SERIES_SCOPES = ['single', 'following', 'series'];
+
+const guestSchema = Joi.object({
+  name: Joi.string().min(2).max(200).required(),
+  email: Joi.string().email().optional(),
+  phone: Joi.string().max(20).optional()
+});
+
 const bookingSchema = Joi.object({
   facilityId: Joi.string().uuid().required(),
   startTime: Joi.date().iso().min('now').required(),
   endTime: Joi.date().iso().min(Joi.ref('startTime')).required(),
-  notes: Joi.string().max(500).optional()
+  notes: Joi.string().max(500).optional(),
+  guests: Joi.array().items(guestSchema).max(10).default([])
+});
+
+const quoteSchema = Joi.object({
+  facilityId: Joi.string().uuid().required(),
+  startTime: Joi.date().iso().required(),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required(),
+  guests: Joi.number().integer().min(0).max(10).default(0)
+}).custom((quote, helpers) => {
+  if (moment(quote.endTime).diff(moment(quote.startTime), 'hours', true) > 24) {
+    return helpers.message('"endTime" must be within 24 hours of "startTime"');
+  }
+
+  return quote;
+});
+
+const seriesSchema = Joi.object({
+  facilityId: Joi.string().uuid().required(),
+  startTime: Joi.date().iso().min('now').required(),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required(),
+  notes: Joi.string().max(500).optional(),
+  pattern: Joi.string().valid('weekly', 'biweekly', 'custom').required(),
+  rule: Joi.string().max(255).when('pattern', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+  until: Joi.date().iso().min(Joi.ref('startTime')).optional(),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES).optional(),
+  skipConflicts: Joi.boolean().default(false)
+});
+
+const editBookingSchema = Joi.object({
+  startTime: Joi.date().iso().min('now'),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')),
+  notes: Joi.string().max(500).allow(''),
+  scope: Joi.string().valid(...SERIES_SCOPES).default('single')
+}).and('startTime', 'endTime').or('startTime', 'notes');
+
+const waitlistSchema = Joi.object({
+  facilityId: Joi.string().uuid().required(),
+  startTime: Joi.date().iso().min('now').required(),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required()
+});
+
+const addGuestsSchema = Joi.object({
+  guests: Joi.array().items(guestSchema).min(1).max(10).required()
 });
 
 const updateBookingSchema = Joi.object({
@@ -14,6 +75,46 @@ const updateBookingSchema = Joi.object({
   notes: Joi.string().max(500).optional()
 });
 
+// weekly and biweekly are shorthands; custom takes an RRULE-style string. until/count override the rule.
+function buildRecurrenceRule({ pattern, rule, until, count }) {
+  const recurrence = pattern === 'custom'
+    ? parseRule(rule)
+    : { freq: 'WEEKLY', interval: pattern === 'biweekly' ? 2 : 1, byDay: [], count: null, until: null };
+
+  if (until) {
+    // A calendar date; kept in UTC so formatting it cannot shift it to the day before
+    recurrence.until = moment.utc(until);
+  }
+  if (count) {
+    recurrence.count = count;
+  }
+
+  return recurrence;
+}
+
+function seriesRequest(value, userId) {
+  return {
+    userId,
+    facilityId: value.facilityId,
+    startTime: moment(value.startTime).toISOString(),
+    endTime: moment(value.endTime).toISOString(),
+    notes: value.notes,
+    rule: buildRecurrenceRule(value),
+    skipConflicts: value.skipConflicts
+  };
+}
+
+// The cancellation has already been saved; the booking job picks up any slot that fails here
+async function offerFreedSlots(bookings) {
+  for (const booking of bookings) {
+    try {
+      await BookingWaitlist.offerSlot(booking.facility_id, booking.start_time, booking.end_time);
+    } catch (error) {
+      console.error(`Waitlist offer error for booking ${booking.id}:`, error);
+    }
+  }
+}
+
 class BookingController {
   static async createBooking(req, res) {
     try {
@@ -22,7 +123,7 @@ class BookingController {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { facilityId, startTime, endTime, notes } = value;
+      const { facilityId, startTime, endTime, notes, guests } = value;
       const userId = req.user.id;
 
       const booking = await Booking.create({
@@ -30,16 +131,51 @@ class BookingController {
         facilityId,
         startTime: moment(startTime).toISOString(),
         endTime: moment(endTime).toISOString(),
-        notes
+        notes,
+        guests
       });
 
+      // Charge the booking straight away; the payment job retries anything left pending
+      const transactions = await Payment.processFor({ bookingId: booking.id });
+
       res.status(201).json({
         message: 'Booking created successfully',
-        booking
+        booking,
+        transactions
       });
     } catch (error) {
       console.error('Create booking error:', error);
-      res.status(400).json({ error: error.message });
+      if (isRuleError(error)) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // The price of a slot before booking it; the slot itself is only checked when booking
+  static async getQuote(req, res) {
+    try {
+      const { error, value } = quoteSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const quote = await PricingRule.quote({
+        userId: req.user.id,
+        facilityId: value.facilityId,
+        startTime: moment(value.startTime).toISOString(),
+        endTime: moment(value.endTime).toISOString(),
+        guests: value.guests
+      });
+
+      if (!quote) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      res.json({ quote });
+    } catch (error) {
+      console.error('Get booking quote error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   }
 
@@ -56,8 +192,8 @@ class BookingController {
 
       const filters = {
         status,
-        startDate: startDate ? moment(startDate).startOf('day').toISOString() : undefined,
-        endDate: endDate ? moment(endDate).endOf('day').toISOString() : undefined,
+        startDate: startDate ? clubDayRange(startDate).start : undefined,
+        endDate: endDate ? clubDayRange(endDate).end : undefined,
         limit: parseInt(limit),
         offset: (parseInt(page) - 1) * parseInt(limit)
       };
@@ -109,22 +245,403 @@ class BookingController {
     try {
       const { id } = req.params;
       const userId = req.user.id;
+      const scope = req.query.scope || 'single';
+      const acceptFee = req.query.acceptFee === 'true';
 
-      const booking = await Booking.cancel(id, userId);
-      if (!booking) {
+      if (!SERIES_SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `Scope must be one of: ${SERIES_SCOPES.join(', ')}.` });
+      }
+
+      if (scope !== 'single') {
+        const result = await BookingSeries.cancel(id, userId, scope, { acceptFee });
+        if (!result) {
+          return res.status(404).json({ error: 'Booking not found or cannot be cancelled.' });
+        }
+
+        await offerFreedSlots(result.bookings);
+
+        return res.json({
+          message: `${result.bookings.length} bookings cancelled successfully`,
+          ...result
+        });
+      }
+
+      const result = await Booking.cancel(id, userId, { acceptFee });
+      if (!result) {
         return res.status(404).json({ error: 'Booking not found or cannot be cancelled.' });
       }
 
+      await offerFreedSlots([result.booking]);
+
       res.json({
         message: 'Booking cancelled successfully',
-        booking
+        ...result
       });
     } catch (error) {
+      if (error.quote) {
+        return res.status(409).json({ error: error.message, requiresConfirmation: true, quote: error.quote });
+      }
       console.error('Cancel booking error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 
+  static async getCancellationQuote(req, res) {
+    try {
+      const quote = await Booking.getCancellationQuote(req.params.id, req.user.id);
+      if (!quote) {
+        return res.status(404).json({ error: 'Booking not found or cannot be cancelled.' });
+      }
+
+      res.json({ quote });
+    } catch (error) {
+      console.error('Get cancellation quote error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async updateBooking(req, res) {
+    try {
+      const { error, value } = editBookingSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { id } = req.params;
+      const changes = {
+        startTime: value.startTime ? moment(value.startTime).toISOString() : undefined,
+        endTime: value.endTime ? moment(value.endTime).toISOString() : undefined,
+        notes: value.notes
+      };
+
+      if (value.scope === 'single' && changes.startTime) {
+        const result = await Booking.reschedule(id, req.user.id, changes);
+        if (!result) {
+          return res.status(404).json({ error: 'Booking not found or cannot be rescheduled.' });
+        }
+
+        // The old slot is free now
+        await offerFreedSlots([result.previous]);
+
+        return res.json({
+          message: 'Booking rescheduled successfully',
+          booking: result.booking,
+          previous: {
+            startTime: result.previous.start_time,
+            endTime: result.previous.end_time
+          }
+        });
+      }
+
+      const bookings = await BookingSeries.update(id, req.user.id, { ...changes, scope: value.scope });
+
+      if (!bookings) {
+        return res.status(404).json({ error: 'Booking not found or cannot be changed.' });
+      }
+
+      res.json({
+        message: 'Booking updated successfully',
+        bookings
+      });
+    } catch (error) {
+      console.error('Update booking error:', error);
+      if (error.conflicts) {
+        return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+      }
+      if (isRuleError(error)) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getBookingHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const booking = await Booking.findById(id);
+      const isStaff = req.user.role === 'admin' || req.user.role === 'staff';
+      if (!booking || (!isStaff && booking.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Booking not found.' });
+      }
+
+      const entries = await Booking.getHistory(id);
+      const history = entries.map(entry => {
+        const changes = {};
+        if (entry.operation === 'UPDATE') {
+          for (const [field, newValue] of Object.entries(entry.new_data)) {
+            const oldValue = entry.old_data[field];
+            if (field !== 'updated_at' && JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+              changes[field] = { from: oldValue, to: newValue };
+            }
+          }
+        }
+
+        return {
+          operation: entry.operation,
+          timestamp: entry.timestamp,
+          changedBy: entry.user_id
+            ? { id: entry.user_id, name: `${entry.first_name} ${entry.last_name}` }
+            : null,
+          changes
+        };
+      });
+
+      res.json({ history });
+    } catch (error) {
+      console.error('Get booking history error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async previewSeries(req, res) {
+    try {
+      const { error, value } = seriesSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const occurrences = await BookingSeries.preview(seriesRequest(value, req.user.id));
+
+      res.json({
+        occurrences,
+        available: occurrences.filter(occurrence => occurrence.available).length,
+        conflicts: occurrences.filter(occurrence => !occurrence.available).length
+      });
+    } catch (error) {
+      console.error('Preview booking series error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async createSeries(req, res) {
+    try {
+      const { error, value } = seriesSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { series, bookings, conflicts } = await BookingSeries.create(seriesRequest(value, req.user.id));
+
+      res.status(201).json({
+        message: 'Booking series created successfully',
+        series,
+        bookings,
+        conflicts
+      });
+    } catch (error) {
+      console.error('Create booking series error:', error);
+      if (error.conflicts) {
+        return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+      }
+      if (isRuleError(error)) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getSeries(req, res) {
+    try {
+      const { seriesId } = req.params;
+
+      const series = await BookingSeries.findById(seriesId);
+      const isStaff = req.user.role === 'admin' || req.user.role === 'staff';
+      if (!series || (!isStaff && series.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Booking series not found.' });
+      }
+
+      res.json({ series });
+    } catch (error) {
+      console.error('Get booking series error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async joinWaitlist(req, res) {
+    try {
+      const { error, value } = waitlistSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const userId = req.user.id;
+      const membership = await Membership.getActiveMembership(userId);
+      if (!membership) {
+        return res.status(400).json({ error: 'Active membership required to join the waitlist.' });
+      }
+
+      const entry = await BookingWaitlist.join({
+        userId,
+        facilityId: value.facilityId,
+        startTime: moment(value.startTime).toISOString(),
+        endTime: moment(value.endTime).toISOString()
+      });
+
+      res.status(201).json({
+        message: `Added to the waitlist at position ${entry.position}`,
+        entry
+      });
+    } catch (error) {
+      console.error('Join waitlist error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async getWaitlist(req, res) {
+    try {
+      const entries = await BookingWaitlist.findByUserId(req.user.id);
+      res.json({ entries });
+    } catch (error) {
+      console.error('Get waitlist error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async claimWaitlistOffer(req, res) {
+    try {
+      const { entryId } = req.params;
+
+      const booking = await BookingWaitlist.claim(entryId, req.user.id);
+      if (!booking) {
+        return res.status(404).json({ error: 'No open offer found for this waitlist entry.' });
+      }
+
+      res.status(201).json({
+        message: 'Waitlisted slot claimed successfully',
+        booking
+      });
+    } catch (error) {
+      console.error('Claim waitlist offer error:', error);
+      if (isRuleError(error)) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async leaveWaitlist(req, res) {
+    try {
+      const { entryId } = req.params;
+
+      const entry = await BookingWaitlist.leave(entryId, req.user.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Waitlist entry not found.' });
+      }
+
+      // A declined offer goes to the next person in line
+      if (entry.status === 'offered') {
+        await offerFreedSlots([entry]);
+      }
+
+      res.json({ message: 'Removed from the waitlist' });
+    } catch (error) {
+      console.error('Leave waitlist error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getGuests(req, res) {
+    try {
+      const { id } = req.params;
+
+      const booking = await Booking.findById(id);
+      const isStaff = req.user.role === 'admin' || req.user.role === 'staff';
+      if (!booking || (!isStaff && booking.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Booking not found.' });
+      }
+
+      const guests = await BookingGuest.findByBookingId(id);
+      res.json({ guests });
+    } catch (error) {
+      console.error('Get booking guests error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async addGuests(req, res) {
+    try {
+      const { error, value } = addGuestsSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { id } = req.params;
+      const guests = await BookingGuest.add(id, req.user.id, value.guests);
+
+      res.status(201).json({
+        message: 'Guests added successfully',
+        guests
+      });
+    } catch (error) {
+      console.error('Add booking guests error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async removeGuest(req, res) {
+    try {
+      const { id, guestId } = req.params;
+
+      const booking = await Booking.findById(id);
+      if (!booking || booking.user_id !== req.user.id) {
+        return res.status(404).json({ error: 'Booking not found.' });
+      }
+
+      const guest = await BookingGuest.cancel(guestId, id);
+      if (!guest) {
+        return res.status(404).json({ error: 'Guest not found or cannot be removed.' });
+      }
+
+      res.json({
+        message: 'Guest removed successfully',
+        guest
+      });
+    } catch (error) {
+      console.error('Remove booking guest error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getGuestPassUsage(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const membership = await Membership.getActiveMembership(userId);
+      if (!membership) {
+        return res.status(404).json({ error: 'No active membership found.' });
+      }
+
+      const usage = await BookingGuest.getUsage(userId);
+      const passesUsed = parseInt(usage.passes_used);
+
+      res.json({
+        month: moment().format('YYYY-MM'),
+        guestPassesPerMonth: membership.guest_passes_per_month,
+        guestPassesUsed: passesUsed,
+        guestPassesRemaining: Math.max(membership.guest_passes_per_month - passesUsed, 0),
+        guestFee: membership.guest_fee,
+        guestsThisMonth: parseInt(usage.guests),
+        guestFeesThisMonth: usage.fees
+      });
+    } catch (error) {
+      console.error('Get guest pass usage error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getExpectedGuests(req, res) {
+    try {
+      const date = req.query.date || clubDate();
+
+      const guests = await BookingGuest.getExpectedGuests(date);
+      res.json({ date, guests });
+    } catch (error) {
+      console.error('Get expected guests error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   static async getFacilityAvailability(req, res) {
     try {
       const { facilityId } = req.params;
@@ -182,8 +699,8 @@ class BookingController {
         status,
         facilityId,
         userId,
-        startDate: startDate ? moment(startDate).startOf('day').toISOString() : undefined,
-        endDate: endDate ? moment(endDate).endOf('day').toISOString() : undefined,
+        startDate: startDate ? clubDayRange(startDate).start : undefined,
+        endDate: endDate ? clubDayRange(endDate).end : undefined,
         limit: parseInt(limit),
         offset: (parseInt(page) - 1) * parseInt(limit)
       };
@@ -224,6 +741,15 @@ class BookingController {
       }
 
       const updatedBooking = await Booking.updateStatus(id, status);
+      if (status === 'cancelled' && booking.status !== 'cancelled') {
+        await offerFreedSlots([updatedBooking]);
+      }
+      if (status === 'no_show' && booking.status !== 'no_show') {
+        await BookingStrike.recordForStaff(updatedBooking, req.user.id);
+      }
+      if (status && status !== 'no_show' && booking.status === 'no_show') {
+        await BookingStrike.removeForStaff(updatedBooking, req.user.id);
+      }
       if (notes) {
         // Update notes if provided
         await Booking.updateNotes(id, notes);
@@ -239,6 +765,60 @@ class BookingController {
     }
   }
 
+  static async getStrikes(req, res) {
+    try {
+      const standing = await BookingStrike.getStanding(req.user.id);
+      res.json(standing);
+    } catch (error) {
+      console.error('Get strikes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getUserStrikes(req, res) {
+    try {
+      const standing = await BookingStrike.getStanding(req.params.userId);
+      res.json(standing);
+    } catch (error) {
+      console.error('Get user strikes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async waiveStrike(req, res) {
+    try {
+      const strike = await BookingStrike.waive(req.params.strikeId, req.user.id);
+      if (!strike) {
+        return res.status(404).json({ error: 'Strike not found or already waived.' });
+      }
+
+      res.json({
+        message: 'Strike waived successfully',
+        strike
+      });
+    } catch (error) {
+      console.error('Waive strike error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async liftSuspension(req, res) {
+    try {
+      const suspension = await BookingStrike.liftSuspension(req.params.suspensionId, req.user.id);
+      if (!suspension) {
+        return res.status(404).json({ error: 'Active suspension not found.' });
+      }
+
+      res.json({
+        message: 'Suspension lifted successfully',
+        suspension
+      });
+    } catch (error) {
+      console.error('Lift suspension error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   static async getBookingStats(req, res) {
     try {
       if (req.user.role !== 'admin' && req.user.role !== 'staff') {
@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const CheckIn = require('../models/CheckIn');
+
+const checkInSchema = Joi.object({
+  email: Joi.string().email(),
+  membershipNumber: Joi.string().max(20),
+  code: Joi.string().max(100),
+  facilityId: Joi.string().uuid().optional()
+}).xor('email', 'membershipNumber', 'code');
+
+// Which identifier the desk used, as stored in check_ins.method
+function checkInMethod(value) {
+  if (value.email) return 'email';
+  if (value.membershipNumber) return 'membership_number';
+  return 'code';
+}
+
+class CheckInController {
+  static async checkIn(req, res) {
+    try {
+      const { error, value } = checkInSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const checkIn = await CheckIn.checkIn({
+        identifier: value,
+        method: checkInMethod(value),
+        facilityId: value.facilityId,
+        staffId: req.user.id
+      });
+
+      if (!checkIn) {
+        return res.status(404).json({ error: 'Member not found.' });
+      }
+
+      res.status(201).json({
+        message: 'Member checked in successfully',
+        checkIn
+      });
+    } catch (error) {
+      console.error('Check-in error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async checkOut(req, res) {
+    try {
+      const checkIn = await CheckIn.checkOut(req.params.id, req.user.id);
+      if (!checkIn) {
+        return res.status(404).json({ error: 'Check-in not found or already checked out.' });
+      }
+
+      res.json({
+        message: 'Member checked out successfully',
+        checkIn
+      });
+    } catch (error) {
+      console.error('Check-out error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getOnSite(req, res) {
+    try {
+      const checkIns = await CheckIn.getOnSite({ facilityId: req.query.facilityId });
+      res.json({ checkIns, count: checkIns.length });
+    } catch (error) {
+      console.error('Get on-site members error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = CheckInController;
\ No newline at end of file
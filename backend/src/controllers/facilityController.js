@@ -1,18 +1,147 @@
 const Joi = require('joi');
 const Facility = require('../models/Facility');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const BlackoutDate = require('../models/BlackoutDate');
+const FacilityClosure = require('../models/FacilityClosure');
+const FacilitySchedule = require('../models/FacilitySchedule');
+const PricingRule = require('../models/PricingRule');
+const { PRICING_TYPES } = require('../utils/pricing');
 const moment = require('moment');
 
+// Facility settings without defaults, so an update only touches the keys that were sent
+const facilityFields = {
+  name: Joi.string().min(2).max(100),
+  type: Joi.string().min(2).max(50),
+  description: Joi.string().max(500),
+  capacity: Joi.number().integer().min(1),
+  location: Joi.string().max(100),
+  operatingHoursStart: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  operatingHoursEnd: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  bookingDurationMinutes: Joi.number().integer().min(15).max(480),
+  bookingBufferMinutes: Joi.number().integer().min(0).max(60),
+  bookingGranularityMinutes: Joi.number().integer().min(5).max(480).allow(null),
+  minBookingMinutes: Joi.number().integer().min(15).max(720).allow(null),
+  maxBookingMinutes: Joi.number().integer().min(15).max(720).allow(null),
+  bookingIncrementMinutes: Joi.number().integer().min(5).max(240).allow(null),
+  requiresSupervision: Joi.boolean(),
+  bookingMode: Joi.string().valid('exclusive', 'shared'),
+  freeCancelHours: Joi.number().integer().min(0).max(720).allow(null),
+  lateCancelFee: Joi.number().min(0).precision(2).allow(null),
+  lateCancelRefundPercent: Joi.number().integer().min(0).max(100).allow(null),
+  checkInRequired: Joi.boolean(),
+  bookingRequired: Joi.boolean()
+};
+
+const checkBookingLengths = (facility, helpers) => {
+  if (facility.minBookingMinutes && facility.maxBookingMinutes && facility.maxBookingMinutes < facility.minBookingMinutes) {
+    return helpers.message('"maxBookingMinutes" must be at least "minBookingMinutes"');
+  }
+
+  return facility;
+};
+
 const facilitySchema = Joi.object({
+  ...facilityFields,
+  name: facilityFields.name.required(),
+  type: facilityFields.type.required(),
+  capacity: facilityFields.capacity.when('bookingMode', { is: 'shared', then: Joi.required() }),
+  operatingHoursStart: facilityFields.operatingHoursStart.required(),
+  operatingHoursEnd: facilityFields.operatingHoursEnd.required(),
+  bookingDurationMinutes: facilityFields.bookingDurationMinutes.default(60),
+  bookingBufferMinutes: facilityFields.bookingBufferMinutes.default(15),
+  bookingGranularityMinutes: facilityFields.bookingGranularityMinutes.default(null),
+  minBookingMinutes: facilityFields.minBookingMinutes.default(null),
+  maxBookingMinutes: facilityFields.maxBookingMinutes.default(null),
+  bookingIncrementMinutes: facilityFields.bookingIncrementMinutes.default(null),
+  requiresSupervision: facilityFields.requiresSupervision.default(false),
+  bookingMode: facilityFields.bookingMode.default('exclusive'),
+  freeCancelHours: facilityFields.freeCancelHours.default(null),
+  lateCancelFee: facilityFields.lateCancelFee.default(null),
+  lateCancelRefundPercent: facilityFields.lateCancelRefundPercent.default(null),
+  checkInRequired: facilityFields.checkInRequired.default(false),
+  bookingRequired: facilityFields.bookingRequired.default(false)
+}).custom(checkBookingLengths);
+
+const updateFacilitySchema = Joi.object(facilityFields)
+  .min(1)
+  .messages({ 'object.min': 'Send at least one facility setting to change.' });
+
+const timeOfDay = Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/);
+
+// Times are stored as HH:mm:ss so they compare correctly as strings
+const toTimeOfDay = (time) => moment(time, 'H:mm').format('HH:mm:ss');
+
+const dayHoursSchema = Joi.object({
+  dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+  closed: Joi.boolean().default(false),
+  opensAt: timeOfDay.when('closed', { is: true, then: Joi.forbidden(), otherwise: Joi.required() }),
+  closesAt: timeOfDay.when('closed', { is: true, then: Joi.forbidden(), otherwise: Joi.required() })
+}).custom((day, helpers) => {
+  if (!day.closed && toTimeOfDay(day.closesAt) <= toTimeOfDay(day.opensAt)) {
+    return helpers.message('"closesAt" must be after "opensAt"');
+  }
+
+  return day.closed ? day : { ...day, opensAt: toTimeOfDay(day.opensAt), closesAt: toTimeOfDay(day.closesAt) };
+});
+
+const weeklyHoursSchema = Joi.object({
+  days: Joi.array().items(dayHoursSchema).unique('dayOfWeek').max(7).required()
+});
+
+const seasonSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+  days: Joi.array().items(dayHoursSchema).unique('dayOfWeek').min(1).max(7).required()
+});
+
+// A time window needs both ends; an end before the start runs past midnight
+const pricingRuleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  membershipTypeId: Joi.string().uuid().allow(null).default(null),
+  pricingType: Joi.string().valid(...PRICING_TYPES).required(),
+  memberRate: Joi.number().precision(2).min(0).default(0),
+  guestRate: Joi.number().precision(2).min(0).default(0),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).max(7).allow(null).default(null),
+  startsAt: timeOfDay.allow(null).default(null),
+  endsAt: timeOfDay.allow(null).default(null)
+}).custom((rule, helpers) => {
+  if ((rule.startsAt === null) !== (rule.endsAt === null)) {
+    return helpers.message('"startsAt" and "endsAt" must be given together');
+  }
+
+  if (rule.startsAt === null) {
+    return rule;
+  }
+
+  const startsAt = toTimeOfDay(rule.startsAt);
+  const endsAt = toTimeOfDay(rule.endsAt);
+  if (startsAt === endsAt) {
+    return helpers.message('"endsAt" must be different from "startsAt"');
+  }
+
+  return { ...rule, startsAt, endsAt };
+});
+
+const maintenanceWindowSchema = Joi.object({
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+  reason: Joi.string().max(255).optional(),
+  affectedBookings: Joi.string().valid('keep', 'cancel', 'relocate').default('keep')
+});
+
+const resolveClosureSchema = Joi.object({
+  action: Joi.string().valid('cancel', 'relocate').required()
+});
+
+function closureMessage(prefix, result) {
+  return `${prefix} ${result.cancelled.length} bookings cancelled, ${result.relocated.length} relocated.`;
+}
+
+const blackoutSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
-  type: Joi.string().min(2).max(50).required(),
-  description: Joi.string().max(500).optional(),
-  capacity: Joi.number().integer().min(1).optional(),
-  location: Joi.string().max(100).optional(),
-  operatingHoursStart: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-  operatingHoursEnd: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-  bookingDurationMinutes: Joi.number().integer().min(15).max(480).default(60),
-  bookingBufferMinutes: Joi.number().integer().min(0).max(60).default(15),
-  requiresSupervision: Joi.boolean().default(false)
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required()
 });
 
 class FacilityController {
@@ -92,11 +221,27 @@ class FacilityController {
   static async updateFacility(req, res) {
     try {
       const { id } = req.params;
-      const { error, value } = facilitySchema.validate(req.body);
+      const { error, value } = updateFacilitySchema.validate(req.body);
       if (error) {
         return res.status(400).json({ error: error.details[0].message });
       }
 
+      // Booking lengths and a shared capacity are checked against the stored settings they join
+      const current = await Facility.findById(id);
+      if (!current) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      const minBookingMinutes = value.minBookingMinutes !== undefined ? value.minBookingMinutes : current.min_booking_minutes;
+      const maxBookingMinutes = value.maxBookingMinutes !== undefined ? value.maxBookingMinutes : current.max_booking_minutes;
+      if (minBookingMinutes && maxBookingMinutes && maxBookingMinutes < minBookingMinutes) {
+        return res.status(400).json({ error: '"maxBookingMinutes" must be at least "minBookingMinutes"' });
+      }
+
+      if ((value.bookingMode || current.booking_mode) === 'shared' && !(value.capacity || current.capacity)) {
+        return res.status(400).json({ error: '"capacity" is required for shared facilities' });
+      }
+
       const facility = await Facility.update(id, value);
       if (!facility) {
         return res.status(404).json({ error: 'Facility not found.' });
@@ -194,6 +339,316 @@ class FacilityController {
     }
   }
 
+  static async getSchedule(req, res) {
+    try {
+      const schedule = await FacilitySchedule.getSchedule(req.params.id);
+      if (!schedule) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      res.json(schedule);
+    } catch (error) {
+      console.error('Get facility schedule error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async setWeeklyHours(req, res) {
+    try {
+      const { error, value } = weeklyHoursSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const hours = await FacilitySchedule.setWeeklyHours(req.params.id, value.days, req.user.id);
+      if (!hours) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      res.json({
+        message: 'Weekly hours updated successfully',
+        hours
+      });
+    } catch (error) {
+      console.error('Set weekly hours error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async createSeason(req, res) {
+    try {
+      const { error, value } = seasonSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const season = await FacilitySchedule.createSeason(req.params.id, {
+        name: value.name,
+        startDate: moment(value.startDate).format('YYYY-MM-DD'),
+        endDate: moment(value.endDate).format('YYYY-MM-DD'),
+        days: value.days
+      }, req.user.id);
+
+      if (!season) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      res.status(201).json({
+        message: 'Season created successfully',
+        season
+      });
+    } catch (error) {
+      console.error('Create season error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async deleteSeason(req, res) {
+    try {
+      const season = await FacilitySchedule.deleteSeason(req.params.id, req.params.seasonId, req.user.id);
+      if (!season) {
+        return res.status(404).json({ error: 'Season not found.' });
+      }
+
+      res.json({
+        message: 'Season deleted successfully',
+        season
+      });
+    } catch (error) {
+      console.error('Delete season error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getPricingRules(req, res) {
+    try {
+      const facility = await Facility.findById(req.params.id);
+      if (!facility) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      const rules = await PricingRule.findByFacilityId(req.params.id);
+      res.json({ rules });
+    } catch (error) {
+      console.error('Get pricing rules error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async createPricingRule(req, res) {
+    try {
+      const { error, value } = pricingRuleSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const rule = await PricingRule.create(req.params.id, value, req.user.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      res.status(201).json({
+        message: 'Pricing rule created successfully',
+        rule
+      });
+    } catch (error) {
+      if (error.code === '23503') {
+        return res.status(400).json({ error: 'Membership type not found.' });
+      }
+
+      console.error('Create pricing rule error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async deletePricingRule(req, res) {
+    try {
+      const rule = await PricingRule.delete(req.params.id, req.params.ruleId, req.user.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Pricing rule not found.' });
+      }
+
+      res.json({
+        message: 'Pricing rule deleted successfully',
+        rule
+      });
+    } catch (error) {
+      console.error('Delete pricing rule error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getMaintenanceWindows(req, res) {
+    try {
+      const windows = await MaintenanceWindow.findByFacilityId(req.params.id);
+      res.json({ windows });
+    } catch (error) {
+      console.error('Get maintenance windows error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async createMaintenanceWindow(req, res) {
+    try {
+      const { error, value } = maintenanceWindowSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const windowData = {
+        facilityId: req.params.id,
+        startsAt: moment(value.startsAt).toISOString(),
+        endsAt: moment(value.endsAt).toISOString(),
+        reason: value.reason
+      };
+
+      // Affected bookings are left for staff unless they ask to cancel or relocate them now
+      const result = value.affectedBookings === 'keep'
+        ? await MaintenanceWindow.create(windowData, req.user.id)
+        : await FacilityClosure.close(windowData, value.affectedBookings, req.user.id);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Facility not found.' });
+      }
+
+      if (value.affectedBookings !== 'keep') {
+        return res.status(201).json({
+          message: closureMessage('Maintenance window scheduled.', result),
+          ...result
+        });
+      }
+
+      res.status(201).json({
+        message: result.conflicts.length > 0
+          ? `Maintenance window scheduled. ${result.conflicts.length} existing bookings collide with it.`
+          : 'Maintenance window scheduled successfully',
+        ...result
+      });
+    } catch (error) {
+      console.error('Create maintenance window error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getMaintenanceConflicts(req, res) {
+    try {
+      const result = await MaintenanceWindow.getConflicts(req.params.windowId);
+      if (!result || result.window.facility_id !== req.params.id) {
+        return res.status(404).json({ error: 'Maintenance window not found.' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Get maintenance conflicts error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async resolveMaintenanceConflicts(req, res) {
+    try {
+      const { error, value } = resolveClosureSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await FacilityClosure.resolve(req.params.id, req.params.windowId, value.action, req.user.id);
+      if (!result) {
+        return res.status(404).json({ error: 'Scheduled maintenance window not found.' });
+      }
+
+      res.json({
+        message: closureMessage('Affected bookings handled.', result),
+        ...result
+      });
+    } catch (error) {
+      console.error('Resolve maintenance conflicts error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async cancelMaintenanceWindow(req, res) {
+    try {
+      const window = await MaintenanceWindow.cancel(req.params.windowId, req.params.id, req.user.id);
+      if (!window) {
+        return res.status(404).json({ error: 'Scheduled maintenance window not found.' });
+      }
+
+      res.json({
+        message: 'Maintenance window cancelled successfully',
+        window
+      });
+    } catch (error) {
+      console.error('Cancel maintenance window error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getBlackoutDates(req, res) {
+    try {
+      const blackouts = await BlackoutDate.getAll({ upcoming: req.query.all !== 'true' });
+      res.json({ blackouts });
+    } catch (error) {
+      console.error('Get blackout dates error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async createBlackoutDate(req, res) {
+    try {
+      const { error, value } = blackoutSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await BlackoutDate.create({
+        name: value.name,
+        startDate: moment(value.startDate).format('YYYY-MM-DD'),
+        endDate: moment(value.endDate).format('YYYY-MM-DD')
+      }, req.user.id);
+
+      res.status(201).json({
+        message: result.conflicts.length > 0
+          ? `Blackout dates added. ${result.conflicts.length} existing bookings fall on them.`
+          : 'Blackout dates added successfully',
+        ...result
+      });
+    } catch (error) {
+      console.error('Create blackout date error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getBlackoutConflicts(req, res) {
+    try {
+      const result = await BlackoutDate.getConflicts(req.params.blackoutId);
+      if (!result) {
+        return res.status(404).json({ error: 'Blackout dates not found.' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Get blackout conflicts error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async deleteBlackoutDate(req, res) {
+    try {
+      const blackout = await BlackoutDate.delete(req.params.blackoutId, req.user.id);
+      if (!blackout) {
+        return res.status(404).json({ error: 'Blackout dates not found.' });
+      }
+
+      res.json({
+        message: 'Blackout dates removed successfully',
+        blackout
+      });
+    } catch (error) {
+      console.error('Delete blackout date error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   static async getFacilityUtilization(req, res) {
     try {
       const { startDate, endDate } = req.query;
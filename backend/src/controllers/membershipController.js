@@ -0,0 +1,627 @@
+const Joi = require('joi');
+const moment = require('moment');
+const Membership = require('../models/Membership');
+const MembershipType = require('../models/MembershipType');
+const MembershipFreeze = require('../models/MembershipFreeze');
+const MembershipDependant = require('../models/MembershipDependant');
+const Facility = require('../models/Facility');
+const Payment = require('../models/Payment');
+
+const applicationSchema = Joi.object({
+  membershipTypeId: Joi.string().uuid().required(),
+  startDate: Joi.date().iso().optional(),
+  paymentMethod: Joi.string().max(50).optional(),
+  autoRenew: Joi.boolean().default(false),
+  notes: Joi.string().max(500).optional()
+});
+
+const rejectionSchema = Joi.object({
+  reason: Joi.string().min(3).max(500).required()
+});
+
+const membershipTypeSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  durationMonths: Joi.number().integer().min(1).max(60).required(),
+  price: Joi.number().min(0).precision(2).required(),
+  facilitiesAccess: Joi.array().items(Joi.string().max(50)).min(1).unique().required(),
+  maxBookingsPerDay: Joi.number().integer().min(1).max(50).default(5),
+  maxBookingDaysAhead: Joi.number().integer().min(1).max(365).default(30),
+  maxFreezeDaysPerYear: Joi.number().integer().min(0).max(365).default(60),
+  maxDependants: Joi.number().integer().min(0).max(20).default(0),
+  maxAdultDependants: Joi.number().integer().min(0).max(20).allow(null).default(null),
+  bookingLimitScope: Joi.string().valid('per_person', 'household').default('per_person'),
+  guestPassesPerMonth: Joi.number().integer().min(0).max(100).default(0),
+  guestFee: Joi.number().min(0).precision(2).default(0),
+  freeCancelHours: Joi.number().integer().min(0).max(720).allow(null).default(null),
+  lateCancelFee: Joi.number().min(0).precision(2).allow(null).default(null),
+  lateCancelRefundPercent: Joi.number().integer().min(0).max(100).allow(null).default(null),
+  isActive: Joi.boolean().default(true)
+});
+
+const updateMembershipTypeSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  description: Joi.string().max(500).allow(''),
+  durationMonths: Joi.number().integer().min(1).max(60),
+  price: Joi.number().min(0).precision(2),
+  facilitiesAccess: Joi.array().items(Joi.string().max(50)).min(1).unique(),
+  maxBookingsPerDay: Joi.number().integer().min(1).max(50),
+  maxBookingDaysAhead: Joi.number().integer().min(1).max(365),
+  maxFreezeDaysPerYear: Joi.number().integer().min(0).max(365),
+  maxDependants: Joi.number().integer().min(0).max(20),
+  maxAdultDependants: Joi.number().integer().min(0).max(20).allow(null),
+  bookingLimitScope: Joi.string().valid('per_person', 'household'),
+  guestPassesPerMonth: Joi.number().integer().min(0).max(100),
+  guestFee: Joi.number().min(0).precision(2),
+  freeCancelHours: Joi.number().integer().min(0).max(720).allow(null),
+  lateCancelFee: Joi.number().min(0).precision(2).allow(null),
+  lateCancelRefundPercent: Joi.number().integer().min(0).max(100).allow(null),
+  isActive: Joi.boolean()
+}).min(1);
+
+const dependantSchema = Joi.object({
+  email: Joi.string().email().required(),
+  relationship: Joi.string().max(50).optional()
+});
+
+const planChangeSchema = Joi.object({
+  membershipTypeId: Joi.string().uuid().required()
+});
+
+const freezeSchema = Joi.object({
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'staff';
+
+// Returns the facility types in facilitiesAccess that no facility currently has
+const findUnknownFacilityTypes = async (facilitiesAccess) => {
+  const knownTypes = (await Facility.getTypes()).map(row => row.type);
+  return facilitiesAccess.filter(type => !knownTypes.includes(type));
+};
+
+class MembershipController {
+  static async getMembershipTypes(req, res) {
+    try {
+      const membershipTypes = await MembershipType.getAll({ activeOnly: true });
+      res.json({ membershipTypes });
+    } catch (error) {
+      console.error('Get membership types error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async applyForMembership(req, res) {
+    try {
+      const { error, value } = applicationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { membershipTypeId, startDate, paymentMethod, autoRenew, notes } = value;
+      const userId = req.user.id;
+
+      const membershipType = await MembershipType.findById(membershipTypeId);
+      if (!membershipType || !membershipType.is_active) {
+        return res.status(400).json({ error: 'Membership type not available.' });
+      }
+
+      const currentMemberships = await Membership.findByUserId(userId);
+      if (currentMemberships.some(m => ['active', 'pending'].includes(m.status))) {
+        return res.status(400).json({ error: 'You already have an active or pending membership.' });
+      }
+
+      const start = moment(startDate).startOf('day');
+      if (start.isBefore(moment().startOf('day'))) {
+        return res.status(400).json({ error: 'Start date cannot be in the past.' });
+      }
+
+      const end = start.clone().add(membershipType.duration_months, 'months');
+
+      const membership = await Membership.create({
+        userId,
+        membershipTypeId,
+        startDate: start.format('YYYY-MM-DD'),
+        endDate: end.format('YYYY-MM-DD'),
+        paymentMethod,
+        autoRenew,
+        agreedPrice: membershipType.price,
+        notes
+      });
+
+      res.status(201).json({
+        message: 'Membership application submitted successfully',
+        membership
+      });
+    } catch (error) {
+      console.error('Apply for membership error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getMyMemberships(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const [currentMembership, memberships] = await Promise.all([
+        Membership.getActiveMembership(userId),
+        Membership.findByUserId(userId, true)
+      ]);
+
+      res.json({
+        currentMembership: currentMembership || null,
+        memberships
+      });
+    } catch (error) {
+      console.error('Get memberships error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getMembership(req, res) {
+    try {
+      const { id } = req.params;
+
+      const membership = await Membership.findById(id);
+      if (!membership) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      // Regular users can only view their own memberships
+      if (!isStaff(req.user) && membership.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied.' });
+      }
+
+      res.json({ membership });
+    } catch (error) {
+      console.error('Get membership error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async cancelMembership(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const membership = await Membership.cancel(id, userId);
+      if (!membership) {
+        return res.status(404).json({ error: 'Membership not found or cannot be cancelled.' });
+      }
+
+      res.json({
+        message: 'Membership cancelled successfully',
+        membership
+      });
+    } catch (error) {
+      console.error('Cancel membership error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getAllMemberships(req, res) {
+    try {
+      const {
+        status,
+        membershipTypeId,
+        expiringSoon,
+        page = 1,
+        limit = 50
+      } = req.query;
+
+      const filters = {
+        status,
+        membershipTypeId,
+        expiringSoon: expiringSoon === 'true',
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      };
+
+      const memberships = await Membership.getAll(filters);
+
+      res.json({
+        memberships,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: memberships.length
+        }
+      });
+    } catch (error) {
+      console.error('Get all memberships error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async freezeMembership(req, res) {
+    try {
+      const { error, value } = freezeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { id } = req.params;
+      const membership = await Membership.findById(id);
+      if (!membership || (!isStaff(req.user) && membership.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const freeze = await MembershipFreeze.create({
+        membershipId: id,
+        startDate: value.startDate,
+        endDate: value.endDate,
+        reason: value.reason,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Membership freeze scheduled successfully',
+        freeze
+      });
+    } catch (error) {
+      console.error('Freeze membership error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async getMembershipFreezes(req, res) {
+    try {
+      const { id } = req.params;
+      const membership = await Membership.findById(id);
+      if (!membership || (!isStaff(req.user) && membership.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const freezes = await MembershipFreeze.findByMembershipId(id);
+      res.json({ freezes });
+    } catch (error) {
+      console.error('Get membership freezes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async cancelMembershipFreeze(req, res) {
+    try {
+      const { id, freezeId } = req.params;
+      const membership = await Membership.findById(id);
+      if (!membership || (!isStaff(req.user) && membership.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const freeze = await MembershipFreeze.cancel(freezeId, id, req.user.id);
+      if (!freeze) {
+        return res.status(404).json({ error: 'Freeze not found or already finished.' });
+      }
+
+      res.json({
+        message: freeze.status === 'cancelled' ? 'Freeze cancelled successfully' : 'Freeze ended early',
+        freeze
+      });
+    } catch (error) {
+      console.error('Cancel membership freeze error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getDependants(req, res) {
+    try {
+      const { id } = req.params;
+      const membership = await Membership.findById(id);
+      if (!membership || (!isStaff(req.user) && membership.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const dependants = await MembershipDependant.findByMembershipId(id);
+      res.json({ dependants });
+    } catch (error) {
+      console.error('Get dependants error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async addDependant(req, res) {
+    try {
+      const { error, value } = dependantSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { id } = req.params;
+      const membership = await Membership.findById(id);
+      if (!membership || (!isStaff(req.user) && membership.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const dependant = await MembershipDependant.add({
+        membershipId: id,
+        email: value.email,
+        relationship: value.relationship,
+        addedBy: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Dependant added successfully',
+        dependant
+      });
+    } catch (error) {
+      console.error('Add dependant error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async removeDependant(req, res) {
+    try {
+      const { id, userId } = req.params;
+      const membership = await Membership.findById(id);
+      if (!membership || (!isStaff(req.user) && membership.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const dependant = await MembershipDependant.remove(id, userId, req.user.id);
+      if (!dependant) {
+        return res.status(404).json({ error: 'Dependant not found.' });
+      }
+
+      res.json({
+        message: 'Dependant removed successfully',
+        dependant
+      });
+    } catch (error) {
+      console.error('Remove dependant error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async quotePlanChange(req, res) {
+    try {
+      const { error, value } = planChangeSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { id } = req.params;
+      const membership = await Membership.findById(id);
+      if (!membership || (!isStaff(req.user) && membership.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const { newType, change } = await Membership.quotePlanChange(id, value.membershipTypeId);
+
+      res.json({
+        membershipType: newType,
+        ...change
+      });
+    } catch (error) {
+      console.error('Quote plan change error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async changePlan(req, res) {
+    try {
+      const { error, value } = planChangeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { id } = req.params;
+      const existing = await Membership.findById(id);
+      if (!existing || (!isStaff(req.user) && existing.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const { membership, change, transaction } = await Membership.changePlan(
+        id, value.membershipTypeId, req.user.id
+      );
+
+      // Charge or refund the difference straight away; the payment job retries anything left
+      const processed = transaction ? await Payment.processFor({ membershipId: id }) : [];
+
+      res.json({
+        message: change.direction === 'upgrade'
+          ? 'Membership plan changed successfully'
+          : `Membership plan change scheduled for ${change.effectiveDate}`,
+        membership,
+        change,
+        transaction: processed.find(row => row.id === transaction.id) || transaction
+      });
+    } catch (error) {
+      console.error('Change plan error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  static async cancelPlanChange(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await Membership.findById(id);
+      if (!existing || (!isStaff(req.user) && existing.user_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Membership not found.' });
+      }
+
+      const membership = await Membership.cancelScheduledPlanChange(id);
+      if (!membership) {
+        return res.status(404).json({ error: 'No scheduled plan change found.' });
+      }
+
+      res.json({
+        message: 'Scheduled plan change cancelled',
+        membership
+      });
+    } catch (error) {
+      console.error('Cancel plan change error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getPendingApplications(req, res) {
+    try {
+      const applications = await Membership.getPendingApplications();
+      res.json({ applications });
+    } catch (error) {
+      console.error('Get pending applications error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async approveMembership(req, res) {
+    try {
+      const { id } = req.params;
+
+      const membership = await Membership.approve(id, req.user.id);
+      if (!membership) {
+        return res.status(404).json({ error: 'Pending membership application not found.' });
+      }
+
+      // The first term's fee is charged straight away; the payment job retries anything left
+      const transactions = await Payment.processFor({ membershipId: id });
+
+      res.json({
+        message: 'Membership approved successfully',
+        membership,
+        transactions
+      });
+    } catch (error) {
+      console.error('Approve membership error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async rejectMembership(req, res) {
+    try {
+      const { error, value } = rejectionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { id } = req.params;
+
+      const membership = await Membership.reject(id, req.user.id, value.reason);
+      if (!membership) {
+        return res.status(404).json({ error: 'Pending membership application not found.' });
+      }
+
+      res.json({
+        message: 'Membership application rejected',
+        membership
+      });
+    } catch (error) {
+      console.error('Reject membership error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getAllMembershipTypes(req, res) {
+    try {
+      const membershipTypes = await MembershipType.getAll();
+      res.json({ membershipTypes });
+    } catch (error) {
+      console.error('Get all membership types error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async createMembershipType(req, res) {
+    try {
+      const { error, value } = membershipTypeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const unknownTypes = await findUnknownFacilityTypes(value.facilitiesAccess);
+      if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: `Unknown facility types: ${unknownTypes.join(', ')}` });
+      }
+
+      const membershipType = await MembershipType.create(value, req.user.id);
+
+      res.status(201).json({
+        message: 'Membership type created successfully',
+        membershipType
+      });
+    } catch (error) {
+      console.error('Create membership type error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async updateMembershipType(req, res) {
+    try {
+      const { error, value } = updateMembershipTypeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      if (value.facilitiesAccess) {
+        const unknownTypes = await findUnknownFacilityTypes(value.facilitiesAccess);
+        if (unknownTypes.length > 0) {
+          return res.status(400).json({ error: `Unknown facility types: ${unknownTypes.join(', ')}` });
+        }
+      }
+
+      const { id } = req.params;
+      const membershipType = await MembershipType.update(id, value, req.user.id);
+      if (!membershipType) {
+        return res.status(404).json({ error: 'Membership type not found.' });
+      }
+
+      res.json({
+        message: 'Membership type updated successfully',
+        membershipType
+      });
+    } catch (error) {
+      console.error('Update membership type error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async updateMembershipTypeStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { isActive } = req.body;
+
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ error: 'isActive must be a boolean.' });
+      }
+
+      const membershipType = await MembershipType.setActive(id, isActive, req.user.id);
+      if (!membershipType) {
+        return res.status(404).json({ error: 'Membership type not found.' });
+      }
+
+      // Retiring a plan only hides it from new applications
+      const existingMemberships = await MembershipType.countMemberships(id);
+
+      res.json({
+        message: isActive ? 'Membership type activated successfully' : 'Membership type retired successfully',
+        membershipType,
+        existingMemberships
+      });
+    } catch (error) {
+      console.error('Update membership type status error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async getMembershipTypePriceHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const membershipType = await MembershipType.findById(id);
+      if (!membershipType) {
+        return res.status(404).json({ error: 'Membership type not found.' });
+      }
+
+      const priceHistory = await MembershipType.getPriceHistory(id);
+
+      res.json({ membershipType, priceHistory });
+    } catch (error) {
+      console.error('Get membership type price history error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = MembershipController;
\ No newline at end of file
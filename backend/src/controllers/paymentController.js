@@ -0,0 +1,92 @@
+const Joi = require('joi');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const { PROVIDERS, getPaymentProvider } = require('../services/payments');
+
+const transactionFiltersSchema = Joi.object({
+  status: Joi.string().valid('pending', 'completed', 'failed', 'refunded'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const retrySchema = Joi.object({
+  paymentMethod: Joi.string().max(50).optional()
+});
+
+class PaymentController {
+  static async getTransactions(req, res) {
+    try {
+      const { error, value } = transactionFiltersSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const transactions = await Transaction.findByUserId(req.user.id, {
+        status: value.status,
+        limit: value.limit,
+        offset: (value.page - 1) * value.limit
+      });
+
+      res.json({
+        transactions,
+        pagination: { page: value.page, limit: value.limit }
+      });
+    } catch (error) {
+      console.error('Get transactions error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  static async retryPayment(req, res) {
+    try {
+      const { error, value } = retrySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const transaction = await Payment.retry(req.params.id, req.user.id, value.paymentMethod);
+      if (!transaction) {
+        return res.status(404).json({ error: 'Failed payment not found.' });
+      }
+
+      res.json({
+        message: transaction.status === 'failed' ? 'Payment failed again' : 'Payment sent',
+        transaction
+      });
+    } catch (error) {
+      console.error('Retry payment error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Called by the payment provider, not a user; the signature proves where it came from
+  static async handleWebhook(req, res) {
+    try {
+      if (!PROVIDERS[req.params.provider]) {
+        return res.status(404).json({ error: 'Unknown payment provider.' });
+      }
+
+      const provider = getPaymentProvider(req.params.provider);
+
+      let event;
+      try {
+        event = provider.constructEvent(req.rawBody, req.get(provider.signatureHeader));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const transaction = await Payment.handleEvent(provider.name, event);
+
+      res.json({
+        received: true,
+        transactionId: transaction ? transaction.id : null,
+        status: transaction ? transaction.status : null
+      });
+    } catch (error) {
+      console.error('Payment webhook error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = PaymentController;
\ No newline at end of file
@@ -0,0 +1,136 @@
+const { pool, withTransaction } = require('./connection');
+const { toClubTime } = require('../utils/clubTime');
+
+const CONSTRAINT_NAME = 'bookings_no_overlap';
+
+// Range each upcoming booking at an exclusive facility takes: the range it was made with, or
+// its times plus the facility's current cleanup buffer for bookings made before the constraint
+const UPCOMING_RANGES = `
+  SELECT b.id, b.facility_id, b.user_id, b.start_time, b.end_time, f.name as facility_name,
+         COALESCE(
+           b.blocked_during,
+           tstzrange(b.start_time, b.end_time + make_interval(mins => COALESCE(f.booking_buffer_minutes, 0)), '[)')
+         ) as blocked_during
+  FROM bookings b
+  JOIN facilities f ON b.facility_id = f.id
+  WHERE f.booking_mode <> 'shared'
+    AND b.status IN ('confirmed', 'completed')
+    AND b.end_time > NOW()
+`;
+
+// Pairs of upcoming bookings that could not both stand under the exclusion constraint. An
+// 'overlap' pair share time; a 'buffer' pair only clash in the cleanup time between them.
+async function findOverlappingBookings(client = pool) {
+  const result = await client.query(`
+    WITH ranges AS (${UPCOMING_RANGES})
+    SELECT a.facility_name,
+           a.id as booking_id, a.user_id, a.start_time, a.end_time,
+           b.id as other_booking_id, b.user_id as other_user_id,
+           b.start_time as other_start_time, b.end_time as other_end_time,
+           CASE WHEN a.start_time < b.end_time AND b.start_time < a.end_time
+             THEN 'overlap' ELSE 'buffer' END as kind
+    FROM ranges a
+    JOIN ranges b ON a.facility_id = b.facility_id AND a.id < b.id
+      AND a.blocked_during && b.blocked_during
+    ORDER BY a.facility_name ASC, a.start_time ASC
+  `);
+
+  return result.rows;
+}
+
+async function constraintExists(client) {
+  const result = await client.query('SELECT 1 FROM pg_constraint WHERE conname = $1', [CONSTRAINT_NAME]);
+  return result.rows.length > 0;
+}
+
+// Fills in blocked_during for upcoming bookings and adds the exclusion constraint, unless
+// bookings already overlap. Finished bookings keep no range, so past overlaps do not block it.
+// Returns { applied, overlaps }.
+async function applyOverlapConstraint() {
+  return await withTransaction(async (client) => {
+    if (await constraintExists(client)) {
+      return { applied: true, overlaps: [] };
+    }
+
+    // Block booking writes while checking, so nothing new overlaps before the constraint exists
+    await client.query('LOCK TABLE bookings IN SHARE ROW EXCLUSIVE MODE');
+
+    const overlaps = await findOverlappingBookings(client);
+    if (overlaps.length > 0) {
+      return { applied: false, overlaps };
+    }
+
+    // Setting the range is not a change to the booking, so skip the audit and overlap triggers
+    await client.query('ALTER TABLE bookings DISABLE TRIGGER USER');
+    await client.query(`
+      UPDATE bookings b
+      SET blocked_during = r.blocked_during
+      FROM (${UPCOMING_RANGES}) r
+      WHERE b.id = r.id AND b.blocked_during IS NULL
+    `);
+    await client.query('ALTER TABLE bookings ENABLE TRIGGER USER');
+
+    await client.query(`
+      ALTER TABLE bookings ADD CONSTRAINT ${CONSTRAINT_NAME}
+        EXCLUDE USING gist (facility_id WITH =, blocked_during WITH &&)
+        WHERE (status IN ('confirmed', 'completed'))
+    `);
+
+    return { applied: true, overlaps: [] };
+  });
+}
+
+function formatTimes(start, end) {
+  return `${toClubTime(start).format('YYYY-MM-DD HH:mm')}-${toClubTime(end).format('HH:mm')}`;
+}
+
+function printOverlaps(overlaps) {
+  for (const overlap of overlaps) {
+    const kind = overlap.kind === 'overlap' ? 'overlaps' : 'leaves no cleanup time next to';
+    console.log(
+      `   ${overlap.facility_name}: ${overlap.booking_id} (${formatTimes(overlap.start_time, overlap.end_time)}) ` +
+      `${kind} ${overlap.other_booking_id} (${formatTimes(overlap.other_start_time, overlap.other_end_time)})`
+    );
+  }
+}
+
+// Reports overlapping upcoming bookings; with --apply, adds the constraint when there are none
+async function main() {
+  const apply = process.argv.includes('--apply');
+
+  try {
+    if (apply) {
+      const { applied, overlaps } = await applyOverlapConstraint();
+      if (applied) {
+        console.log('✅ Booking overlap constraint in place');
+        return;
+      }
+
+      console.log(`❌ ${overlaps.length} overlapping booking pairs found; overlap constraint not added:`);
+      printOverlaps(overlaps);
+      process.exitCode = 1;
+      return;
+    }
+
+    const overlaps = await findOverlappingBookings();
+    if (overlaps.length === 0) {
+      console.log('✅ No overlapping upcoming bookings');
+      return;
+    }
+
+    console.log(`⚠️  ${overlaps.length} overlapping booking pairs found:`);
+    printOverlaps(overlaps);
+    process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Overlap check failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { CONSTRAINT_NAME, findOverlappingBookings, applyOverlapConstraint, printOverlaps };
\ No newline at end of file
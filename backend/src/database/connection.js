@@ -51,6 +51,10 @@ module.exports = {
       client.release();
     }
   },
+  // Attribute audit_log rows written inside the current transaction to a user
+  setTransactionUser: (client, userId) => {
+    return client.query("SELECT set_config('app.current_user_id', $1, true)", [userId]);
+  },
   setUserContext: () => {
     return async (req, res, next) => {
       if (req.user && req.user.id) {
@@ -55,6 +55,16 @@ async function seedInitialData() {
     ON CONFLICT DO NOTHING
   `);
 
+  // Start the price history of the seeded membership types
+  await pool.query(`
+    INSERT INTO membership_type_prices (membership_type_id, price, effective_from)
+    SELECT mt.id, mt.price, mt.created_at
+    FROM membership_types mt
+    WHERE NOT EXISTS (
+      SELECT 1 FROM membership_type_prices mtp WHERE mtp.membership_type_id = mt.id
+    )
+  `);
+
   // Create sample facilities
   await pool.query(`
     INSERT INTO facilities (name, type, description, capacity, location, operating_hours_start, operating_hours_end, booking_duration_minutes)
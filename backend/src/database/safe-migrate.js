@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { pool } = require('./connection');
+const { applyOverlapConstraint, printOverlaps } = require('./bookingOverlaps');
 
 async function runSafeMigrations() {
   try {
@@ -92,6 +93,22 @@ async function runIncrementalUpdates(existingTables) {
     console.log('✅ Overlapping bookings trigger created');
   }
 
+  // Apply column and constraint changes made after the initial schema
+  console.log('🔧 Applying schema updates...');
+  await applySchemaUpdates();
+  console.log('✅ Schema updates applied');
+
+  // The overlap constraint cannot be added while bookings already overlap
+  console.log('🔍 Checking bookings for overlaps...');
+  const overlapCheck = await applyOverlapConstraint();
+  if (overlapCheck.applied) {
+    console.log('✅ Booking overlap constraint in place');
+  } else {
+    console.log(`⚠️  ${overlapCheck.overlaps.length} overlapping booking pairs found; overlap constraint not added:`);
+    printOverlaps(overlapCheck.overlaps);
+    console.log('   Cancel or move these bookings, then run npm run db:check-overlaps -- --apply');
+  }
+
   // Check for views
   const existingViews = await pool.query(`
     SELECT table_name FROM information_schema.views
@@ -109,6 +126,516 @@ async function runIncrementalUpdates(existingTables) {
   }
 }
 
+// Shared with createOverlappingBookingsTrigger so existing databases get the current version
+const OVERLAP_TRIGGER_FUNCTION = `
+    CREATE OR REPLACE FUNCTION prevent_overlapping_bookings()
+    RETURNS TRIGGER AS $$
+    DECLARE
+        facility_mode VARCHAR(20);
+        facility_capacity INTEGER;
+        facility_buffer INTEGER;
+        booked_participants INTEGER;
+    BEGIN
+        SELECT booking_mode, capacity, booking_buffer_minutes
+        INTO facility_mode, facility_capacity, facility_buffer
+        FROM facilities
+        WHERE id = NEW.facility_id;
+
+        -- Shared facilities accept bookings until their capacity is reached. The facility row is
+        -- locked so concurrent bookings are counted one after the other.
+        IF facility_mode = 'shared' THEN
+            NEW.blocked_during := NULL;
+
+            IF NEW.status NOT IN ('confirmed', 'completed') THEN
+                RETURN NEW;
+            END IF;
+
+            PERFORM 1 FROM facilities WHERE id = NEW.facility_id FOR UPDATE;
+
+            SELECT COALESCE(SUM(participants), 0) INTO booked_participants
+            FROM bookings
+            WHERE facility_id = NEW.facility_id
+            AND id <> NEW.id
+            AND status IN ('confirmed', 'completed')
+            AND start_time < NEW.end_time AND end_time > NEW.start_time;
+
+            IF booked_participants + NEW.participants > COALESCE(facility_capacity, 1) THEN
+                RAISE EXCEPTION 'Booking exceeds the capacity of this facility';
+            END IF;
+            RETURN NEW;
+        END IF;
+
+        -- Exclusive facilities are kept free of overlaps by bookings_no_overlap. A booking keeps
+        -- the range it was made with until it moves, so later buffer changes leave it alone.
+        IF TG_OP = 'INSERT' OR NEW.facility_id <> OLD.facility_id
+            OR NEW.start_time <> OLD.start_time OR NEW.end_time <> OLD.end_time THEN
+            NEW.blocked_during := tstzrange(
+                NEW.start_time, NEW.end_time + make_interval(mins => COALESCE(facility_buffer, 0)), '[)'
+            );
+        END IF;
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+`;
+
+// Every statement must be safe to run against a database that already has it applied
+const schemaUpdates = [
+  // Audit rows written after a transaction-local user id was reset must not fail on ''::uuid
+  `CREATE OR REPLACE FUNCTION audit_trigger_function()
+     RETURNS TRIGGER AS $$
+     BEGIN
+         IF TG_OP = 'DELETE' THEN
+             INSERT INTO audit_log (
+                 table_name,
+                 operation,
+                 user_id,
+                 record_id,
+                 old_data,
+                 new_data,
+                 timestamp
+             ) VALUES (
+                 TG_TABLE_NAME,
+                 TG_OP,
+                 NULLIF(current_setting('app.current_user_id', true), '')::uuid,
+                 OLD.id,
+                 row_to_json(OLD),
+                 NULL,
+                 NOW()
+             );
+             RETURN OLD;
+         ELSIF TG_OP = 'UPDATE' THEN
+             INSERT INTO audit_log (
+                 table_name,
+                 operation,
+                 user_id,
+                 record_id,
+                 old_data,
+                 new_data,
+                 timestamp
+             ) VALUES (
+                 TG_TABLE_NAME,
+                 TG_OP,
+                 NULLIF(current_setting('app.current_user_id', true), '')::uuid,
+                 NEW.id,
+                 row_to_json(OLD),
+                 row_to_json(NEW),
+                 NOW()
+             );
+             RETURN NEW;
+         ELSIF TG_OP = 'INSERT' THEN
+             INSERT INTO audit_log (
+                 table_name,
+                 operation,
+                 user_id,
+                 record_id,
+                 old_data,
+                 new_data,
+                 timestamp
+             ) VALUES (
+                 TG_TABLE_NAME,
+                 TG_OP,
+                 NULLIF(current_setting('app.current_user_id', true), '')::uuid,
+                 NEW.id,
+                 NULL,
+                 row_to_json(NEW),
+                 NOW()
+             );
+             RETURN NEW;
+         END IF;
+         RETURN NULL;
+     END;
+     $$ LANGUAGE plpgsql;`,
+
+  // Membership application review
+  `ALTER TABLE memberships ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id)`,
+  `ALTER TABLE memberships ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE`,
+  `ALTER TABLE memberships ADD COLUMN IF NOT EXISTS rejection_reason TEXT`,
+  `ALTER TABLE memberships DROP CONSTRAINT IF EXISTS memberships_status_check`,
+  `ALTER TABLE memberships ADD CONSTRAINT memberships_status_check
+     CHECK (status IN ('active', 'expired', 'cancelled', 'pending', 'rejected'))`,
+
+  // Membership plan management and price history
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`,
+  `CREATE TABLE IF NOT EXISTS membership_type_prices (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     membership_type_id UUID NOT NULL REFERENCES membership_types(id) ON DELETE CASCADE,
+     price DECIMAL(10,2) NOT NULL,
+     effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+     changed_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_membership_type_prices_type_id ON membership_type_prices(membership_type_id)`,
+  `DROP TRIGGER IF EXISTS audit_membership_types_trigger ON membership_types`,
+  `CREATE TRIGGER audit_membership_types_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON membership_types
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+  `ALTER TABLE memberships ADD COLUMN IF NOT EXISTS agreed_price DECIMAL(10,2)`,
+  `UPDATE memberships m SET agreed_price = mt.price
+   FROM membership_types mt
+   WHERE m.membership_type_id = mt.id AND m.agreed_price IS NULL`,
+
+  // Membership freezes
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS max_freeze_days_per_year INTEGER DEFAULT 60`,
+  `CREATE TABLE IF NOT EXISTS membership_freezes (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     membership_id UUID NOT NULL REFERENCES memberships(id) ON DELETE CASCADE,
+     start_date DATE NOT NULL,
+     end_date DATE NOT NULL,
+     reason TEXT,
+     status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+     days_extended INTEGER,
+     created_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     CHECK (end_date >= start_date)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_membership_freezes_membership_id ON membership_freezes(membership_id)`,
+  `DROP TRIGGER IF EXISTS audit_membership_freezes_trigger ON membership_freezes`,
+  `CREATE TRIGGER audit_membership_freezes_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON membership_freezes
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Plan upgrades and downgrades
+  `ALTER TABLE memberships ADD COLUMN IF NOT EXISTS scheduled_membership_type_id UUID REFERENCES membership_types(id)`,
+
+  // Household memberships
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS max_dependants INTEGER DEFAULT 0`,
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS max_adult_dependants INTEGER`,
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS booking_limit_scope VARCHAR(20) NOT NULL DEFAULT 'per_person'
+     CHECK (booking_limit_scope IN ('per_person', 'household'))`,
+  `CREATE TABLE IF NOT EXISTS membership_dependants (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     membership_id UUID NOT NULL REFERENCES memberships(id) ON DELETE CASCADE,
+     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     relationship VARCHAR(50),
+     status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+     added_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     removed_at TIMESTAMP WITH TIME ZONE
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_membership_dependants_membership_id ON membership_dependants(membership_id)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_membership_dependants_active_user
+     ON membership_dependants(user_id) WHERE status = 'active'`,
+  `DROP TRIGGER IF EXISTS audit_membership_dependants_trigger ON membership_dependants`,
+  `CREATE TRIGGER audit_membership_dependants_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON membership_dependants
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Guest passes
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS guest_passes_per_month INTEGER DEFAULT 0`,
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS guest_fee DECIMAL(10,2) DEFAULT 0.00`,
+  `CREATE TABLE IF NOT EXISTS booking_guests (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+     sponsor_user_id UUID NOT NULL REFERENCES users(id),
+     guest_name VARCHAR(200) NOT NULL,
+     guest_email VARCHAR(255),
+     guest_phone VARCHAR(20),
+     used_guest_pass BOOLEAN NOT NULL DEFAULT TRUE,
+     fee_amount DECIMAL(10,2) DEFAULT 0.00,
+     transaction_id UUID REFERENCES transactions(id),
+     status VARCHAR(20) NOT NULL DEFAULT 'expected' CHECK (status IN ('expected', 'arrived', 'cancelled')),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_guests_booking_id ON booking_guests(booking_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_guests_sponsor_user_id ON booking_guests(sponsor_user_id)`,
+  `DROP TRIGGER IF EXISTS audit_booking_guests_trigger ON booking_guests`,
+  `CREATE TRIGGER audit_booking_guests_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON booking_guests
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Recurring booking series
+  `CREATE TABLE IF NOT EXISTS booking_series (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     user_id UUID NOT NULL REFERENCES users(id),
+     facility_id UUID NOT NULL REFERENCES facilities(id),
+     recurrence_rule VARCHAR(255) NOT NULL,
+     first_start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+     duration_minutes INTEGER NOT NULL,
+     until_date DATE,
+     occurrence_count INTEGER,
+     notes TEXT,
+     status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES booking_series(id)`,
+  `CREATE INDEX IF NOT EXISTS idx_bookings_series_id ON bookings(series_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_series_user_id ON booking_series(user_id)`,
+  `DROP TRIGGER IF EXISTS audit_booking_series_trigger ON booking_series`,
+  `CREATE TRIGGER audit_booking_series_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON booking_series
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Booking waitlist
+  `CREATE TABLE IF NOT EXISTS booking_waitlist (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     user_id UUID NOT NULL REFERENCES users(id),
+     facility_id UUID NOT NULL REFERENCES facilities(id),
+     start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+     end_time TIMESTAMP WITH TIME ZONE NOT NULL,
+     status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+     offered_at TIMESTAMP WITH TIME ZONE,
+     offer_expires_at TIMESTAMP WITH TIME ZONE,
+     booking_id UUID REFERENCES bookings(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_waitlist_slot ON booking_waitlist(facility_id, start_time)`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_waitlist_user_id ON booking_waitlist(user_id)`,
+  `DROP TRIGGER IF EXISTS audit_booking_waitlist_trigger ON booking_waitlist`,
+  `CREATE TRIGGER audit_booking_waitlist_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON booking_waitlist
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Capacity-based bookings
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS booking_mode VARCHAR(20) NOT NULL DEFAULT 'exclusive'
+     CHECK (booking_mode IN ('exclusive', 'shared'))`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS participants INTEGER NOT NULL DEFAULT 1
+     CHECK (participants >= 1)`,
+
+  // Overlap prevention with an exclusion constraint; the constraint itself is added by
+  // applyOverlapConstraint once existing bookings have been checked
+  `CREATE EXTENSION IF NOT EXISTS btree_gist`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS blocked_during TSTZRANGE`,
+  OVERLAP_TRIGGER_FUNCTION,
+
+  // Cancellation policies; NULL leaves the setting to the plan, then to the default
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS free_cancel_hours INTEGER CHECK (free_cancel_hours >= 0)`,
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS late_cancel_fee DECIMAL(10,2) CHECK (late_cancel_fee >= 0)`,
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS late_cancel_refund_percent INTEGER
+     CHECK (late_cancel_refund_percent BETWEEN 0 AND 100)`,
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS free_cancel_hours INTEGER CHECK (free_cancel_hours >= 0)`,
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS late_cancel_fee DECIMAL(10,2) CHECK (late_cancel_fee >= 0)`,
+  `ALTER TABLE membership_types ADD COLUMN IF NOT EXISTS late_cancel_refund_percent INTEGER
+     CHECK (late_cancel_refund_percent BETWEEN 0 AND 100)`,
+
+  // No-show tracking
+  `CREATE TABLE IF NOT EXISTS no_show_strikes (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     user_id UUID NOT NULL REFERENCES users(id),
+     booking_id UUID NOT NULL UNIQUE REFERENCES bookings(id),
+     occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+     waived_at TIMESTAMP WITH TIME ZONE,
+     waived_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE TABLE IF NOT EXISTS booking_suspensions (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     user_id UUID NOT NULL REFERENCES users(id),
+     starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+     ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+     strike_count INTEGER NOT NULL,
+     lifted_at TIMESTAMP WITH TIME ZONE,
+     lifted_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_no_show_strikes_user_id ON no_show_strikes(user_id, occurred_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_booking_suspensions_user_id ON booking_suspensions(user_id)`,
+  `DROP TRIGGER IF EXISTS audit_no_show_strikes_trigger ON no_show_strikes`,
+  `CREATE TRIGGER audit_no_show_strikes_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON no_show_strikes
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+  `DROP TRIGGER IF EXISTS audit_booking_suspensions_trigger ON booking_suspensions`,
+  `CREATE TRIGGER audit_booking_suspensions_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON booking_suspensions
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Front desk check-in; existing users are numbered as the column is added
+  `CREATE SEQUENCE IF NOT EXISTS membership_number_seq`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS membership_number VARCHAR(20) UNIQUE NOT NULL
+     DEFAULT ('M' || LPAD(nextval('membership_number_seq')::text, 6, '0'))`,
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS booking_required BOOLEAN NOT NULL DEFAULT FALSE`,
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS check_in_required BOOLEAN NOT NULL DEFAULT FALSE`,
+  `CREATE TABLE IF NOT EXISTS check_ins (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     user_id UUID NOT NULL REFERENCES users(id),
+     facility_id UUID REFERENCES facilities(id),
+     booking_id UUID REFERENCES bookings(id),
+     method VARCHAR(20) CHECK (method IN ('email', 'membership_number', 'code')),
+     checked_in_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+     checked_in_by UUID REFERENCES users(id),
+     checked_out_at TIMESTAMP WITH TIME ZONE,
+     checked_out_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_check_ins_user_id ON check_ins(user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_check_ins_booking_id ON check_ins(booking_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_check_ins_on_site ON check_ins(checked_in_at) WHERE checked_out_at IS NULL`,
+  `DROP TRIGGER IF EXISTS audit_check_ins_trigger ON check_ins`,
+  `CREATE TRIGGER audit_check_ins_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON check_ins
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // RFID access control
+  `CREATE TABLE IF NOT EXISTS access_credentials (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     user_id UUID NOT NULL REFERENCES users(id),
+     card_uid VARCHAR(64) UNIQUE NOT NULL,
+     label VARCHAR(100),
+     status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+     created_by UUID REFERENCES users(id),
+     revoked_at TIMESTAMP WITH TIME ZONE,
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE TABLE IF NOT EXISTS access_devices (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     name VARCHAR(100) NOT NULL,
+     facility_id UUID REFERENCES facilities(id),
+     api_key_hash VARCHAR(64) NOT NULL,
+     status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+     last_seen_at TIMESTAMP WITH TIME ZONE,
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE TABLE IF NOT EXISTS access_events (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     device_id UUID NOT NULL REFERENCES access_devices(id),
+     card_uid VARCHAR(64) NOT NULL,
+     credential_id UUID REFERENCES access_credentials(id),
+     user_id UUID REFERENCES users(id),
+     facility_id UUID REFERENCES facilities(id),
+     booking_id UUID REFERENCES bookings(id),
+     decision VARCHAR(10) NOT NULL CHECK (decision IN ('allow', 'deny')),
+     reason VARCHAR(50) NOT NULL,
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_access_credentials_user_id ON access_credentials(user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_access_events_created_at ON access_events(created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_access_events_user_id ON access_events(user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_access_events_booking_id ON access_events(booking_id)`,
+  `DROP TRIGGER IF EXISTS audit_access_credentials_trigger ON access_credentials`,
+  `CREATE TRIGGER audit_access_credentials_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON access_credentials
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+  `DROP TRIGGER IF EXISTS audit_access_devices_trigger ON access_devices`,
+  `CREATE TRIGGER audit_access_devices_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON access_devices
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Maintenance windows and club blackout dates
+  `CREATE TABLE IF NOT EXISTS maintenance_windows (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     facility_id UUID NOT NULL REFERENCES facilities(id),
+     starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+     ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+     reason VARCHAR(255),
+     status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+     created_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     CHECK (ends_at > starts_at)
+   )`,
+  `CREATE TABLE IF NOT EXISTS blackout_dates (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     name VARCHAR(100) NOT NULL,
+     start_date DATE NOT NULL,
+     end_date DATE NOT NULL,
+     created_by UUID REFERENCES users(id),
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     CHECK (end_date >= start_date)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_maintenance_windows_facility ON maintenance_windows(facility_id, starts_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_blackout_dates_range ON blackout_dates(start_date, end_date)`,
+  `DROP TRIGGER IF EXISTS audit_maintenance_windows_trigger ON maintenance_windows`,
+  `CREATE TRIGGER audit_maintenance_windows_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON maintenance_windows
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+  `DROP TRIGGER IF EXISTS audit_blackout_dates_trigger ON blackout_dates`,
+  `CREATE TRIGGER audit_blackout_dates_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON blackout_dates
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Weekly opening hours and seasonal schedules
+  `CREATE TABLE IF NOT EXISTS facility_seasons (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     facility_id UUID NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+     name VARCHAR(100) NOT NULL,
+     start_date DATE NOT NULL,
+     end_date DATE NOT NULL,
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     CHECK (end_date >= start_date)
+   )`,
+  `CREATE TABLE IF NOT EXISTS facility_hours (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     facility_id UUID NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+     season_id UUID REFERENCES facility_seasons(id) ON DELETE CASCADE,
+     day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 is Sunday
+     opens_at TIME,
+     closes_at TIME,
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     CHECK ((opens_at IS NULL AND closes_at IS NULL) OR closes_at > opens_at)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_facility_seasons_facility ON facility_seasons(facility_id, start_date)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_facility_hours_weekly ON facility_hours(facility_id, day_of_week) WHERE season_id IS NULL`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_facility_hours_season ON facility_hours(season_id, day_of_week) WHERE season_id IS NOT NULL`,
+  `DROP TRIGGER IF EXISTS audit_facility_seasons_trigger ON facility_seasons`,
+  `CREATE TRIGGER audit_facility_seasons_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON facility_seasons
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+  `DROP TRIGGER IF EXISTS audit_facility_hours_trigger ON facility_hours`,
+  `CREATE TRIGGER audit_facility_hours_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON facility_hours
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+
+  // Slot-aware booking validation
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS booking_granularity_minutes INTEGER
+     CHECK (booking_granularity_minutes > 0)`,
+
+  // Variable-length bookings
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS min_booking_minutes INTEGER
+     CHECK (min_booking_minutes > 0)`,
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS max_booking_minutes INTEGER
+     CHECK (max_booking_minutes > 0)`,
+  `ALTER TABLE facilities ADD COLUMN IF NOT EXISTS booking_increment_minutes INTEGER
+     CHECK (booking_increment_minutes > 0)`,
+  `ALTER TABLE facilities DROP CONSTRAINT IF EXISTS facilities_booking_length_check`,
+  `ALTER TABLE facilities ADD CONSTRAINT facilities_booking_length_check
+     CHECK (max_booking_minutes >= min_booking_minutes)`,
+
+  // Booking pricing
+  `CREATE TABLE IF NOT EXISTS facility_pricing_rules (
+     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+     facility_id UUID NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+     membership_type_id UUID REFERENCES membership_types(id) ON DELETE CASCADE,
+     name VARCHAR(100) NOT NULL,
+     pricing_type VARCHAR(20) NOT NULL CHECK (pricing_type IN ('included', 'flat', 'hourly')),
+     member_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00 CHECK (member_rate >= 0),
+     guest_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00 CHECK (guest_rate >= 0),
+     days_of_week SMALLINT[],
+     starts_at TIME,
+     ends_at TIME,
+     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+     CHECK ((starts_at IS NULL) = (ends_at IS NULL) AND (starts_at IS NULL OR starts_at <> ends_at))
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_facility_pricing_rules_facility ON facility_pricing_rules(facility_id)`,
+  `DROP TRIGGER IF EXISTS audit_facility_pricing_rules_trigger ON facility_pricing_rules`,
+  `CREATE TRIGGER audit_facility_pricing_rules_trigger
+     AFTER INSERT OR UPDATE OR DELETE ON facility_pricing_rules
+     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function()`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS price_breakdown JSONB`,
+
+  // Payment gateway
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_provider VARCHAR(20)`,
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS failure_reason TEXT`,
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS parent_transaction_id UUID REFERENCES transactions(id)`,
+  `CREATE INDEX IF NOT EXISTS idx_transactions_gateway_id ON transactions(payment_provider, payment_gateway_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_transactions_booking_id ON transactions(booking_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_transactions_membership_id ON transactions(membership_id)`
+];
+
+async function applySchemaUpdates() {
+  for (const sql of schemaUpdates) {
+    await pool.query(sql);
+  }
+}
+
 async function createMissingTable(tableName) {
   const createTableSQLs = {
     users: `
@@ -197,25 +724,7 @@ async function createMissingTable(tableName) {
 
 async function createOverlappingBookingsTrigger() {
   const triggerFunctionSQL = `
-    CREATE OR REPLACE FUNCTION prevent_overlapping_bookings()
-    RETURNS TRIGGER AS $$
-    BEGIN
-        IF EXISTS (
-            SELECT 1 FROM bookings
-            WHERE facility_id = NEW.facility_id
-            AND id != COALESCE(NEW.id, 0)
-            AND status IN ('confirmed', 'completed')
-            AND (
-                (start_time <= NEW.start_time AND end_time > NEW.start_time) OR
-                (start_time < NEW.end_time AND end_time >= NEW.end_time) OR
-                (start_time >= NEW.start_time AND end_time <= NEW.end_time)
-            )
-        ) THEN
-            RAISE EXCEPTION 'Booking conflicts with existing booking for this facility';
-        END IF;
-        RETURN NEW;
-    END;
-    $$ LANGUAGE plpgsql;
+    ${OVERLAP_TRIGGER_FUNCTION}
 
     CREATE TRIGGER check_overlapping_bookings
         BEFORE INSERT OR UPDATE ON bookings
@@ -319,6 +828,8 @@ async function seedInitialData() {
         ('Corporate', 'Full access with priority booking', 12, 599.99, ARRAY['gym', 'swimming_pool', 'tennis_court', 'squash_court', 'meeting_room', 'spa'], 10, 60)
       ON CONFLICT DO NOTHING
     `);
+
+    await seedMembershipTypePrices();
   }
 
   // Create sample facilities
@@ -335,6 +846,18 @@ async function seedInitialData() {
   `);
 }
 
+// Start the price history of any membership type that does not have one yet
+async function seedMembershipTypePrices() {
+  await pool.query(`
+    INSERT INTO membership_type_prices (membership_type_id, price, effective_from)
+    SELECT mt.id, mt.price, mt.created_at
+    FROM membership_types mt
+    WHERE NOT EXISTS (
+      SELECT 1 FROM membership_type_prices mtp WHERE mtp.membership_type_id = mt.id
+    )
+  `);
+}
+
 async function verifyDatabaseSetup() {
   console.log('🔍 Verifying database setup...');
 
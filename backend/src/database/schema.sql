@@ -3,8 +3,11 @@
 
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+-- Lets the bookings exclusion constraint compare facility_id with = in a GiST index
+CREATE EXTENSION IF NOT EXISTS btree_gist;
 
 -- Create audit trigger function
+-- app.current_user_id reads as '' once a transaction-local value has been reset, hence the NULLIF
 CREATE OR REPLACE FUNCTION audit_trigger_function()
 RETURNS TRIGGER AS $$
 BEGIN
@@ -20,7 +23,7 @@ BEGIN
         ) VALUES (
             TG_TABLE_NAME,
             TG_OP,
-            COALESCE(current_setting('app.current_user_id', true)::uuid, NULL),
+            NULLIF(current_setting('app.current_user_id', true), '')::uuid,
             OLD.id,
             row_to_json(OLD),
             NULL,
@@ -39,7 +42,7 @@ BEGIN
         ) VALUES (
             TG_TABLE_NAME,
             TG_OP,
-            COALESCE(current_setting('app.current_user_id', true)::uuid, NULL),
+            NULLIF(current_setting('app.current_user_id', true), '')::uuid,
             NEW.id,
             row_to_json(OLD),
             row_to_json(NEW),
@@ -58,7 +61,7 @@ BEGIN
         ) VALUES (
             TG_TABLE_NAME,
             TG_OP,
-            COALESCE(current_setting('app.current_user_id', true)::uuid, NULL),
+            NULLIF(current_setting('app.current_user_id', true), '')::uuid,
             NEW.id,
             NULL,
             row_to_json(NEW),
@@ -71,6 +74,9 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Main tables
+-- Membership numbers are printed on member cards and used at the front desk
+CREATE SEQUENCE membership_number_seq;
+
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     email VARCHAR(255) UNIQUE NOT NULL,
@@ -86,7 +92,8 @@ CREATE TABLE users (
     phone_verified BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    last_login TIMESTAMP WITH TIME ZONE
+    last_login TIMESTAMP WITH TIME ZONE,
+    membership_number VARCHAR(20) UNIQUE NOT NULL DEFAULT ('M' || LPAD(nextval('membership_number_seq')::text, 6, '0'))
 );
 
 CREATE TABLE membership_types (
@@ -98,7 +105,28 @@ CREATE TABLE membership_types (
     facilities_access TEXT[], -- Array of facility types this membership provides access to
     max_bookings_per_day INTEGER DEFAULT 5,
     max_booking_days_ahead INTEGER DEFAULT 30,
+    max_freeze_days_per_year INTEGER DEFAULT 60, -- 0 disables freezing for the plan
+    max_dependants INTEGER DEFAULT 0, -- household plans allow dependants to share the membership
+    max_adult_dependants INTEGER, -- NULL means no separate limit on adult dependants
+    booking_limit_scope VARCHAR(20) NOT NULL DEFAULT 'per_person' CHECK (booking_limit_scope IN ('per_person', 'household')),
+    guest_passes_per_month INTEGER DEFAULT 0, -- free guests a member may bring each calendar month
+    guest_fee DECIMAL(10,2) DEFAULT 0.00, -- charged per guest once passes run out; 0 means no more guests
+    -- Cancellation policy; a facility's own settings take precedence, NULL falls back to the default
+    free_cancel_hours INTEGER CHECK (free_cancel_hours >= 0), -- cancelling at least this long before the start is free
+    late_cancel_fee DECIMAL(10,2) CHECK (late_cancel_fee >= 0),
+    late_cancel_refund_percent INTEGER CHECK (late_cancel_refund_percent BETWEEN 0 AND 100), -- share of booking fees refunded on late cancellation
     is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Price history per membership type; members keep the price they signed up at
+CREATE TABLE membership_type_prices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    membership_type_id UUID NOT NULL REFERENCES membership_types(id) ON DELETE CASCADE,
+    price DECIMAL(10,2) NOT NULL,
+    effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    changed_by UUID REFERENCES users(id),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -108,14 +136,46 @@ CREATE TABLE memberships (
     membership_type_id UUID NOT NULL REFERENCES membership_types(id),
     start_date DATE NOT NULL,
     end_date DATE NOT NULL,
-    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('active', 'expired', 'cancelled', 'pending')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('active', 'expired', 'cancelled', 'pending', 'rejected')),
     auto_renew BOOLEAN DEFAULT FALSE,
     payment_method VARCHAR(50),
+    agreed_price DECIMAL(10,2),
+    scheduled_membership_type_id UUID REFERENCES membership_types(id), -- downgrade applied at next renewal
     notes TEXT,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    rejection_reason TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Membership pauses; end_date of the membership is extended once a freeze completes
+CREATE TABLE membership_freezes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    membership_id UUID NOT NULL REFERENCES memberships(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+    days_extended INTEGER,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+-- Household members who book through another user's membership
+CREATE TABLE membership_dependants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    membership_id UUID NOT NULL REFERENCES memberships(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    relationship VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+    added_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    removed_at TIMESTAMP WITH TIME ZONE
+);
+
 CREATE TABLE facilities (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(100) NOT NULL,
@@ -127,9 +187,110 @@ CREATE TABLE facilities (
     operating_hours_end TIME,
     booking_duration_minutes INTEGER DEFAULT 60,
     booking_buffer_minutes INTEGER DEFAULT 15,
+    -- Minutes between bookable start times; NULL means one booking length plus the buffer
+    booking_granularity_minutes INTEGER CHECK (booking_granularity_minutes > 0),
+    -- Variable booking lengths; NULL means every booking is booking_duration_minutes long
+    min_booking_minutes INTEGER CHECK (min_booking_minutes > 0),
+    max_booking_minutes INTEGER CHECK (max_booking_minutes > 0),
+    booking_increment_minutes INTEGER CHECK (booking_increment_minutes > 0),
     requires_supervision BOOLEAN DEFAULT FALSE,
+    booking_mode VARCHAR(20) NOT NULL DEFAULT 'exclusive' CHECK (booking_mode IN ('exclusive', 'shared')),
+    -- Cancellation policy; NULL falls back to the member's plan
+    free_cancel_hours INTEGER CHECK (free_cancel_hours >= 0),
+    late_cancel_fee DECIMAL(10,2) CHECK (late_cancel_fee >= 0),
+    late_cancel_refund_percent INTEGER CHECK (late_cancel_refund_percent BETWEEN 0 AND 100),
+    check_in_required BOOLEAN NOT NULL DEFAULT FALSE, -- bookings nobody checked in for become no-shows
+    booking_required BOOLEAN NOT NULL DEFAULT FALSE, -- members need a current booking to check in here
     status VARCHAR(20) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'maintenance', 'closed')),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT facilities_booking_length_check CHECK (max_booking_minutes >= min_booking_minutes)
+);
+
+-- Scheduled periods when a facility cannot be booked
+CREATE TABLE maintenance_windows (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    facility_id UUID NOT NULL REFERENCES facilities(id),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    reason VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+-- Days the whole club is closed, e.g. public holidays; both dates are included
+CREATE TABLE blackout_dates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+-- Date ranges with their own weekly hours, e.g. winter hours for outdoor courts
+CREATE TABLE facility_seasons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    facility_id UUID NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+-- Weekly opening hours (season_id NULL) and each season's hours. A row with no times closes
+-- the facility that day; days without a row keep operating_hours_start/end.
+CREATE TABLE facility_hours (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    facility_id UUID NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    season_id UUID REFERENCES facility_seasons(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 is Sunday
+    opens_at TIME,
+    closes_at TIME,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((opens_at IS NULL AND closes_at IS NULL) OR closes_at > opens_at)
+);
+
+-- What bookings cost. A booking is priced minute by minute by the most specific rule covering
+-- each minute: rules for the member's plan before rules for every plan (membership_type_id
+-- NULL), then rules limited to some days or hours before all-day ones.
+CREATE TABLE facility_pricing_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    facility_id UUID NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    membership_type_id UUID REFERENCES membership_types(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    -- included: free for the member; flat: rates per booking; hourly: rates per hour
+    pricing_type VARCHAR(20) NOT NULL CHECK (pricing_type IN ('included', 'flat', 'hourly')),
+    member_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00 CHECK (member_rate >= 0),
+    guest_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00 CHECK (guest_rate >= 0),
+    days_of_week SMALLINT[], -- 0 is Sunday; NULL is every day
+    starts_at TIME, -- on the club clock; NULL is all day, and ends_at before starts_at runs past midnight
+    ends_at TIME,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((starts_at IS NULL) = (ends_at IS NULL) AND (starts_at IS NULL OR starts_at <> ends_at))
+);
+
+-- Recurring booking pattern; each occurrence is a normal row in bookings
+CREATE TABLE booking_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    facility_id UUID NOT NULL REFERENCES facilities(id),
+    recurrence_rule VARCHAR(255) NOT NULL,
+    first_start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    until_date DATE,
+    occurrence_count INTEGER,
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -141,28 +302,66 @@ CREATE TABLE bookings (
     end_time TIMESTAMP WITH TIME ZONE NOT NULL,
     status VARCHAR(20) NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'cancelled', 'completed', 'no_show')),
     total_cost DECIMAL(10,2) DEFAULT 0.00,
+    -- How total_cost was worked out: the pricing lines from calculatePrice
+    price_breakdown JSONB,
     notes TEXT,
+    series_id UUID REFERENCES booking_series(id),
+    participants INTEGER NOT NULL DEFAULT 1 CHECK (participants >= 1),
+    -- Time the facility is taken: the booking plus the facility's cleanup buffer. Set by
+    -- prevent_overlapping_bookings; NULL at shared facilities.
+    blocked_during TSTZRANGE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Active bookings at an exclusive facility cannot overlap, cleanup time included
+    CONSTRAINT bookings_no_overlap EXCLUDE USING gist (facility_id WITH =, blocked_during WITH &&)
+        WHERE (status IN ('confirmed', 'completed'))
 );
 
 -- Create trigger function to prevent overlapping bookings
 CREATE OR REPLACE FUNCTION prevent_overlapping_bookings()
 RETURNS TRIGGER AS $$
+DECLARE
+    facility_mode VARCHAR(20);
+    facility_capacity INTEGER;
+    facility_buffer INTEGER;
+    booked_participants INTEGER;
 BEGIN
-    IF EXISTS (
-        SELECT 1 FROM bookings
+    SELECT booking_mode, capacity, booking_buffer_minutes
+    INTO facility_mode, facility_capacity, facility_buffer
+    FROM facilities
+    WHERE id = NEW.facility_id;
+
+    -- Shared facilities accept bookings until their capacity is reached. The facility row is
+    -- locked so concurrent bookings are counted one after the other.
+    IF facility_mode = 'shared' THEN
+        NEW.blocked_during := NULL;
+
+        IF NEW.status NOT IN ('confirmed', 'completed') THEN
+            RETURN NEW;
+        END IF;
+
+        PERFORM 1 FROM facilities WHERE id = NEW.facility_id FOR UPDATE;
+
+        SELECT COALESCE(SUM(participants), 0) INTO booked_participants
+        FROM bookings
         WHERE facility_id = NEW.facility_id
-        AND id != COALESCE(NEW.id, 0)
+        AND id <> NEW.id
         AND status IN ('confirmed', 'completed')
-        AND (
-            (start_time <= NEW.start_time AND end_time > NEW.start_time) OR
-            (start_time < NEW.end_time AND end_time >= NEW.end_time) OR
-            (start_time >= NEW.start_time AND end_time <= NEW.end_time)
-        )
-    ) THEN
-        RAISE EXCEPTION 'Booking conflicts with existing booking for this facility';
+        AND start_time < NEW.end_time AND end_time > NEW.start_time;
+
+        IF booked_participants + NEW.participants > COALESCE(facility_capacity, 1) THEN
+            RAISE EXCEPTION 'Booking exceeds the capacity of this facility';
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    -- Exclusive facilities are kept free of overlaps by bookings_no_overlap. A booking keeps
+    -- the range it was made with until it moves, so later buffer changes leave it alone.
+    IF TG_OP = 'INSERT' OR NEW.facility_id <> OLD.facility_id
+        OR NEW.start_time <> OLD.start_time OR NEW.end_time <> OLD.end_time THEN
+        NEW.blocked_during := tstzrange(
+            NEW.start_time, NEW.end_time + make_interval(mins => COALESCE(facility_buffer, 0)), '[)'
+        );
     END IF;
     RETURN NEW;
 END;
@@ -183,12 +382,123 @@ CREATE TABLE transactions (
     currency VARCHAR(3) DEFAULT 'USD',
     status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'refunded')),
     payment_method VARCHAR(50),
-    payment_gateway_id VARCHAR(100),
+    payment_gateway_id VARCHAR(100), -- the provider's payment intent or refund ID
+    payment_provider VARCHAR(20),
+    failure_reason TEXT,
+    -- For refunds, the charge the money went back to
+    parent_transaction_id UUID REFERENCES transactions(id),
     description TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Named guests brought to a booking by a member
+CREATE TABLE booking_guests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    sponsor_user_id UUID NOT NULL REFERENCES users(id),
+    guest_name VARCHAR(200) NOT NULL,
+    guest_email VARCHAR(255),
+    guest_phone VARCHAR(20),
+    used_guest_pass BOOLEAN NOT NULL DEFAULT TRUE,
+    fee_amount DECIMAL(10,2) DEFAULT 0.00,
+    transaction_id UUID REFERENCES transactions(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'expected' CHECK (status IN ('expected', 'arrived', 'cancelled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Members waiting for a booked slot; the first eligible member is offered it when it frees up
+CREATE TABLE booking_waitlist (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    facility_id UUID NOT NULL REFERENCES facilities(id),
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+    offered_at TIMESTAMP WITH TIME ZONE,
+    offer_expires_at TIMESTAMP WITH TIME ZONE,
+    booking_id UUID REFERENCES bookings(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Member arrivals at the club, tied to the booking they came for when there is one
+CREATE TABLE check_ins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    facility_id UUID REFERENCES facilities(id),
+    booking_id UUID REFERENCES bookings(id),
+    method VARCHAR(20) CHECK (method IN ('email', 'membership_number', 'code')),
+    checked_in_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    checked_in_by UUID REFERENCES users(id),
+    checked_out_at TIMESTAMP WITH TIME ZONE,
+    checked_out_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One strike per missed booking; enough strikes in the rolling window suspend booking
+CREATE TABLE no_show_strikes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    booking_id UUID NOT NULL UNIQUE REFERENCES bookings(id),
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL, -- start of the missed booking
+    waived_at TIMESTAMP WITH TIME ZONE,
+    waived_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE booking_suspensions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    strike_count INTEGER NOT NULL,
+    lifted_at TIMESTAMP WITH TIME ZONE,
+    lifted_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RFID cards registered to members
+CREATE TABLE access_credentials (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    card_uid VARCHAR(64) UNIQUE NOT NULL, -- as reported by the reader, upper-case hex
+    label VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+    created_by UUID REFERENCES users(id),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Door readers; a reader without a facility guards the club entrance
+CREATE TABLE access_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    facility_id UUID REFERENCES facilities(id),
+    api_key_hash VARCHAR(64) NOT NULL, -- SHA-256 of the key the reader sends
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+    last_seen_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Every card presented to a reader and the decision it got
+CREATE TABLE access_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    device_id UUID NOT NULL REFERENCES access_devices(id),
+    card_uid VARCHAR(64) NOT NULL,
+    credential_id UUID REFERENCES access_credentials(id),
+    user_id UUID REFERENCES users(id),
+    facility_id UUID REFERENCES facilities(id),
+    booking_id UUID REFERENCES bookings(id),
+    decision VARCHAR(10) NOT NULL CHECK (decision IN ('allow', 'deny')),
+    reason VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 CREATE TABLE audit_log (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     table_name VARCHAR(50) NOT NULL,
@@ -246,6 +556,70 @@ CREATE TRIGGER audit_facilities_trigger
     AFTER INSERT OR UPDATE OR DELETE ON facilities
     FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
 
+CREATE TRIGGER audit_membership_freezes_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON membership_freezes
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_membership_dependants_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON membership_dependants
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_booking_guests_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON booking_guests
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_membership_types_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON membership_types
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_booking_series_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON booking_series
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_booking_waitlist_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON booking_waitlist
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_check_ins_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON check_ins
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_no_show_strikes_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON no_show_strikes
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_booking_suspensions_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON booking_suspensions
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_access_credentials_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON access_credentials
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_access_devices_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON access_devices
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_maintenance_windows_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON maintenance_windows
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_blackout_dates_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON blackout_dates
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_facility_seasons_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON facility_seasons
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_facility_hours_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON facility_hours
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
+CREATE TRIGGER audit_facility_pricing_rules_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON facility_pricing_rules
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
+
 -- Indexes for performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
@@ -254,12 +628,41 @@ CREATE INDEX idx_bookings_user_id ON bookings(user_id);
 CREATE INDEX idx_bookings_facility_id ON bookings(facility_id);
 CREATE INDEX idx_bookings_start_time ON bookings(start_time);
 CREATE INDEX idx_bookings_status ON bookings(status);
+CREATE INDEX idx_bookings_series_id ON bookings(series_id);
+CREATE INDEX idx_booking_series_user_id ON booking_series(user_id);
+CREATE INDEX idx_booking_waitlist_slot ON booking_waitlist(facility_id, start_time);
+CREATE INDEX idx_booking_waitlist_user_id ON booking_waitlist(user_id);
+CREATE INDEX idx_booking_guests_booking_id ON booking_guests(booking_id);
+CREATE INDEX idx_booking_guests_sponsor_user_id ON booking_guests(sponsor_user_id);
+CREATE INDEX idx_check_ins_user_id ON check_ins(user_id);
+CREATE INDEX idx_check_ins_booking_id ON check_ins(booking_id);
+CREATE INDEX idx_check_ins_on_site ON check_ins(checked_in_at) WHERE checked_out_at IS NULL;
+CREATE INDEX idx_access_credentials_user_id ON access_credentials(user_id);
+CREATE INDEX idx_access_events_created_at ON access_events(created_at);
+CREATE INDEX idx_access_events_user_id ON access_events(user_id);
+CREATE INDEX idx_access_events_booking_id ON access_events(booking_id);
+CREATE INDEX idx_maintenance_windows_facility ON maintenance_windows(facility_id, starts_at);
+CREATE INDEX idx_blackout_dates_range ON blackout_dates(start_date, end_date);
+CREATE INDEX idx_facility_seasons_facility ON facility_seasons(facility_id, start_date);
+CREATE UNIQUE INDEX idx_facility_hours_weekly ON facility_hours(facility_id, day_of_week) WHERE season_id IS NULL;
+CREATE UNIQUE INDEX idx_facility_hours_season ON facility_hours(season_id, day_of_week) WHERE season_id IS NOT NULL;
+CREATE INDEX idx_facility_pricing_rules_facility ON facility_pricing_rules(facility_id);
+CREATE INDEX idx_no_show_strikes_user_id ON no_show_strikes(user_id, occurred_at);
+CREATE INDEX idx_booking_suspensions_user_id ON booking_suspensions(user_id);
 CREATE INDEX idx_transactions_user_id ON transactions(user_id);
 CREATE INDEX idx_transactions_status ON transactions(status);
+CREATE INDEX idx_transactions_gateway_id ON transactions(payment_provider, payment_gateway_id);
+CREATE INDEX idx_transactions_booking_id ON transactions(booking_id);
+CREATE INDEX idx_transactions_membership_id ON transactions(membership_id);
 CREATE INDEX idx_audit_log_table_name ON audit_log(table_name);
 CREATE INDEX idx_audit_log_timestamp ON audit_log(timestamp);
 CREATE INDEX idx_memberships_user_id ON memberships(user_id);
 CREATE INDEX idx_memberships_status ON memberships(status);
+CREATE INDEX idx_membership_type_prices_type_id ON membership_type_prices(membership_type_id);
+CREATE INDEX idx_membership_freezes_membership_id ON membership_freezes(membership_id);
+CREATE INDEX idx_membership_dependants_membership_id ON membership_dependants(membership_id);
+-- A user can be an active dependant on only one membership at a time
+CREATE UNIQUE INDEX idx_membership_dependants_active_user ON membership_dependants(user_id) WHERE status = 'active';
 
 -- Views for common queries
 CREATE VIEW active_memberships AS
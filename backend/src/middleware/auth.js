@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
+const { validate: isUuid } = require('uuid');
 const User = require('../models/User');
+const AccessDevice = require('../models/AccessDevice');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -78,11 +80,35 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Door readers authenticate with their device ID and the API key issued when they were registered
+const deviceAuthMiddleware = async (req, res, next) => {
+  try {
+    const deviceId = req.header('X-Device-Id');
+    const apiKey = req.header('X-Device-Key');
+
+    if (!deviceId || !apiKey || !isUuid(deviceId)) {
+      return res.status(401).json({ error: 'Device credentials required.' });
+    }
+
+    const device = await AccessDevice.authenticate(deviceId, apiKey);
+    if (!device) {
+      return res.status(401).json({ error: 'Invalid device credentials.' });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device auth middleware error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
   authMiddleware,
   roleMiddleware,
   adminMiddleware,
   staffMiddleware,
   memberMiddleware,
-  optionalAuth
+  optionalAuth,
+  deviceAuthMiddleware
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+
+class AccessCredential {
+  // Readers report UIDs in different formats ("04:a2:1b:9c", "04A21B9C"); store one of them
+  static normalizeUid(cardUid) {
+    return cardUid.replace(/[\s:-]/g, '').toUpperCase();
+  }
+
+  // A revoked card can be registered again, to the same or another member
+  static async register(credentialData, staffId) {
+    const { userId, cardUid, label = null } = credentialData;
+    const uid = AccessCredential.normalizeUid(cardUid);
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const userResult = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found.');
+      }
+
+      const existingResult = await client.query(
+        'SELECT * FROM access_credentials WHERE card_uid = $1 FOR UPDATE',
+        [uid]
+      );
+      const existing = existingResult.rows[0];
+
+      if (existing && existing.status === 'active') {
+        throw new Error('This card is already registered.');
+      }
+
+      if (existing) {
+        const result = await client.query(`
+          UPDATE access_credentials
+          SET user_id = $1, label = $2, status = 'active', created_by = $3,
+              revoked_at = NULL, updated_at = NOW()
+          WHERE id = $4
+          RETURNING *
+        `, [userId, label, staffId, existing.id]);
+
+        return result.rows[0];
+      }
+
+      const result = await client.query(`
+        INSERT INTO access_credentials (user_id, card_uid, label, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [userId, uid, label, staffId]);
+
+      return result.rows[0];
+    });
+  }
+
+  static async findByUid(cardUid, client = pool) {
+    const result = await client.query(
+      'SELECT * FROM access_credentials WHERE card_uid = $1',
+      [AccessCredential.normalizeUid(cardUid)]
+    );
+
+    return result.rows[0];
+  }
+
+  static async getAll(filters = {}) {
+    let query = `
+      SELECT c.*, u.first_name, u.last_name, u.email, u.membership_number
+      FROM access_credentials c
+      JOIN users u ON c.user_id = u.id
+      WHERE 1=1
+    `;
+
+    const values = [];
+    let paramIndex = 1;
+
+    if (filters.userId) {
+      query += ` AND c.user_id = $${paramIndex}`;
+      values.push(filters.userId);
+      paramIndex++;
+    }
+
+    if (filters.status) {
+      query += ` AND c.status = $${paramIndex}`;
+      values.push(filters.status);
+      paramIndex++;
+    }
+
+    query += ` ORDER BY c.created_at DESC`;
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  static async revoke(id, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        UPDATE access_credentials
+        SET status = 'revoked', revoked_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'active'
+        RETURNING *
+      `, [id]);
+
+      return result.rows[0];
+    });
+  }
+}
+
+module.exports = AccessCredential;
\ No newline at end of file
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const DEVICE_FIELDS = 'id, name, facility_id, status, last_seen_at, created_at, updated_at';
+
+class AccessDevice {
+  // The API key is only returned here; the reader has to be configured with it straight away
+  static async create(deviceData, staffId) {
+    const { name, facilityId = null } = deviceData;
+    const apiKey = crypto.randomBytes(24).toString('hex');
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      if (facilityId) {
+        const facilityResult = await client.query('SELECT id FROM facilities WHERE id = $1', [facilityId]);
+        if (facilityResult.rows.length === 0) {
+          throw new Error('Facility not found.');
+        }
+      }
+
+      const result = await client.query(`
+        INSERT INTO access_devices (name, facility_id, api_key_hash)
+        VALUES ($1, $2, $3)
+        RETURNING ${DEVICE_FIELDS}
+      `, [name, facilityId, hashKey(apiKey)]);
+
+      return { ...result.rows[0], apiKey };
+    });
+  }
+
+  // Returns the device when the key matches an active reader
+  static async authenticate(id, apiKey) {
+    const result = await pool.query(`
+      SELECT *
+      FROM access_devices
+      WHERE id = $1 AND status = 'active'
+    `, [id]);
+
+    const device = result.rows[0];
+    if (!device) {
+      return null;
+    }
+
+    const expected = Buffer.from(device.api_key_hash, 'hex');
+    const actual = Buffer.from(hashKey(apiKey), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    await pool.query('UPDATE access_devices SET last_seen_at = NOW() WHERE id = $1', [id]);
+
+    delete device.api_key_hash;
+    return device;
+  }
+
+  static async getAll() {
+    const query = `
+      SELECT d.id, d.name, d.facility_id, d.status, d.last_seen_at, d.created_at, d.updated_at,
+             f.name as facility_name
+      FROM access_devices d
+      LEFT JOIN facilities f ON d.facility_id = f.id
+      ORDER BY d.name ASC
+    `;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  static async updateStatus(id, status, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        UPDATE access_devices
+        SET status = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING ${DEVICE_FIELDS}
+      `, [status, id]);
+
+      return result.rows[0];
+    });
+  }
+}
+
+module.exports = AccessDevice;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const { pool, withTransaction } = require('../database/connection');
+const AccessCredential = require('./AccessCredential');
+const CheckIn = require('./CheckIn');
+const Membership = require('./Membership');
+const MembershipFreeze = require('./MembershipFreeze');
+const { clubDate } = require('../utils/clubTime');
+
+// Shown on the reader's display; the reason codes are stored with each event
+const REASON_MESSAGES = {
+  member: 'Welcome.',
+  booking: 'Welcome. Enjoy your booking.',
+  unknown_card: 'Card not recognised.',
+  card_revoked: 'This card is no longer valid.',
+  account_inactive: 'Account is not active.',
+  no_active_membership: 'No active membership.',
+  membership_frozen: 'Membership is frozen.',
+  facility_unavailable: 'Facility is not available.',
+  no_facility_access: 'Membership does not include this facility.',
+  booking_required: 'A current booking is required.'
+};
+
+// Works out whether the card holder may pass the device's door right now
+async function decide(client, device, credential) {
+  if (!credential) {
+    return { decision: 'deny', reason: 'unknown_card' };
+  }
+
+  if (credential.status !== 'active') {
+    return { decision: 'deny', reason: 'card_revoked' };
+  }
+
+  const userResult = await client.query('SELECT status FROM users WHERE id = $1', [credential.user_id]);
+  if (userResult.rows[0].status !== 'active') {
+    return { decision: 'deny', reason: 'account_inactive' };
+  }
+
+  const membership = await Membership.getActiveMembership(credential.user_id);
+  if (!membership) {
+    return { decision: 'deny', reason: 'no_active_membership' };
+  }
+
+  const freeze = await MembershipFreeze.findActiveOn(membership.id, clubDate(), client);
+  if (freeze) {
+    return { decision: 'deny', reason: 'membership_frozen' };
+  }
+
+  // Readers without a facility guard the club entrance, which any member may use
+  if (!device.facility_id) {
+    return { decision: 'allow', reason: 'member' };
+  }
+
+  const facilityResult = await client.query('SELECT * FROM facilities WHERE id = $1', [device.facility_id]);
+  const facility = facilityResult.rows[0];
+
+  if (facility.status !== 'available') {
+    return { decision: 'deny', reason: 'facility_unavailable' };
+  }
+
+  if (!membership.facilities_access.includes(facility.type)) {
+    return { decision: 'deny', reason: 'no_facility_access' };
+  }
+
+  const booking = await CheckIn.findCurrentBooking(client, credential.user_id, facility.id);
+  if (booking) {
+    return { decision: 'allow', reason: 'booking', booking };
+  }
+
+  if (facility.booking_required) {
+    return { decision: 'deny', reason: 'booking_required' };
+  }
+
+  return { decision: 'allow', reason: 'member' };
+}
+
+class AccessEvent {
+  // Decides on a card presented to a reader and logs the attempt, whatever the outcome
+  static async verify(device, cardUid) {
+    return await withTransaction(async (client) => {
+      const credential = await AccessCredential.findByUid(cardUid, client);
+      const { decision, reason, booking = null } = await decide(client, device, credential);
+
+      const result = await client.query(`
+        INSERT INTO access_events (
+          device_id, card_uid, credential_id, user_id, facility_id, booking_id, decision, reason
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        device.id, AccessCredential.normalizeUid(cardUid), credential ? credential.id : null,
+        credential ? credential.user_id : null, device.facility_id, booking ? booking.id : null,
+        decision, reason
+      ]);
+
+      return { ...result.rows[0], message: REASON_MESSAGES[reason] };
+    });
+  }
+
+  static async getAll(filters = {}) {
+    let query = `
+      SELECT e.*, d.name as device_name, f.name as facility_name,
+             u.first_name, u.last_name, u.membership_number
+      FROM access_events e
+      JOIN access_devices d ON e.device_id = d.id
+      LEFT JOIN facilities f ON e.facility_id = f.id
+      LEFT JOIN users u ON e.user_id = u.id
+      WHERE 1=1
+    `;
+
+    const values = [];
+    let paramIndex = 1;
+
+    if (filters.deviceId) {
+      query += ` AND e.device_id = $${paramIndex}`;
+      values.push(filters.deviceId);
+      paramIndex++;
+    }
+
+    if (filters.userId) {
+      query += ` AND e.user_id = $${paramIndex}`;
+      values.push(filters.userId);
+      paramIndex++;
+    }
+
+    if (filters.decision) {
+      query += ` AND e.decision = $${paramIndex}`;
+      values.push(filters.decision);
+      paramIndex++;
+    }
+
+    if (filters.date) {
+      query += ` AND DATE(e.created_at) = $${paramIndex}`;
+      values.push(filters.date);
+      paramIndex++;
+    }
+
+    query += ` ORDER BY e.created_at DESC LIMIT $${paramIndex}`;
+    values.push(filters.limit || 100);
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+}
+
+module.exports = AccessEvent;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const moment = require('moment');
+const { clubDayRange } = require('../utils/clubTime');
+
+class BlackoutDate {
+  // Adds the closure and reports the bookings already made on those days at any facility
+  static async create(blackoutData, staffId) {
+    const { name, startDate, endDate } = blackoutData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        INSERT INTO blackout_dates (name, start_date, end_date, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [name, startDate, endDate, staffId]);
+
+      const blackout = result.rows[0];
+      const conflicts = await BlackoutDate.findConflicts(client, blackout);
+
+      return { blackout, conflicts };
+    });
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM blackout_dates WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  static async getAll(filters = {}) {
+    let query = `
+      SELECT *
+      FROM blackout_dates
+      WHERE 1=1
+    `;
+
+    if (filters.upcoming) {
+      query += ` AND end_date >= CURRENT_DATE`;
+    }
+
+    query += ` ORDER BY start_date ASC`;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  // `date` is a YYYY-MM-DD club date
+  static async findCovering(client, date) {
+    const result = await client.query(`
+      SELECT *
+      FROM blackout_dates
+      WHERE $1::date BETWEEN start_date AND end_date
+      ORDER BY start_date ASC
+      LIMIT 1
+    `, [date]);
+
+    return result.rows[0];
+  }
+
+  // Upcoming bookings at any facility on the blackout days
+  static async findConflicts(client, blackout) {
+    const result = await client.query(`
+      SELECT b.*, f.name as facility_name, u.first_name, u.last_name, u.email
+      FROM bookings b
+      JOIN facilities f ON b.facility_id = f.id
+      JOIN users u ON b.user_id = u.id
+      WHERE b.status IN ('confirmed', 'pending')
+        AND b.start_time >= $1 AND b.start_time < $2
+        AND b.end_time > NOW()
+      ORDER BY b.start_time ASC
+    `, [
+      clubDayRange(moment(blackout.start_date).format('YYYY-MM-DD')).start,
+      clubDayRange(moment(blackout.end_date).format('YYYY-MM-DD')).end
+    ]);
+
+    return result.rows;
+  }
+
+  static async getConflicts(id) {
+    const blackout = await BlackoutDate.findById(id);
+    if (!blackout) {
+      return null;
+    }
+
+    return { blackout, conflicts: await BlackoutDate.findConflicts(pool, blackout) };
+  }
+
+  static async delete(id, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query('DELETE FROM blackout_dates WHERE id = $1 RETURNING *', [id]);
+      return result.rows[0];
+    });
+  }
+}
+
+module.exports = BlackoutDate;
\ No newline at end of file
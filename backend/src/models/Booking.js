@@ -1,123 +1,365 @@
-const { pool, withTransaction } = require('../database/connection');
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
 const moment = require('moment');
+const MembershipFreeze = require('./MembershipFreeze');
+const MembershipDependant = require('./MembershipDependant');
+const BookingGuest = require('./BookingGuest');
+const Facility = require('./Facility');
+const Transaction = require('./Transaction');
+const BookingStrike = require('./BookingStrike');
+const MaintenanceWindow = require('./MaintenanceWindow');
+const BlackoutDate = require('./BlackoutDate');
+const FacilitySchedule = require('./FacilitySchedule');
+const PricingRule = require('./PricingRule');
+const { resolvePolicy, calculateCancellation } = require('../utils/cancellationPolicy');
+const { toClubTime, clubDate, clubDayRange } = require('../utils/clubTime');
+const { slotStep, isOnSlotGrid, isWithinHours } = require('../utils/slots');
+const { ruleError } = require('../utils/ruleError');
+
+function feeConfirmationError(quote) {
+  const error = new Error('Cancelling this booking now is charged. Confirm with acceptFee to go ahead.');
+  error.quote = quote;
+  return error;
+}
+
+// Writes a booking's facility or times. When another booking gets in first despite the checks
+// in validateSlot, the bookings_no_overlap constraint rejects the write (exclusion_violation).
+async function writeBookingSlot(client, query, params) {
+  try {
+    return await client.query(query, params);
+  } catch (error) {
+    if (error.code === '23P01') {
+      throw ruleError('SLOT_CONFLICT', 'This time slot overlaps another booking or its cleanup time.');
+    }
+    throw error;
+  }
+}
 
 class Booking {
   static async create(bookingData) {
-    const { userId, facilityId, startTime, endTime, notes } = bookingData;
+    return await withTransaction(async (client) => {
+      return await Booking.createWithClient(client, bookingData);
+    });
+  }
+
+  // Validates, inserts and prices a booking inside the caller's transaction
+  static async createWithClient(client, bookingData) {
+    const { userId, facilityId, startTime, endTime, notes, guests = [], seriesId = null } = bookingData;
+
+    // The member and each of their guests take a spot
+    const participants = 1 + guests.length;
+    await Booking.validateSlot(client, { userId, facilityId, startTime, endTime, participants });
+
+    const insertQuery = `
+      INSERT INTO bookings (user_id, facility_id, start_time, end_time, notes, status, series_id, participants)
+      VALUES ($1, $2, $3, $4, $5, 'confirmed', $6, $7)
+      RETURNING *
+    `;
+
+    const result = await writeBookingSlot(client, insertQuery, [
+      userId, facilityId, startTime, endTime, notes, seriesId, participants
+    ]);
+
+    const booking = await PricingRule.chargeWithClient(client, result.rows[0]);
+    if (guests.length > 0) {
+      booking.guests = await BookingGuest.addToBooking(client, booking, userId, guests);
+    }
+
+    return booking;
+  }
+
+  // Moves an existing booking to a new slot after checking the slot with the booking itself left
+  // out, and charges or refunds the change in price. Bookings made before pricing keep their price.
+  // movingIds are the bookings moving along with it, which are left out of the checks as well.
+  static async moveWithClient(client, booking, startTime, endTime, movingIds = [booking.id]) {
+    await Booking.validateSlot(client, {
+      userId: booking.user_id,
+      facilityId: booking.facility_id,
+      startTime,
+      endTime,
+      participants: booking.participants,
+      excludeBookingIds: movingIds
+    });
+
+    const result = await writeBookingSlot(client, `
+      UPDATE bookings
+      SET start_time = $1, end_time = $2, updated_at = NOW()
+      WHERE id = $3
+      RETURNING *
+    `, [startTime, endTime, booking.id]);
+
+    const moved = result.rows[0];
+    return moved.price_breakdown === null ? moved : await PricingRule.chargeWithClient(client, moved);
+  }
+
+  // Moves a booking to the same slot at another facility, checking that facility's rules for it.
+  // The member keeps the price they booked at, since the club made the move.
+  static async relocateWithClient(client, booking, facilityId) {
+    await Booking.validateSlot(client, {
+      userId: booking.user_id,
+      facilityId,
+      startTime: booking.start_time,
+      endTime: booking.end_time,
+      participants: booking.participants,
+      excludeBookingIds: [booking.id]
+    });
+
+    const result = await writeBookingSlot(client, `
+      UPDATE bookings
+      SET facility_id = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [facilityId, booking.id]);
+
+    return result.rows[0];
+  }
+
+  // Moves the member's upcoming booking in one transaction, keeping its ID, guests and notes.
+  // The previous times are kept in audit_log against the member who made the change.
+  static async reschedule(id, userId, changes) {
+    const { startTime, endTime, notes } = changes;
 
     return await withTransaction(async (client) => {
-      // Check facility availability and prevent double bookings
-      const availabilityQuery = `
-        SELECT id FROM bookings
-        WHERE facility_id = $1
-          AND status IN ('confirmed', 'pending')
-          AND (
-            (start_time <= $2 AND end_time > $2) OR
-            (start_time < $3 AND end_time >= $3) OR
-            (start_time >= $2 AND end_time <= $3)
-          )
+      await setTransactionUser(client, userId);
+
+      const bookingResult = await client.query(`
+        SELECT *
+        FROM bookings
+        WHERE id = $1 AND user_id = $2 AND status = 'confirmed' AND start_time > NOW()
         FOR UPDATE
-      `;
+      `, [id, userId]);
 
-      const conflictingBookings = await client.query(availabilityQuery, [
-        facilityId, startTime, endTime
-      ]);
+      const previous = bookingResult.rows[0];
+      if (!previous) {
+        return null;
+      }
 
-      if (conflictingBookings.rows.length > 0) {
-        throw new Error('Facility is already booked for this time slot.');
+      if (moment(previous.start_time).isSame(startTime) && moment(previous.end_time).isSame(endTime)) {
+        throw ruleError('SAME_TIME', 'Booking is already at this time.');
       }
 
-      // Check facility operating hours
-      const facilityQuery = `
-        SELECT name, booking_duration_minutes, operating_hours_start, operating_hours_end
-        FROM facilities
-        WHERE id = $1 AND status = 'available'
-      `;
+      let booking = await Booking.moveWithClient(client, previous, startTime, endTime);
 
-      const facilityResult = await client.query(facilityQuery, [facilityId]);
-      if (facilityResult.rows.length === 0) {
-        throw new Error('Facility not available or does not exist.');
+      if (notes !== undefined) {
+        const notesResult = await client.query(`
+          UPDATE bookings
+          SET notes = $1, updated_at = NOW()
+          WHERE id = $2
+          RETURNING *
+        `, [notes, id]);
+        booking = notesResult.rows[0];
       }
 
-      const facility = facilityResult.rows[0];
-      const bookingStart = moment(startTime);
-      const bookingEnd = moment(endTime);
-      const bookingDuration = bookingEnd.diff(bookingStart, 'minutes');
+      return { booking, previous };
+    });
+  }
 
-      if (bookingDuration !== facility.booking_duration_minutes) {
-        throw new Error(`Booking duration must be exactly ${facility.booking_duration_minutes} minutes.`);
-      }
+  // Applies every booking rule to a slot and throws the first one it breaks
+  static async validateSlot(client, slot) {
+    const { userId, facilityId, startTime, endTime, participants = 1, excludeBookingIds = [] } = slot;
+
+    // Check the facility can be booked. Bookings for a facility are serialised on its row so
+    // concurrent requests cannot both take the last spot in a slot.
+    const facilityQuery = `
+      SELECT id, name, booking_duration_minutes, booking_buffer_minutes, booking_granularity_minutes,
+             min_booking_minutes, max_booking_minutes, booking_increment_minutes,
+             operating_hours_start, operating_hours_end, booking_mode, capacity
+      FROM facilities
+      WHERE id = $1 AND status = 'available'
+      FOR UPDATE
+    `;
+
+    const facilityResult = await client.query(facilityQuery, [facilityId]);
+    if (facilityResult.rows.length === 0) {
+      throw ruleError('FACILITY_UNAVAILABLE', 'Facility not available or does not exist.');
+    }
+
+    const facility = facilityResult.rows[0];
+
+    // Scheduled maintenance and club blackout dates close the facility for bookings
+    const [maintenance] = await MaintenanceWindow.findOverlapping(client, facilityId, startTime, endTime);
+    if (maintenance) {
+      throw ruleError(
+        'FACILITY_MAINTENANCE',
+        `${facility.name} is closed for maintenance from ${toClubTime(maintenance.starts_at).format('YYYY-MM-DD HH:mm')} ` +
+        `to ${toClubTime(maintenance.ends_at).format('YYYY-MM-DD HH:mm')}.`
+      );
+    }
+
+    // Dates, opening hours and daily limits are all on the club's clock
+    const bookingDate = clubDate(startTime);
+
+    const blackout = await BlackoutDate.findCovering(client, bookingDate);
+    if (blackout) {
+      throw ruleError('CLUB_CLOSED', `The club is closed on ${bookingDate} (${blackout.name}).`);
+    }
+
+    // Prevent double bookings; shared facilities take bookings until capacity is reached.
+    // A slot offered to someone on the waitlist is held until their claim window closes.
+    const usage = await Facility.getSlotUsage(client, {
+      facilityId, startTime, endTime, userId, excludeBookingIds
+    });
 
-      // Check if booking is within operating hours
-      const bookingTime = moment(startTime).format('HH:mm:ss');
-      if (bookingTime < facility.operating_hours_start || bookingTime > facility.operating_hours_end) {
-        throw new Error('Booking time is outside facility operating hours.');
+    if (facility.booking_mode === 'shared') {
+      if (usage.userIds.includes(userId)) {
+        throw ruleError('DUPLICATE_BOOKING', 'You already have a booking for this time slot.');
       }
 
-      // Check user's active membership
-      const membershipQuery = `
-        SELECT m.*, mt.max_bookings_per_day, mt.max_booking_days_ahead, mt.facilities_access
-        FROM memberships m
-        JOIN membership_types mt ON m.membership_type_id = mt.id
-        WHERE m.user_id = $1 AND m.status = 'active' AND m.end_date >= CURRENT_DATE
-        ORDER BY m.created_at DESC
-        LIMIT 1
-      `;
+      const spotsLeft = Facility.spotsLeft(facility, usage);
+      if (participants > spotsLeft) {
+        throw ruleError('SLOT_FULL', spotsLeft === 0
+          ? 'This time slot is full.'
+          : `Only ${spotsLeft} spots left in this time slot.`);
+      }
+    } else if (usage.bookings > 0) {
+      throw ruleError('SLOT_TAKEN', 'Facility is already booked for this time slot.');
+    } else if (usage.held > 0) {
+      throw ruleError('SLOT_HELD', 'This time slot is being held for a waitlisted member.');
+    } else if (facility.booking_buffer_minutes > 0) {
+      // The facility is cleaned between bookings, so neighbouring bookings must leave the buffer free
+      const neighbours = await Facility.getNeighbouringBookings(client, {
+        facilityId, startTime, endTime, bufferMinutes: facility.booking_buffer_minutes, excludeBookingIds
+      });
+
+      if (neighbours.before) {
+        throw ruleError(
+          'BUFFER_BEFORE',
+          `${facility.name} needs ${facility.booking_buffer_minutes} minutes of cleanup after the booking ending at ` +
+          `${toClubTime(neighbours.before.end_time).format('HH:mm')}.`
+        );
+      }
 
-      const membershipResult = await client.query(membershipQuery, [userId]);
-      if (membershipResult.rows.length === 0) {
-        throw new Error('Active membership required to make bookings.');
+      if (neighbours.after) {
+        throw ruleError(
+          'BUFFER_AFTER',
+          `${facility.name} needs ${facility.booking_buffer_minutes} minutes of cleanup before the booking starting at ` +
+          `${toClubTime(neighbours.after.start_time).format('HH:mm')}.`
+        );
       }
+    }
 
-      const membership = membershipResult.rows[0];
+    const bookingStart = toClubTime(startTime);
+    const bookingEnd = toClubTime(endTime);
+    const bookingDuration = bookingEnd.diff(bookingStart, 'minutes');
 
-      // Check if membership allows access to this facility type
-      const facilityTypeQuery = `
-        SELECT type FROM facilities WHERE id = $1
-      `;
-      const facilityTypeResult = await client.query(facilityTypeQuery, [facilityId]);
-      const facilityType = facilityTypeResult.rows[0].type;
+    if (!Facility.isAllowedLength(facility, bookingDuration)) {
+      const { minMinutes, maxMinutes, incrementMinutes } = Facility.bookingLengths(facility);
+      throw ruleError('INVALID_DURATION', minMinutes === maxMinutes
+        ? `Booking duration must be exactly ${minMinutes} minutes.`
+        : `Booking duration must be ${minMinutes} to ${maxMinutes} minutes, in steps of ${incrementMinutes} minutes.`);
+    }
 
-      if (!membership.facilities_access.includes(facilityType)) {
-        throw new Error('Your membership does not include access to this facility.');
-      }
+    // Check the booking is within the day's opening hours, which may come from a season
+    const hours = await FacilitySchedule.getHoursOn(client, facility, bookingDate);
+    if (hours.closed) {
+      throw ruleError('FACILITY_CLOSED', `${facility.name} is closed on ${bookingStart.format('dddd, YYYY-MM-DD')}.`);
+    }
 
-      // Check booking limits
-      const bookingDate = moment(startTime).format('YYYY-MM-DD');
-      const dailyBookingsQuery = `
-        SELECT COUNT(*) as count
-        FROM bookings
-        WHERE user_id = $1
-          AND DATE(start_time) = $2
-          AND status IN ('confirmed', 'pending')
-      `;
+    if (!isWithinHours(startTime, endTime, hours)) {
+      throw ruleError(
+        'OUTSIDE_HOURS',
+        `Booking time is outside facility operating hours (${hours.opensAt.slice(0, 5)}-${hours.closesAt.slice(0, 5)}).`
+      );
+    }
 
-      const dailyBookingsResult = await client.query(dailyBookingsQuery, [userId, bookingDate]);
-      const dailyBookingsCount = parseInt(dailyBookingsResult.rows[0].count);
+    // Bookings start on the facility's slot grid, the same start times the slot list offers
+    const grid = { opensAt: hours.opensAt, ...Facility.slotGrid(facility) };
+    if (!isOnSlotGrid(startTime, grid)) {
+      throw ruleError(
+        'SLOT_MISALIGNED',
+        `Bookings must start on a slot time, every ${slotStep(grid)} minutes from ${hours.opensAt.slice(0, 5)}.`
+      );
+    }
 
-      if (dailyBookingsCount >= membership.max_bookings_per_day) {
-        throw new Error(`Daily booking limit of ${membership.max_bookings_per_day} exceeded.`);
-      }
+    // Check user's active membership, either their own or one they are a dependant on
+    const membershipQuery = `
+      SELECT m.*, mt.max_bookings_per_day, mt.max_booking_days_ahead, mt.facilities_access,
+             mt.booking_limit_scope
+      FROM memberships m
+      JOIN membership_types mt ON m.membership_type_id = mt.id
+      WHERE (
+          m.user_id = $1 OR m.id IN (
+            SELECT membership_id FROM membership_dependants WHERE user_id = $1 AND status = 'active'
+          )
+        )
+        AND m.status = 'active' AND m.end_date >= CURRENT_DATE
+      ORDER BY (m.user_id = $1) DESC, m.created_at DESC
+      LIMIT 1
+    `;
 
-      // Check advance booking limit
-      const daysAhead = moment(startTime).diff(moment().startOf('day'), 'days');
-      if (daysAhead > membership.max_booking_days_ahead) {
-        throw new Error(`Bookings can only be made ${membership.max_booking_days_ahead} days in advance.`);
-      }
+    const membershipResult = await client.query(membershipQuery, [userId]);
+    if (membershipResult.rows.length === 0) {
+      throw ruleError('MEMBERSHIP_REQUIRED', 'Active membership required to make bookings.');
+    }
 
-      // Create the booking
-      const insertQuery = `
-        INSERT INTO bookings (user_id, facility_id, start_time, end_time, notes, status)
-        VALUES ($1, $2, $3, $4, $5, 'confirmed')
-        RETURNING *
-      `;
+    const membership = membershipResult.rows[0];
+
+    // Frozen memberships cannot be used to book during the freeze
+    const freeze = await MembershipFreeze.findActiveOn(
+      membership.id, bookingDate, client
+    );
+    if (freeze) {
+      throw ruleError(
+        'MEMBERSHIP_FROZEN',
+        `Your membership is frozen from ${moment(freeze.start_date).format('YYYY-MM-DD')} ` +
+        `to ${moment(freeze.end_date).format('YYYY-MM-DD')}.`
+      );
+    }
 
-      const result = await client.query(insertQuery, [
-        userId, facilityId, startTime, endTime, notes
-      ]);
+    // Members who keep missing bookings cannot book for a while
+    const suspension = await BookingStrike.getActiveSuspension(userId, client);
+    if (suspension) {
+      throw ruleError(
+        'BOOKING_SUSPENDED',
+        'Your booking privileges are suspended because of missed bookings until ' +
+        `${toClubTime(suspension.ends_at).format('YYYY-MM-DD HH:mm')}.`
+      );
+    }
 
-      return result.rows[0];
-    });
+    // Check if membership allows access to this facility type
+    const facilityTypeQuery = `
+      SELECT type FROM facilities WHERE id = $1
+    `;
+    const facilityTypeResult = await client.query(facilityTypeQuery, [facilityId]);
+    const facilityType = facilityTypeResult.rows[0].type;
+
+    if (!membership.facilities_access.includes(facilityType)) {
+      throw ruleError('FACILITY_NOT_INCLUDED', 'Your membership does not include access to this facility.');
+    }
+
+    // Check booking limits; household plans may share the daily limit across all members
+    const limitUserIds = membership.booking_limit_scope === 'household'
+      ? await MembershipDependant.getHouseholdUserIds(membership.id, client)
+      : [userId];
+
+    // Bookings the booking job has already settled still count toward the day's limit
+    const bookingDay = clubDayRange(bookingDate);
+    const dailyBookingsQuery = `
+      SELECT COUNT(*) as count
+      FROM bookings
+      WHERE user_id = ANY($1::uuid[])
+        AND start_time >= $2 AND start_time < $3
+        AND status IN ('confirmed', 'completed', 'no_show')
+        AND NOT (id = ANY($4::uuid[]))
+    `;
+
+    const dailyBookingsResult = await client.query(dailyBookingsQuery, [
+      limitUserIds, bookingDay.start, bookingDay.end, excludeBookingIds
+    ]);
+    const dailyBookingsCount = parseInt(dailyBookingsResult.rows[0].count);
+
+    if (dailyBookingsCount >= membership.max_bookings_per_day) {
+      throw ruleError('DAILY_LIMIT', membership.booking_limit_scope === 'household'
+        ? `Household daily booking limit of ${membership.max_bookings_per_day} exceeded.`
+        : `Daily booking limit of ${membership.max_bookings_per_day} exceeded.`);
+    }
+
+    // Check advance booking limit
+    const daysAhead = bookingStart.diff(toClubTime().startOf('day'), 'days');
+    if (daysAhead > membership.max_booking_days_ahead) {
+      throw ruleError('ADVANCE_LIMIT', `Bookings can only be made ${membership.max_booking_days_ahead} days in advance.`);
+    }
+
+    return { facility, membership };
   }
 
   static async findById(id) {
@@ -186,12 +428,13 @@ class Booking {
       FROM bookings b
       JOIN users u ON b.user_id = u.id
       WHERE b.facility_id = $1
-        AND DATE(b.start_time) = $2
+        AND b.start_time >= $2 AND b.start_time < $3
         AND b.status IN ('confirmed', 'pending')
       ORDER BY b.start_time ASC
     `;
 
-    const result = await pool.query(query, [facilityId, date]);
+    const day = clubDayRange(date);
+    const result = await pool.query(query, [facilityId, day.start, day.end]);
     return result.rows;
   }
 
@@ -201,26 +444,196 @@ class Booking {
              b.start_time, b.end_time, b.status
       FROM facilities f
       LEFT JOIN bookings b ON f.id = b.facility_id
-        AND DATE(b.start_time) = $2
+        AND b.start_time >= $2 AND b.start_time < $3
         AND b.status IN ('confirmed', 'pending')
       WHERE f.id = $1
       ORDER BY b.start_time ASC
     `;
 
-    const result = await pool.query(query, [facilityId, date]);
+    const day = clubDayRange(date);
+    const result = await pool.query(query, [facilityId, day.start, day.end]);
     return result.rows;
   }
 
-  static async cancel(id, userId) {
-    const query = `
+  // Cancels a booking under its facility's or plan's cancellation policy. When cancelling late
+  // costs the member anything, nothing changes until they accept it with `acceptFee`.
+  static async cancel(id, userId, options = {}) {
+    const { acceptFee = false } = options;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const bookingResult = await client.query(`
+        SELECT *
+        FROM bookings
+        WHERE id = $1 AND user_id = $2 AND status IN ('confirmed', 'pending')
+        FOR UPDATE
+      `, [id, userId]);
+
+      const booking = bookingResult.rows[0];
+      if (!booking) {
+        return null;
+      }
+
+      const quote = await Booking.quoteCancellation(client, booking);
+      if (quote.penalty > 0 && !acceptFee) {
+        throw feeConfirmationError(quote);
+      }
+
+      return await Booking.cancelWithClient(client, booking, quote);
+    });
+  }
+
+  // What cancelling the user's booking right now would cost, without cancelling it
+  static async getCancellationQuote(id, userId) {
+    const bookingResult = await pool.query(`
+      SELECT *
+      FROM bookings
+      WHERE id = $1 AND user_id = $2 AND status IN ('confirmed', 'pending')
+    `, [id, userId]);
+
+    const booking = bookingResult.rows[0];
+    if (!booking) {
+      return null;
+    }
+
+    return await Booking.quoteCancellation(pool, booking);
+  }
+
+  // Evaluates the cancellation policy for a booking against what has been charged for it
+  static async quoteCancellation(client, booking, date = new Date()) {
+    const policyResult = await client.query(`
+      SELECT f.free_cancel_hours, f.late_cancel_fee, f.late_cancel_refund_percent,
+             mt.free_cancel_hours as plan_free_cancel_hours,
+             mt.late_cancel_fee as plan_late_cancel_fee,
+             mt.late_cancel_refund_percent as plan_late_cancel_refund_percent
+      FROM facilities f
+      LEFT JOIN LATERAL (
+        SELECT mt.*
+        FROM memberships m
+        JOIN membership_types mt ON m.membership_type_id = mt.id
+        WHERE (
+            m.user_id = $2 OR m.id IN (
+              SELECT membership_id FROM membership_dependants WHERE user_id = $2 AND status = 'active'
+            )
+          )
+          AND m.status = 'active'
+        ORDER BY (m.user_id = $2) DESC, m.created_at DESC
+        LIMIT 1
+      ) mt ON TRUE
+      WHERE f.id = $1
+    `, [booking.facility_id, booking.user_id]);
+
+    const settings = policyResult.rows[0];
+    const policy = resolvePolicy(settings, {
+      free_cancel_hours: settings.plan_free_cancel_hours,
+      late_cancel_fee: settings.plan_late_cancel_fee,
+      late_cancel_refund_percent: settings.plan_late_cancel_refund_percent
+    });
+
+    // Booking fees less anything already refunded, e.g. for guests removed from the booking
+    const chargedResult = await client.query(`
+      SELECT COALESCE(SUM(CASE WHEN type = 'refund' THEN -amount ELSE amount END), 0) as charged
+      FROM transactions
+      WHERE booking_id = $1
+        AND type IN ('booking_fee', 'refund')
+        AND status IN ('pending', 'completed')
+    `, [booking.id]);
+
+    const chargedAmount = Math.max(parseFloat(chargedResult.rows[0].charged), 0);
+
+    return {
+      bookingId: booking.id,
+      startTime: booking.start_time,
+      policy,
+      ...calculateCancellation(policy, booking.start_time, chargedAmount, date)
+    };
+  }
+
+  // Cancels a locked booking and records the refund and late-cancel fee from its quote
+  static async cancelWithClient(client, booking, quote) {
+    const result = await client.query(`
       UPDATE bookings
       SET status = 'cancelled', updated_at = NOW()
-      WHERE id = $1 AND user_id = $2 AND status IN ('confirmed', 'pending')
+      WHERE id = $1
       RETURNING *
-    `;
+    `, [booking.id]);
+
+    const transactions = [];
+    if (quote.refund > 0) {
+      transactions.push(await Transaction.create({
+        userId: booking.user_id,
+        bookingId: booking.id,
+        type: 'refund',
+        amount: quote.refund,
+        description: `Refund for cancelled booking (${quote.refundPercent}%)`
+      }, client));
+    }
 
-    const result = await pool.query(query, [id, userId]);
-    return result.rows[0];
+    if (quote.fee > 0) {
+      transactions.push(await Transaction.create({
+        userId: booking.user_id,
+        bookingId: booking.id,
+        type: 'booking_fee',
+        amount: quote.fee,
+        description: 'Late cancellation fee'
+      }, client));
+    }
+
+    return { booking: result.rows[0], quote, transactions };
+  }
+
+  // Closes out bookings that have ended. A booking was attended when the member checked in for
+  // it, checked in at the club while it ran, or a door reader let them in for it. Without any of
+  // these it is a no-show at facilities that require check-in and completed everywhere else.
+  static async settleFinished(now = new Date()) {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT b.*, f.check_in_required,
+               EXISTS (
+                 SELECT 1 FROM check_ins c
+                 WHERE c.booking_id = b.id
+                    OR (c.booking_id IS NULL AND c.user_id = b.user_id
+                        AND (c.facility_id IS NULL OR c.facility_id = b.facility_id)
+                        AND c.checked_in_at < b.end_time
+                        AND (c.checked_out_at IS NULL OR c.checked_out_at > b.start_time))
+               ) OR EXISTS (
+                 SELECT 1 FROM access_events e
+                 WHERE e.booking_id = b.id AND e.decision = 'allow'
+               ) as checked_in
+        FROM bookings b
+        JOIN facilities f ON b.facility_id = f.id
+        WHERE b.status = 'confirmed' AND b.end_time <= $1
+        ORDER BY b.end_time ASC
+        FOR UPDATE OF b SKIP LOCKED
+      `, [now]);
+
+      const completed = [];
+      const noShows = [];
+      const suspensions = [];
+
+      for (const booking of result.rows) {
+        const status = booking.checked_in || !booking.check_in_required ? 'completed' : 'no_show';
+        await client.query(`
+          UPDATE bookings
+          SET status = $1, updated_at = NOW()
+          WHERE id = $2
+        `, [status, booking.id]);
+
+        if (status === 'completed') {
+          completed.push({ ...booking, status });
+          continue;
+        }
+
+        noShows.push({ ...booking, status });
+        const { suspension } = await BookingStrike.recordNoShow(client, booking, now);
+        if (suspension) {
+          suspensions.push(suspension);
+        }
+      }
+
+      return { completed, noShows, suspensions };
+    });
   }
 
   static async updateStatus(id, status) {
@@ -295,6 +708,21 @@ class Booking {
     return result.rows;
   }
 
+  // Audit trail for a booking, oldest first
+  static async getHistory(id) {
+    const query = `
+      SELECT a.id, a.operation, a.timestamp, a.old_data, a.new_data, a.user_id,
+             u.first_name, u.last_name
+      FROM audit_log a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.table_name = 'bookings' AND a.record_id = $1
+      ORDER BY a.timestamp ASC
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows;
+  }
+
   static async getBookingStats(startDate, endDate) {
     const query = `
       SELECT
@@ -302,7 +730,7 @@ class Booking {
         COUNT(CASE WHEN status = 'confirmed' THEN 1 END) as confirmed_bookings,
         COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_bookings,
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_bookings,
-        SUM(total_cost) as total_revenue,
+        COALESCE(SUM(CASE WHEN status <> 'cancelled' THEN total_cost END), 0) as total_revenue,
         COUNT(DISTINCT user_id) as unique_users,
         COUNT(DISTINCT facility_id) as facilities_used
       FROM bookings
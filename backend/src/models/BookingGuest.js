@@ -0,0 +1,259 @@
+const { pool, withTransaction } = require('../database/connection');
+const Transaction = require('./Transaction');
+const Facility = require('./Facility');
+const PricingRule = require('./PricingRule');
+const { toClubTime, clubDayRange } = require('../utils/clubTime');
+const { ruleError } = require('../utils/ruleError');
+
+class BookingGuest {
+  // Adds guests to a booking inside the caller's transaction. Guests use the sponsor's monthly
+  // guest passes first; after that the plan's guest_fee is charged, or the guest is refused.
+  static async addToBooking(client, booking, sponsorUserId, guests) {
+    const planQuery = `
+      SELECT mt.guest_passes_per_month, mt.guest_fee, m.payment_method
+      FROM memberships m
+      JOIN membership_types mt ON m.membership_type_id = mt.id
+      WHERE (
+          m.user_id = $1 OR m.id IN (
+            SELECT membership_id FROM membership_dependants WHERE user_id = $1 AND status = 'active'
+          )
+        )
+        AND m.status = 'active' AND m.end_date >= CURRENT_DATE
+      ORDER BY (m.user_id = $1) DESC, m.created_at DESC
+      LIMIT 1
+    `;
+
+    const planResult = await client.query(planQuery, [sponsorUserId]);
+    if (planResult.rows.length === 0) {
+      throw ruleError('MEMBERSHIP_REQUIRED', 'Active membership required to bring guests.');
+    }
+
+    const plan = planResult.rows[0];
+    const guestFee = Number(plan.guest_fee) || 0;
+
+    // Lock the sponsor so concurrent requests cannot both use the last pass
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [sponsorUserId]);
+
+    const monthStart = toClubTime(booking.start_time).startOf('month');
+    const usedQuery = `
+      SELECT COUNT(*) as count
+      FROM booking_guests g
+      JOIN bookings b ON g.booking_id = b.id
+      WHERE g.sponsor_user_id = $1
+        AND g.used_guest_pass = TRUE
+        AND g.status != 'cancelled'
+        AND b.status != 'cancelled'
+        AND b.start_time >= $2 AND b.start_time < $3
+    `;
+
+    const usedResult = await client.query(usedQuery, [
+      sponsorUserId, monthStart.toISOString(), monthStart.clone().add(1, 'month').toISOString()
+    ]);
+    let passesLeft = Math.max(plan.guest_passes_per_month - parseInt(usedResult.rows[0].count), 0);
+
+    const added = [];
+    for (const guest of guests) {
+      const usesPass = passesLeft > 0;
+      if (!usesPass && guestFee <= 0) {
+        throw ruleError('GUEST_PASSES_USED', `Monthly guest pass allowance of ${plan.guest_passes_per_month} used up.`);
+      }
+
+      let transaction = null;
+      if (!usesPass) {
+        transaction = await Transaction.create({
+          userId: sponsorUserId,
+          bookingId: booking.id,
+          type: 'booking_fee',
+          amount: guestFee,
+          paymentMethod: plan.payment_method,
+          description: `Guest fee for ${guest.name}`
+        }, client);
+      } else {
+        passesLeft--;
+      }
+
+      const result = await client.query(`
+        INSERT INTO booking_guests (
+          booking_id, sponsor_user_id, guest_name, guest_email, guest_phone,
+          used_guest_pass, fee_amount, transaction_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        booking.id, sponsorUserId, guest.name, guest.email, guest.phone,
+        usesPass, usesPass ? 0 : guestFee, transaction ? transaction.id : null
+      ]);
+
+      added.push(result.rows[0]);
+    }
+
+    return added;
+  }
+
+  static async add(bookingId, sponsorUserId, guests) {
+    return await withTransaction(async (client) => {
+      const bookingResult = await client.query(`
+        SELECT *
+        FROM bookings
+        WHERE id = $1 AND user_id = $2 AND status = 'confirmed' AND start_time > NOW()
+        FOR UPDATE
+      `, [bookingId, sponsorUserId]);
+
+      if (bookingResult.rows.length === 0) {
+        throw ruleError('BOOKING_NOT_EDITABLE', 'Guests can only be added to your upcoming confirmed bookings.');
+      }
+
+      const booking = bookingResult.rows[0];
+
+      // Guests take spots in shared facilities
+      const facilityResult = await client.query(
+        'SELECT * FROM facilities WHERE id = $1 FOR UPDATE', [booking.facility_id]
+      );
+      const facility = facilityResult.rows[0];
+
+      if (facility.booking_mode === 'shared') {
+        const usage = await Facility.getSlotUsage(client, {
+          facilityId: booking.facility_id,
+          startTime: booking.start_time,
+          endTime: booking.end_time,
+          userId: sponsorUserId,
+          excludeBookingIds: [booking.id]
+        });
+
+        const spotsLeft = Facility.spotsLeft(facility, usage) - booking.participants;
+        if (guests.length > spotsLeft) {
+          throw ruleError('SLOT_FULL', `Only ${Math.max(spotsLeft, 0)} spots left in this time slot.`);
+        }
+      }
+
+      const added = await BookingGuest.addToBooking(client, booking, sponsorUserId, guests);
+      const updated = await client.query(`
+        UPDATE bookings
+        SET participants = participants + $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [added.length, booking.id]);
+
+      // Guests pay the facility's guest rate on top of any plan guest fee
+      if (booking.price_breakdown !== null) {
+        await PricingRule.chargeWithClient(client, updated.rows[0]);
+      }
+
+      return added;
+    });
+  }
+
+  static async findByBookingId(bookingId) {
+    const query = `
+      SELECT *
+      FROM booking_guests
+      WHERE booking_id = $1 AND status != 'cancelled'
+      ORDER BY created_at ASC
+    `;
+
+    const result = await pool.query(query, [bookingId]);
+    return result.rows;
+  }
+
+  // Cancelling a guest gives back their pass, or refunds their guest fee, and refunds their guest
+  // rate for the facility. A fee not yet sent for payment is just marked refunded.
+  static async cancel(id, bookingId) {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE booking_guests
+        SET status = 'cancelled', updated_at = NOW()
+        WHERE id = $1 AND booking_id = $2 AND status = 'expected'
+        RETURNING *
+      `, [id, bookingId]);
+
+      const guest = result.rows[0];
+      if (guest) {
+        const updated = await client.query(`
+          UPDATE bookings
+          SET participants = GREATEST(participants - 1, 1), updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [bookingId]);
+
+        // Cancelled bookings have already been refunded
+        const booking = updated.rows[0];
+        if (booking.status === 'confirmed' && booking.price_breakdown !== null) {
+          await PricingRule.chargeWithClient(client, booking);
+        }
+      }
+
+      if (guest && guest.transaction_id) {
+        await client.query(`
+          UPDATE transactions
+          SET status = 'refunded', updated_at = NOW()
+          WHERE id = $1 AND status = 'pending' AND payment_gateway_id IS NULL
+        `, [guest.transaction_id]);
+
+        // A fee still charged after that was already sent for payment, so it is paid back
+        const feeResult = await client.query(`
+          SELECT *
+          FROM transactions
+          WHERE id = $1 AND status IN ('pending', 'completed')
+        `, [guest.transaction_id]);
+
+        const fee = feeResult.rows[0];
+        if (fee) {
+          await Transaction.create({
+            userId: fee.user_id,
+            bookingId: fee.booking_id,
+            type: 'refund',
+            amount: fee.amount,
+            paymentMethod: fee.payment_method,
+            description: `Refund of guest fee for ${guest.guest_name}`,
+            parentTransactionId: fee.id
+          }, client);
+        }
+      }
+
+      return guest;
+    });
+  }
+
+  static async getUsage(sponsorUserId, date = new Date()) {
+    const monthStart = toClubTime(date).startOf('month');
+    const query = `
+      SELECT COUNT(CASE WHEN g.used_guest_pass THEN 1 END) as passes_used,
+             COUNT(*) as guests,
+             COALESCE(SUM(g.fee_amount), 0) as fees
+      FROM booking_guests g
+      JOIN bookings b ON g.booking_id = b.id
+      WHERE g.sponsor_user_id = $1
+        AND g.status != 'cancelled'
+        AND b.status != 'cancelled'
+        AND b.start_time >= $2 AND b.start_time < $3
+    `;
+
+    const result = await pool.query(query, [
+      sponsorUserId, monthStart.toISOString(), monthStart.clone().add(1, 'month').toISOString()
+    ]);
+    return result.rows[0];
+  }
+
+  static async getExpectedGuests(date) {
+    const query = `
+      SELECT g.*, b.start_time, b.end_time, b.status as booking_status,
+             f.name as facility_name, f.location,
+             u.first_name as sponsor_first_name, u.last_name as sponsor_last_name,
+             u.email as sponsor_email
+      FROM booking_guests g
+      JOIN bookings b ON g.booking_id = b.id
+      JOIN facilities f ON b.facility_id = f.id
+      JOIN users u ON g.sponsor_user_id = u.id
+      WHERE b.start_time >= $1 AND b.start_time < $2
+        AND b.status = 'confirmed'
+        AND g.status != 'cancelled'
+      ORDER BY b.start_time ASC, g.guest_name ASC
+    `;
+
+    const day = clubDayRange(date);
+    const result = await pool.query(query, [day.start, day.end]);
+    return result.rows;
+  }
+}
+
+module.exports = BookingGuest;
\ No newline at end of file
@@ -0,0 +1,286 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const moment = require('moment');
+const Booking = require('./Booking');
+const { formatRule, expandOccurrences, planSeriesMove } = require('../utils/recurrence');
+const { roundCurrency } = require('../utils/proration');
+const { toClubTime } = require('../utils/clubTime');
+const { isRuleError } = require('../utils/ruleError');
+
+// Runs one occurrence under a savepoint so a broken booking rule does not abort the transaction.
+// Any other error still fails the whole series.
+async function tryOccurrence(client, callback) {
+  await client.query('SAVEPOINT occurrence');
+  try {
+    const result = await callback();
+    await client.query('RELEASE SAVEPOINT occurrence');
+    return { result };
+  } catch (error) {
+    if (!isRuleError(error)) {
+      throw error;
+    }
+    await client.query('ROLLBACK TO SAVEPOINT occurrence');
+    return { error };
+  }
+}
+
+function conflictError(message, conflicts) {
+  const error = new Error(message);
+  error.conflicts = conflicts;
+  return error;
+}
+
+function feeConfirmationError(quote) {
+  const error = new Error('Cancelling these bookings now is charged. Confirm with acceptFee to go ahead.');
+  error.quote = quote;
+  return error;
+}
+
+class BookingSeries {
+  // Checks every occurrence against the booking rules without creating anything
+  static async preview(seriesData) {
+    const { userId, facilityId, startTime, endTime, rule } = seriesData;
+    const durationMinutes = moment(endTime).diff(moment(startTime), 'minutes');
+    const occurrences = expandOccurrences(startTime, durationMinutes, rule);
+
+    return await withTransaction(async (client) => {
+      const checked = [];
+      for (const occurrence of occurrences) {
+        const { error } = await tryOccurrence(client, () => Booking.validateSlot(client, {
+          userId, facilityId, ...occurrence
+        }));
+        checked.push({
+          ...occurrence,
+          available: !error,
+          conflict: error ? error.message : null,
+          code: error ? error.code : null
+        });
+      }
+
+      return checked;
+    });
+  }
+
+  // Books every occurrence through Booking.createWithClient. With skipConflicts the free
+  // occurrences are booked and the rest reported; otherwise any conflict books nothing.
+  static async create(seriesData) {
+    const { userId, facilityId, startTime, endTime, notes, rule, skipConflicts = false } = seriesData;
+    const durationMinutes = moment(endTime).diff(moment(startTime), 'minutes');
+    const occurrences = expandOccurrences(startTime, durationMinutes, rule);
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const seriesResult = await client.query(`
+        INSERT INTO booking_series (
+          user_id, facility_id, recurrence_rule, first_start_time, duration_minutes,
+          until_date, occurrence_count, notes
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        userId, facilityId, formatRule(rule), startTime, durationMinutes,
+        rule.until ? moment(rule.until).format('YYYY-MM-DD') : null, rule.count, notes
+      ]);
+
+      const series = seriesResult.rows[0];
+      const bookings = [];
+      const conflicts = [];
+
+      for (const occurrence of occurrences) {
+        const { result, error } = await tryOccurrence(client, () => Booking.createWithClient(client, {
+          userId, facilityId, ...occurrence, notes, seriesId: series.id
+        }));
+
+        if (error) {
+          conflicts.push({ ...occurrence, conflict: error.message, code: error.code });
+        } else {
+          bookings.push(result);
+        }
+      }
+
+      if (bookings.length === 0) {
+        throw conflictError('None of the occurrences in this series can be booked.', conflicts);
+      }
+
+      if (conflicts.length > 0 && !skipConflicts) {
+        throw conflictError(`${conflicts.length} of ${occurrences.length} occurrences conflict.`, conflicts);
+      }
+
+      return { series, bookings, conflicts };
+    });
+  }
+
+  static async findById(id) {
+    const seriesResult = await pool.query(`
+      SELECT s.*, f.name as facility_name, f.type as facility_type, f.location
+      FROM booking_series s
+      JOIN facilities f ON s.facility_id = f.id
+      WHERE s.id = $1
+    `, [id]);
+
+    const series = seriesResult.rows[0];
+    if (!series) {
+      return null;
+    }
+
+    const bookingsResult = await pool.query(`
+      SELECT *
+      FROM bookings
+      WHERE series_id = $1
+      ORDER BY start_time ASC
+    `, [id]);
+
+    return { ...series, bookings: bookingsResult.rows };
+  }
+
+  // Locks the user's upcoming booking and the occurrences the scope covers
+  static async lockOccurrences(client, bookingId, userId, scope) {
+    const bookingResult = await client.query(`
+      SELECT *
+      FROM bookings
+      WHERE id = $1 AND user_id = $2 AND status IN ('confirmed', 'pending') AND start_time > NOW()
+      FOR UPDATE
+    `, [bookingId, userId]);
+
+    const booking = bookingResult.rows[0];
+    if (!booking) {
+      return null;
+    }
+
+    if (scope === 'single' || !booking.series_id) {
+      return { booking, occurrences: [booking] };
+    }
+
+    const occurrencesResult = await client.query(`
+      SELECT *
+      FROM bookings
+      WHERE series_id = $1
+        AND status IN ('confirmed', 'pending')
+        AND start_time > NOW()
+        AND ($2::timestamptz IS NULL OR start_time >= $2)
+      ORDER BY start_time ASC
+      FOR UPDATE
+    `, [booking.series_id, scope === 'following' ? booking.start_time : null]);
+
+    return { booking, occurrences: occurrencesResult.rows };
+  }
+
+  // Each occurrence is cancelled under the cancellation policy; the charges are added up so the
+  // member accepts them once for the whole scope.
+  static async cancel(bookingId, userId, scope = 'single', options = {}) {
+    const { acceptFee = false } = options;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const locked = await BookingSeries.lockOccurrences(client, bookingId, userId, scope);
+      if (!locked) {
+        return null;
+      }
+
+      const { booking, occurrences } = locked;
+      const quotes = [];
+      for (const occurrence of occurrences) {
+        quotes.push(await Booking.quoteCancellation(client, occurrence));
+      }
+
+      const quote = {
+        refund: roundCurrency(quotes.reduce((sum, q) => sum + q.refund, 0)),
+        fee: roundCurrency(quotes.reduce((sum, q) => sum + q.fee, 0)),
+        penalty: roundCurrency(quotes.reduce((sum, q) => sum + q.penalty, 0)),
+        occurrences: quotes
+      };
+
+      if (quote.penalty > 0 && !acceptFee) {
+        throw feeConfirmationError(quote);
+      }
+
+      const bookings = [];
+      const transactions = [];
+      for (const [index, occurrence] of occurrences.entries()) {
+        const cancelled = await Booking.cancelWithClient(client, occurrence, quotes[index]);
+        bookings.push(cancelled.booking);
+        transactions.push(...cancelled.transactions);
+      }
+
+      if (booking.series_id && scope === 'series') {
+        await client.query(`
+          UPDATE booking_series
+          SET status = 'cancelled', updated_at = NOW()
+          WHERE id = $1
+        `, [booking.series_id]);
+      } else if (booking.series_id && scope === 'following') {
+        await client.query(`
+          UPDATE booking_series
+          SET until_date = $1, updated_at = NOW()
+          WHERE id = $2
+        `, [toClubTime(booking.start_time).subtract(1, 'day').format('YYYY-MM-DD'), booking.series_id]);
+      }
+
+      return { bookings, quote, transactions };
+    });
+  }
+
+  // Applies the edit made to one booking to every occurrence in scope. A new start time moves
+  // each occurrence by the same number of days to the same wall-clock time. All moves are
+  // validated; if any occurrence conflicts nothing is changed. The occurrences in scope do not
+  // count against each other, as they all move.
+  static async update(bookingId, userId, changes) {
+    const { startTime, endTime, notes, scope = 'single' } = changes;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const locked = await BookingSeries.lockOccurrences(client, bookingId, userId, scope);
+      if (!locked) {
+        return null;
+      }
+
+      const { booking, occurrences } = locked;
+      const updated = [];
+      const conflicts = [];
+
+      if (startTime && endTime) {
+        const movingIds = occurrences.map(occurrence => occurrence.id);
+
+        for (const move of planSeriesMove(booking.start_time, occurrences, startTime, endTime)) {
+          const { result, error } = await tryOccurrence(client, () => Booking.moveWithClient(
+            client, move.occurrence, move.startTime, move.endTime, movingIds
+          ));
+
+          if (error) {
+            conflicts.push({
+              bookingId: move.occurrence.id,
+              startTime: move.startTime,
+              endTime: move.endTime,
+              conflict: error.message,
+              code: error.code
+            });
+          } else {
+            updated.push(result);
+          }
+        }
+
+        if (conflicts.length > 0) {
+          throw conflictError(`${conflicts.length} of ${occurrences.length} occurrences conflict.`, conflicts);
+        }
+
+        updated.sort((a, b) => moment(a.start_time).diff(b.start_time));
+      }
+
+      if (notes !== undefined) {
+        const result = await client.query(`
+          UPDATE bookings
+          SET notes = $1, updated_at = NOW()
+          WHERE id = ANY($2::uuid[])
+          RETURNING *
+        `, [notes, occurrences.map(occurrence => occurrence.id)]);
+        return result.rows;
+      }
+
+      return updated;
+    });
+  }
+}
+
+module.exports = BookingSeries;
\ No newline at end of file
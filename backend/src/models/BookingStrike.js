@@ -0,0 +1,178 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const Notification = require('./Notification');
+const { toClubTime } = require('../utils/clubTime');
+
+const DEFAULT_STRIKE_LIMIT = 3;
+const DEFAULT_STRIKE_WINDOW_DAYS = 30;
+const DEFAULT_SUSPENSION_DAYS = 14;
+
+function strikePolicy() {
+  return {
+    limit: parseInt(process.env.NO_SHOW_STRIKE_LIMIT) || DEFAULT_STRIKE_LIMIT,
+    windowDays: parseInt(process.env.NO_SHOW_STRIKE_WINDOW_DAYS) || DEFAULT_STRIKE_WINDOW_DAYS,
+    suspensionDays: parseInt(process.env.NO_SHOW_SUSPENSION_DAYS) || DEFAULT_SUSPENSION_DAYS
+  };
+}
+
+class BookingStrike {
+  // Records a strike for a missed booking and suspends booking once the member reaches the
+  // limit within the rolling window. A member already suspended is not suspended again.
+  static async recordNoShow(client, booking, now = new Date()) {
+    const policy = strikePolicy();
+
+    const strikeResult = await client.query(`
+      INSERT INTO no_show_strikes (user_id, booking_id, occurred_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (booking_id) DO NOTHING
+      RETURNING *
+    `, [booking.user_id, booking.id, booking.start_time]);
+
+    const strike = strikeResult.rows[0];
+    if (!strike) {
+      return { strike: null, suspension: null };
+    }
+
+    const countResult = await client.query(`
+      SELECT COUNT(*) as strikes
+      FROM no_show_strikes
+      WHERE user_id = $1 AND waived_at IS NULL
+        AND occurred_at > $2::timestamptz - make_interval(days => $3)
+    `, [booking.user_id, now, policy.windowDays]);
+
+    const strikes = parseInt(countResult.rows[0].strikes);
+    if (strikes < policy.limit || await BookingStrike.getActiveSuspension(booking.user_id, client, now)) {
+      return { strike, suspension: null };
+    }
+
+    const endsAt = toClubTime(now).add(policy.suspensionDays, 'days');
+    const suspensionResult = await client.query(`
+      INSERT INTO booking_suspensions (user_id, starts_at, ends_at, strike_count)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [booking.user_id, now, endsAt.toDate(), strikes]);
+
+    await Notification.create({
+      userId: booking.user_id,
+      subject: 'Your booking privileges are suspended',
+      content: `You missed ${strikes} bookings in the last ${policy.windowDays} days, so you cannot ` +
+        `make new bookings until ${endsAt.format('YYYY-MM-DD HH:mm')}.`
+    }, client);
+
+    return { strike, suspension: suspensionResult.rows[0] };
+  }
+
+  // For bookings staff mark as no-shows by hand
+  static async recordForStaff(booking, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+      return await BookingStrike.recordNoShow(client, booking);
+    });
+  }
+
+  // For bookings staff move back from no_show: the strike is deleted, and a suspension that the
+  // remaining strikes would not have reached is lifted. Returns the deleted strike, if any.
+  static async removeForStaff(booking, staffId) {
+    const policy = strikePolicy();
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const strikeResult = await client.query(`
+        DELETE FROM no_show_strikes
+        WHERE booking_id = $1
+        RETURNING *
+      `, [booking.id]);
+
+      const strike = strikeResult.rows[0];
+      if (!strike) {
+        return null;
+      }
+
+      const suspension = await BookingStrike.getActiveSuspension(booking.user_id, client);
+      if (suspension) {
+        const countResult = await client.query(`
+          SELECT COUNT(*) as strikes
+          FROM no_show_strikes
+          WHERE user_id = $1 AND waived_at IS NULL
+            AND occurred_at <= $2 AND occurred_at > $2::timestamptz - make_interval(days => $3)
+        `, [booking.user_id, suspension.starts_at, policy.windowDays]);
+
+        if (parseInt(countResult.rows[0].strikes) < policy.limit) {
+          await client.query(`
+            UPDATE booking_suspensions
+            SET lifted_at = NOW(), lifted_by = $1, updated_at = NOW()
+            WHERE id = $2
+          `, [staffId, suspension.id]);
+        }
+      }
+
+      return strike;
+    });
+  }
+
+  static async getActiveSuspension(userId, client = pool, now = new Date()) {
+    const result = await client.query(`
+      SELECT *
+      FROM booking_suspensions
+      WHERE user_id = $1 AND lifted_at IS NULL AND starts_at <= $2 AND ends_at > $2
+      ORDER BY ends_at DESC
+      LIMIT 1
+    `, [userId, now]);
+
+    return result.rows[0];
+  }
+
+  // Strikes still counting towards a suspension, plus the current suspension if any
+  static async getStanding(userId) {
+    const policy = strikePolicy();
+
+    const strikesResult = await pool.query(`
+      SELECT s.*, b.facility_id, f.name as facility_name
+      FROM no_show_strikes s
+      JOIN bookings b ON s.booking_id = b.id
+      JOIN facilities f ON b.facility_id = f.id
+      WHERE s.user_id = $1 AND s.waived_at IS NULL
+        AND s.occurred_at > NOW() - make_interval(days => $2)
+      ORDER BY s.occurred_at DESC
+    `, [userId, policy.windowDays]);
+
+    return {
+      strikes: strikesResult.rows,
+      strikeLimit: policy.limit,
+      windowDays: policy.windowDays,
+      suspension: await BookingStrike.getActiveSuspension(userId) || null
+    };
+  }
+
+  static async waive(id, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        UPDATE no_show_strikes
+        SET waived_at = NOW(), waived_by = $1
+        WHERE id = $2 AND waived_at IS NULL
+        RETURNING *
+      `, [staffId, id]);
+
+      return result.rows[0];
+    });
+  }
+
+  static async liftSuspension(id, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        UPDATE booking_suspensions
+        SET lifted_at = NOW(), lifted_by = $1, updated_at = NOW()
+        WHERE id = $2 AND lifted_at IS NULL AND ends_at > NOW()
+        RETURNING *
+      `, [staffId, id]);
+
+      return result.rows[0];
+    });
+  }
+}
+
+module.exports = BookingStrike;
\ No newline at end of file
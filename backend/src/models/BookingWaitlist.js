@@ -0,0 +1,242 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const moment = require('moment');
+const Booking = require('./Booking');
+const Facility = require('./Facility');
+const Notification = require('./Notification');
+const { toClubTime } = require('../utils/clubTime');
+const { ruleError } = require('../utils/ruleError');
+
+const DEFAULT_CLAIM_MINUTES = 30;
+
+function claimWindowMinutes() {
+  return parseInt(process.env.WAITLIST_CLAIM_MINUTES) || DEFAULT_CLAIM_MINUTES;
+}
+
+class BookingWaitlist {
+  static async join(entryData) {
+    const { userId, facilityId, startTime, endTime } = entryData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const facilityResult = await client.query('SELECT * FROM facilities WHERE id = $1', [facilityId]);
+      if (facilityResult.rows.length === 0) {
+        throw ruleError('FACILITY_UNAVAILABLE', 'Facility not found.');
+      }
+
+      const usage = await Facility.getSlotUsage(client, { facilityId, startTime, endTime });
+      if (usage.userIds.includes(userId)) {
+        throw ruleError('DUPLICATE_BOOKING', 'You already have a booking for this time slot.');
+      }
+
+      if (Facility.spotsLeft(facilityResult.rows[0], usage) > 0) {
+        throw ruleError('SLOT_AVAILABLE', 'This time slot is available. Book it directly instead.');
+      }
+
+      const existingResult = await client.query(`
+        SELECT id FROM booking_waitlist
+        WHERE user_id = $1 AND facility_id = $2 AND start_time = $3
+          AND status IN ('waiting', 'offered')
+      `, [userId, facilityId, startTime]);
+
+      if (existingResult.rows.length > 0) {
+        throw ruleError('ALREADY_WAITLISTED', 'You are already on the waitlist for this time slot.');
+      }
+
+      const result = await client.query(`
+        INSERT INTO booking_waitlist (user_id, facility_id, start_time, end_time)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [userId, facilityId, startTime, endTime]);
+
+      const positionResult = await client.query(`
+        SELECT COUNT(*) as position
+        FROM booking_waitlist
+        WHERE facility_id = $1 AND start_time = $2 AND status = 'waiting'
+      `, [facilityId, startTime]);
+
+      return { ...result.rows[0], position: parseInt(positionResult.rows[0].position) };
+    });
+  }
+
+  static async findByUserId(userId) {
+    const query = `
+      SELECT w.*, f.name as facility_name, f.type as facility_type, f.location,
+             CASE WHEN w.status = 'waiting' THEN (
+               SELECT COUNT(*) FROM booking_waitlist ahead
+               WHERE ahead.facility_id = w.facility_id
+                 AND ahead.start_time = w.start_time
+                 AND ahead.status = 'waiting'
+                 AND ahead.created_at <= w.created_at
+             ) END as position
+      FROM booking_waitlist w
+      JOIN facilities f ON w.facility_id = f.id
+      WHERE w.user_id = $1 AND w.start_time > NOW() - INTERVAL '7 days'
+      ORDER BY w.start_time ASC
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  // Offers a freed slot to waiting members in the order they joined. Members whose slot is
+  // still taken, or who cannot book it right now, keep their place and are passed over.
+  static async offerSlot(facilityId, startTime, endTime) {
+    return await withTransaction(async (client) => {
+      const candidatesResult = await client.query(`
+        SELECT *
+        FROM booking_waitlist
+        WHERE facility_id = $1
+          AND status = 'waiting'
+          AND start_time < $3 AND end_time > $2
+          AND start_time > NOW()
+        ORDER BY created_at ASC
+        FOR UPDATE SKIP LOCKED
+      `, [facilityId, startTime, endTime]);
+
+      const offered = [];
+      for (const entry of candidatesResult.rows) {
+        try {
+          await Booking.validateSlot(client, {
+            userId: entry.user_id,
+            facilityId,
+            startTime: entry.start_time,
+            endTime: entry.end_time
+          });
+        } catch {
+          // Slot still taken, held for someone else, or this member cannot book it right now
+          continue;
+        }
+
+        const result = await client.query(`
+          UPDATE booking_waitlist
+          SET status = 'offered', offered_at = NOW(),
+              offer_expires_at = NOW() + make_interval(mins => $1), updated_at = NOW()
+          WHERE id = $2
+          RETURNING *
+        `, [claimWindowMinutes(), entry.id]);
+
+        const offer = result.rows[0];
+        await Notification.create({
+          userId: entry.user_id,
+          subject: 'A slot you are waiting for is available',
+          content: `The slot on ${toClubTime(entry.start_time).format('YYYY-MM-DD HH:mm')} is yours if you ` +
+            `claim it before ${toClubTime(offer.offer_expires_at).format('YYYY-MM-DD HH:mm')}.`
+        }, client);
+
+        offered.push(offer);
+      }
+
+      return offered;
+    });
+  }
+
+  static async claim(id, userId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const entryResult = await client.query(`
+        SELECT *
+        FROM booking_waitlist
+        WHERE id = $1 AND user_id = $2 AND status = 'offered'
+        FOR UPDATE
+      `, [id, userId]);
+
+      const entry = entryResult.rows[0];
+      if (!entry) {
+        return null;
+      }
+
+      if (moment(entry.offer_expires_at).isBefore(moment())) {
+        throw ruleError('CLAIM_EXPIRED', 'The claim window for this slot has closed.');
+      }
+
+      const booking = await Booking.createWithClient(client, {
+        userId,
+        facilityId: entry.facility_id,
+        startTime: entry.start_time,
+        endTime: entry.end_time
+      });
+
+      await client.query(`
+        UPDATE booking_waitlist
+        SET status = 'claimed', booking_id = $1, updated_at = NOW()
+        WHERE id = $2
+      `, [booking.id, id]);
+
+      return booking;
+    });
+  }
+
+  // Returns the entry as it was, so the caller can pass on a slot that had been offered
+  static async leave(id, userId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const entryResult = await client.query(`
+        SELECT *
+        FROM booking_waitlist
+        WHERE id = $1 AND user_id = $2 AND status IN ('waiting', 'offered')
+        FOR UPDATE
+      `, [id, userId]);
+
+      const entry = entryResult.rows[0];
+      if (!entry) {
+        return null;
+      }
+
+      await client.query(`
+        UPDATE booking_waitlist
+        SET status = 'cancelled', updated_at = NOW()
+        WHERE id = $1
+      `, [id]);
+
+      return entry;
+    });
+  }
+
+  // Ends claim windows that have closed and drops entries for slots that have started
+  static async expireOffers(now = new Date()) {
+    const query = `
+      UPDATE booking_waitlist
+      SET status = 'expired', updated_at = NOW()
+      WHERE (status = 'offered' AND offer_expires_at <= $1)
+         OR (status IN ('waiting', 'offered') AND start_time <= $1)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [now]);
+    return result.rows;
+  }
+
+  // Waitlisted slots with a spot that is neither booked nor held for anyone
+  static async getOpenSlots() {
+    const query = `
+      SELECT DISTINCT w.facility_id, w.start_time, w.end_time
+      FROM booking_waitlist w
+      JOIN facilities f ON w.facility_id = f.id
+      WHERE w.status = 'waiting'
+        AND w.start_time > NOW()
+        AND (
+          SELECT COALESCE(SUM(CASE WHEN f.booking_mode = 'shared' THEN b.participants ELSE 1 END), 0)
+          FROM bookings b
+          WHERE b.facility_id = w.facility_id
+            AND b.status IN ('confirmed', 'pending')
+            AND b.start_time < w.end_time AND b.end_time > w.start_time
+        ) + (
+          SELECT COUNT(*)
+          FROM booking_waitlist held
+          WHERE held.facility_id = w.facility_id
+            AND held.status = 'offered'
+            AND held.offer_expires_at > NOW()
+            AND held.start_time < w.end_time AND held.end_time > w.start_time
+        ) < CASE WHEN f.booking_mode = 'shared' THEN COALESCE(f.capacity, 1) ELSE 1 END
+      ORDER BY w.start_time ASC
+    `;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+}
+
+module.exports = BookingWaitlist;
\ No newline at end of file
@@ -0,0 +1,169 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const moment = require('moment');
+const Membership = require('./Membership');
+const MembershipFreeze = require('./MembershipFreeze');
+const { clubDate, clubDayRange } = require('../utils/clubTime');
+
+const DEFAULT_EARLY_MINUTES = 15;
+
+// How long before a booking starts the member may check in for it
+function earlyCheckInMinutes() {
+  return parseInt(process.env.CHECK_IN_EARLY_MINUTES) || DEFAULT_EARLY_MINUTES;
+}
+
+class CheckIn {
+  // `code` is what the desk scanner reads from a member card or the app: a membership number
+  // or the member's user id
+  static async findMember(identifier, client = pool) {
+    const { email, membershipNumber, code } = identifier;
+
+    let condition;
+    let value;
+    if (email) {
+      condition = 'LOWER(email) = LOWER($1)';
+      value = email;
+    } else if (membershipNumber) {
+      condition = 'membership_number = UPPER($1)';
+      value = membershipNumber;
+    } else {
+      condition = 'membership_number = UPPER($1) OR id::text = LOWER($1)';
+      value = code;
+    }
+
+    const result = await client.query(`
+      SELECT id, email, first_name, last_name, role, status, membership_number
+      FROM users
+      WHERE ${condition}
+    `, [value.trim()]);
+
+    return result.rows[0];
+  }
+
+  // Checks a member in at the desk, or at a facility when one is given. Returns null when no
+  // member matches the identifier.
+  static async checkIn(checkInData) {
+    const { identifier, method, facilityId = null, staffId } = checkInData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const member = await CheckIn.findMember(identifier, client);
+      if (!member) {
+        return null;
+      }
+
+      if (member.status !== 'active') {
+        throw new Error('Member account is not active.');
+      }
+
+      const membership = await Membership.getActiveMembership(member.id);
+      if (!membership) {
+        throw new Error('Member does not have an active membership.');
+      }
+
+      // Visits and freezes run by the club's calendar day
+      const today = clubDate();
+      const freeze = await MembershipFreeze.findActiveOn(membership.id, today, client);
+      if (freeze) {
+        throw new Error(`Membership is frozen until ${moment(freeze.end_date).format('YYYY-MM-DD')}.`);
+      }
+
+      // Serialise check-ins per member so a double scan cannot open two visits
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [member.id]);
+
+      const openResult = await client.query(`
+        SELECT id FROM check_ins
+        WHERE user_id = $1 AND checked_out_at IS NULL AND checked_in_at >= $2
+      `, [member.id, clubDayRange(today).start]);
+
+      if (openResult.rows.length > 0) {
+        throw new Error('Member is already checked in.');
+      }
+
+      let booking = null;
+      if (facilityId) {
+        const facilityResult = await client.query('SELECT * FROM facilities WHERE id = $1', [facilityId]);
+        const facility = facilityResult.rows[0];
+        if (!facility) {
+          throw new Error('Facility not found.');
+        }
+
+        if (facility.status !== 'available') {
+          throw new Error(`${facility.name} is not available.`);
+        }
+
+        if (!membership.facilities_access.includes(facility.type)) {
+          throw new Error(`Membership does not include access to ${facility.name}.`);
+        }
+
+        booking = await CheckIn.findCurrentBooking(client, member.id, facilityId);
+        if (!booking && facility.booking_required) {
+          throw new Error(`A current booking is required to check in at ${facility.name}.`);
+        }
+      }
+
+      const result = await client.query(`
+        INSERT INTO check_ins (user_id, facility_id, booking_id, method, checked_in_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [member.id, facilityId, booking && booking.id, method, staffId]);
+
+      return { ...result.rows[0], member, membership_type_name: membership.membership_type_name, booking };
+    });
+  }
+
+  // The member's confirmed booking at the facility that has started or is about to
+  static async findCurrentBooking(client, userId, facilityId) {
+    const result = await client.query(`
+      SELECT *
+      FROM bookings
+      WHERE user_id = $1 AND facility_id = $2 AND status = 'confirmed'
+        AND start_time - make_interval(mins => $3) <= NOW() AND end_time > NOW()
+      ORDER BY start_time ASC
+      LIMIT 1
+    `, [userId, facilityId, earlyCheckInMinutes()]);
+
+    return result.rows[0] || null;
+  }
+
+  static async checkOut(id, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        UPDATE check_ins
+        SET checked_out_at = NOW(), checked_out_by = $1
+        WHERE id = $2 AND checked_out_at IS NULL
+        RETURNING *
+      `, [staffId, id]);
+
+      return result.rows[0];
+    });
+  }
+
+  // Members checked in today, on the club's calendar, who have not checked out
+  static async getOnSite(filters = {}) {
+    let query = `
+      SELECT c.*, u.first_name, u.last_name, u.email, u.membership_number,
+             f.name as facility_name, b.start_time as booking_start_time, b.end_time as booking_end_time
+      FROM check_ins c
+      JOIN users u ON c.user_id = u.id
+      LEFT JOIN facilities f ON c.facility_id = f.id
+      LEFT JOIN bookings b ON c.booking_id = b.id
+      WHERE c.checked_out_at IS NULL AND c.checked_in_at >= $1
+    `;
+
+    const values = [clubDayRange(clubDate()).start];
+    if (filters.facilityId) {
+      query += ` AND c.facility_id = $2`;
+      values.push(filters.facilityId);
+    }
+
+    query += ` ORDER BY c.checked_in_at DESC`;
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+}
+
+module.exports = CheckIn;
\ No newline at end of file
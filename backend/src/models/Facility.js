@@ -1,30 +1,44 @@
 const { pool } = require('../database/connection');
+const MaintenanceWindow = require('./MaintenanceWindow');
+const BlackoutDate = require('./BlackoutDate');
+const FacilitySchedule = require('./FacilitySchedule');
+const { clubTimezone, clubDayRange } = require('../utils/clubTime');
+const { generateSlots, freeRanges, isWithinHours } = require('../utils/slots');
 
 class Facility {
   static async create(facilityData) {
     const {
       name, type, description, capacity, location,
       operatingHoursStart, operatingHoursEnd,
-      bookingDurationMinutes, bookingBufferMinutes,
-      requiresSupervision = false
+      bookingDurationMinutes, bookingBufferMinutes, bookingGranularityMinutes = null,
+      minBookingMinutes = null, maxBookingMinutes = null, bookingIncrementMinutes = null,
+      requiresSupervision = false, bookingMode = 'exclusive',
+      freeCancelHours = null, lateCancelFee = null, lateCancelRefundPercent = null,
+      checkInRequired = false, bookingRequired = false
     } = facilityData;
 
     const query = `
       INSERT INTO facilities (
         name, type, description, capacity, location,
         operating_hours_start, operating_hours_end,
-        booking_duration_minutes, booking_buffer_minutes,
-        requires_supervision
+        booking_duration_minutes, booking_buffer_minutes, booking_granularity_minutes,
+        min_booking_minutes, max_booking_minutes, booking_increment_minutes,
+        requires_supervision, booking_mode,
+        free_cancel_hours, late_cancel_fee, late_cancel_refund_percent, check_in_required,
+        booking_required
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
       RETURNING *
     `;
 
     const result = await pool.query(query, [
       name, type, description, capacity, location,
       operatingHoursStart, operatingHoursEnd,
-      bookingDurationMinutes, bookingBufferMinutes,
-      requiresSupervision
+      bookingDurationMinutes, bookingBufferMinutes, bookingGranularityMinutes,
+      minBookingMinutes, maxBookingMinutes, bookingIncrementMinutes,
+      requiresSupervision, bookingMode,
+      freeCancelHours, lateCancelFee, lateCancelRefundPercent, checkInRequired,
+      bookingRequired
     ]);
 
     return result.rows[0];
@@ -100,8 +114,11 @@ class Facility {
     const allowedFields = [
       'name', 'type', 'description', 'capacity', 'location',
       'operating_hours_start', 'operating_hours_end',
-      'booking_duration_minutes', 'booking_buffer_minutes',
-      'requires_supervision', 'status'
+      'booking_duration_minutes', 'booking_buffer_minutes', 'booking_granularity_minutes',
+      'min_booking_minutes', 'max_booking_minutes', 'booking_increment_minutes',
+      'requires_supervision', 'status', 'booking_mode',
+      'free_cancel_hours', 'late_cancel_fee', 'late_cancel_refund_percent', 'check_in_required',
+      'booking_required'
     ];
 
     const updates = [];
@@ -174,85 +191,277 @@ class Facility {
     return result.rows;
   }
 
+  // Who is in a slot: overlapping bookings and spots held for waitlist offers. Offers made to
+  // userId are not counted, so a member can claim the spot held for them. Bookings take the
+  // slot while confirmed or completed, the statuses bookings_no_overlap covers.
+  static async getSlotUsage(client, slot) {
+    const { facilityId, startTime, endTime, userId = null, excludeBookingIds = [] } = slot;
+
+    const bookedResult = await client.query(`
+      SELECT user_id, participants
+      FROM bookings
+      WHERE facility_id = $1
+        AND status IN ('confirmed', 'completed')
+        AND start_time < $3 AND end_time > $2
+        AND NOT (id = ANY($4::uuid[]))
+    `, [facilityId, startTime, endTime, excludeBookingIds]);
+
+    const heldResult = await client.query(`
+      SELECT COUNT(*) as held
+      FROM booking_waitlist
+      WHERE facility_id = $1
+        AND status = 'offered'
+        AND offer_expires_at > NOW()
+        AND start_time < $3 AND end_time > $2
+        AND ($4::uuid IS NULL OR user_id <> $4)
+    `, [facilityId, startTime, endTime, userId]);
+
+    return {
+      bookings: bookedResult.rows.length,
+      participants: bookedResult.rows.reduce((sum, row) => sum + row.participants, 0),
+      userIds: bookedResult.rows.map(row => row.user_id),
+      held: parseInt(heldResult.rows[0].held)
+    };
+  }
+
+  // Bookings at the facility close enough to a slot that its cleanup buffer would be cut short:
+  // `before` ends less than the buffer before the slot starts, `after` starts less than the
+  // buffer after the slot ends. Either is undefined when there is none.
+  static async getNeighbouringBookings(client, slot) {
+    const { facilityId, startTime, endTime, bufferMinutes, excludeBookingIds = [] } = slot;
+
+    const result = await client.query(`
+      SELECT id, start_time, end_time,
+             CASE WHEN end_time <= $2 THEN 'before' ELSE 'after' END as side
+      FROM bookings
+      WHERE facility_id = $1
+        AND status IN ('confirmed', 'completed')
+        AND (
+          (end_time <= $2 AND end_time > $2::timestamptz - make_interval(mins => $4))
+          OR (start_time >= $3 AND start_time < $3::timestamptz + make_interval(mins => $4))
+        )
+        AND NOT (id = ANY($5::uuid[]))
+      ORDER BY start_time ASC
+    `, [facilityId, startTime, endTime, bufferMinutes, excludeBookingIds]);
+
+    return {
+      before: result.rows.filter(row => row.side === 'before').pop(),
+      after: result.rows.find(row => row.side === 'after')
+    };
+  }
+
+  // Booking lengths the facility takes. Without a minimum and maximum every booking is exactly
+  // booking_duration_minutes long.
+  static bookingLengths(facility) {
+    const minMinutes = facility.min_booking_minutes || facility.booking_duration_minutes;
+
+    return {
+      minMinutes,
+      maxMinutes: Math.max(facility.max_booking_minutes || minMinutes, minMinutes),
+      incrementMinutes: facility.booking_increment_minutes || facility.booking_duration_minutes
+    };
+  }
+
+  static isAllowedLength(facility, minutes) {
+    const { minMinutes, maxMinutes, incrementMinutes } = Facility.bookingLengths(facility);
+    return minutes >= minMinutes && minutes <= maxMinutes && (minutes - minMinutes) % incrementMinutes === 0;
+  }
+
+  // Slot grid for generateSlots and isOnSlotGrid. Slots are as long as the shortest booking;
+  // facilities with variable lengths offer a start every increment unless they set a granularity.
+  static slotGrid(facility) {
+    const { minMinutes, maxMinutes, incrementMinutes } = Facility.bookingLengths(facility);
+
+    return {
+      durationMinutes: minMinutes,
+      bufferMinutes: facility.booking_buffer_minutes || 0,
+      granularityMinutes: facility.booking_granularity_minutes || (maxMinutes > minMinutes ? incrementMinutes : null)
+    };
+  }
+
+  // Exclusive facilities have one spot per slot; shared facilities have `capacity` spots
+  static spotsLeft(facility, usage) {
+    if (facility.booking_mode !== 'shared') {
+      return usage.bookings + usage.held > 0 ? 0 : 1;
+    }
+
+    return Math.max((facility.capacity || 1) - usage.participants - usage.held, 0);
+  }
+
   static async getAvailableSlots(facilityId, date) {
     const query = `
       SELECT
+        f.id,
         f.booking_duration_minutes,
         f.operating_hours_start,
         f.operating_hours_end,
         f.booking_buffer_minutes,
+        f.booking_granularity_minutes,
+        f.min_booking_minutes,
+        f.max_booking_minutes,
+        f.booking_increment_minutes,
+        f.booking_mode,
+        f.capacity,
         b.start_time,
-        b.end_time
+        b.end_time,
+        b.participants
       FROM facilities f
       LEFT JOIN bookings b ON f.id = b.facility_id
-        AND DATE(b.start_time) = $2
-        AND b.status IN ('confirmed', 'pending')
+        AND b.start_time >= $2 AND b.start_time < $3
+        AND b.status IN ('confirmed', 'completed')
       WHERE f.id = $1
     `;
 
-    const result = await pool.query(query, [facilityId, date]);
+    // `date` is a date on the club's calendar, not the server's
+    const day = clubDayRange(date);
+    const result = await pool.query(query, [facilityId, day.start, day.end]);
 
     if (result.rows.length === 0) {
       return null;
     }
 
     const facility = result.rows[0];
+    const capacity = facility.booking_mode === 'shared' ? (facility.capacity || 1) : 1;
+    const hours = await FacilitySchedule.getHoursOn(pool, facility, date);
+    const lengths = Facility.bookingLengths(facility);
+    const facilityInfo = {
+      bookingDurationMinutes: facility.booking_duration_minutes,
+      bookingBufferMinutes: facility.booking_buffer_minutes,
+      bookingGranularityMinutes: facility.booking_granularity_minutes,
+      minBookingMinutes: lengths.minMinutes,
+      maxBookingMinutes: lengths.maxMinutes,
+      bookingIncrementMinutes: lengths.incrementMinutes,
+      operatingHoursStart: hours.opensAt,
+      operatingHoursEnd: hours.closesAt,
+      season: hours.seasonName,
+      timezone: clubTimezone(),
+      bookingMode: facility.booking_mode,
+      capacity
+    };
+
+    // Nothing can be booked while the club is closed
+    const blackout = await BlackoutDate.findCovering(pool, date);
+    if (blackout) {
+      return {
+        facility: facilityInfo,
+        closure: { type: 'blackout', name: blackout.name },
+        availableSlots: [],
+        bookableRanges: []
+      };
+    }
+
+    if (hours.closed) {
+      return {
+        facility: facilityInfo,
+        closure: { type: 'closed_day', name: hours.seasonName },
+        availableSlots: [],
+        bookableRanges: []
+      };
+    }
+
     const bookings = result.rows
       .filter(row => row.start_time)
       .map(row => ({
         startTime: new Date(row.start_time),
-        endTime: new Date(row.end_time)
+        endTime: new Date(row.end_time),
+        participants: row.participants
       }));
 
-    // Generate available time slots
-    const availableSlots = [];
-    const [startHour, startMinute] = facility.operating_hours_start.split(':').map(Number);
-    const [endHour, endMinute] = facility.operating_hours_end.split(':').map(Number);
-
-    const dayStart = new Date(date);
-    dayStart.setHours(startHour, startMinute, 0, 0);
-
-    const dayEnd = new Date(date);
-    dayEnd.setHours(endHour, endMinute, 0, 0);
-
-    let currentTime = new Date(dayStart);
-    const slotDuration = facility.booking_duration_minutes;
-    const bufferTime = facility.booking_buffer_minutes;
-
-    while (currentTime.getTime() + slotDuration * 60 * 1000 <= dayEnd.getTime()) {
-      const slotStart = new Date(currentTime);
-      const slotEnd = new Date(currentTime.getTime() + slotDuration * 60 * 1000);
+    const heldResult = await pool.query(`
+      SELECT start_time, end_time
+      FROM booking_waitlist
+      WHERE facility_id = $1
+        AND start_time >= $2 AND start_time < $3
+        AND status = 'offered'
+        AND offer_expires_at > NOW()
+    `, [facilityId, day.start, day.end]);
+
+    const holds = heldResult.rows.map(row => ({
+      startTime: new Date(row.start_time),
+      endTime: new Date(row.end_time)
+    }));
+
+    // A slot is the shortest booking that can start at that time, with the spots left in it.
+    // `endTimes` lists every end time a booking starting then could have.
+    const slots = generateSlots({
+      date,
+      opensAt: hours.opensAt,
+      closesAt: hours.closesAt,
+      ...Facility.slotGrid(facility)
+    });
+
+    // An exclusive facility also needs its cleanup buffer clear either side of a booking
+    const bufferMs = facility.booking_mode === 'shared' ? 0 : (facility.booking_buffer_minutes || 0) * 60000;
+
+    const maintenance = (await MaintenanceWindow.findOverlapping(pool, facilityId, day.start, day.end))
+      .map(window => ({ startTime: new Date(window.starts_at), endTime: new Date(window.ends_at) }));
+
+    const spotsBetween = (startTime, endTime) => {
+      const overlaps = (item) => startTime < item.endTime && endTime > item.startTime;
+      const tooClose = (booking) => startTime.getTime() - bufferMs < booking.endTime.getTime() &&
+        endTime.getTime() + bufferMs > booking.startTime.getTime();
+
+      if (maintenance.some(overlaps)) {
+        return 0;
+      }
 
-      // Check if slot conflicts with existing bookings
-      const isConflicting = bookings.some(booking => {
-        return (slotStart < booking.end_time && slotEnd > booking.start_time);
+      const overlapping = bookings.filter(tooClose);
+      return Facility.spotsLeft(facility, {
+        bookings: overlapping.length,
+        participants: overlapping.reduce((sum, booking) => sum + booking.participants, 0),
+        held: holds.filter(overlaps).length
       });
+    };
 
-      if (!isConflicting) {
-        availableSlots.push({
-          startTime: slotStart.toISOString(),
-          endTime: slotEnd.toISOString(),
-          available: true
-        });
-      } else {
-        availableSlots.push({
-          startTime: slotStart.toISOString(),
-          endTime: slotEnd.toISOString(),
-          available: false
-        });
+    const availableSlots = [];
+    for (const slot of slots) {
+      const slotStart = slot.startTime.toDate();
+      const slotEnd = slot.endTime.toDate();
+      const closed = maintenance.some(window => slotStart < window.endTime && slotEnd > window.startTime);
+      const remainingSpots = spotsBetween(slotStart, slotEnd);
+
+      const endTimes = [];
+      for (let minutes = lengths.minMinutes; remainingSpots > 0 && minutes <= lengths.maxMinutes;
+        minutes += lengths.incrementMinutes) {
+        const endTime = new Date(slotStart.getTime() + minutes * 60000);
+        if (!isWithinHours(slotStart, endTime, hours) || spotsBetween(slotStart, endTime) === 0) {
+          break;
+        }
+        endTimes.push(endTime.toISOString());
       }
 
-      // Move to next slot including buffer time
-      currentTime = new Date(slotEnd.getTime() + bufferTime * 60 * 1000);
+      availableSlots.push({
+        startTime: slotStart.toISOString(),
+        endTime: slotEnd.toISOString(),
+        endTimes,
+        capacity,
+        remainingSpots,
+        closed
+      });
     }
 
+    // Stretches of the day with a spot free, long enough for the shortest booking
+    const taken = [
+      ...bookings.map(booking => ({
+        startTime: new Date(booking.startTime.getTime() - bufferMs),
+        endTime: new Date(booking.endTime.getTime() + bufferMs),
+        spots: facility.booking_mode === 'shared' ? booking.participants : 1
+      })),
+      ...holds.map(hold => ({ ...hold, spots: 1 })),
+      ...maintenance.map(window => ({ ...window, spots: capacity }))
+    ];
+
+    const bookableRanges = freeRanges({
+      date, opensAt: hours.opensAt, closesAt: hours.closesAt, taken, capacity
+    })
+      .filter(range => range.endTime - range.startTime >= lengths.minMinutes * 60000)
+      .map(range => ({ startTime: range.startTime.toISOString(), endTime: range.endTime.toISOString() }));
+
     return {
-      facility: {
-        bookingDurationMinutes: facility.booking_duration_minutes,
-        operatingHoursStart: facility.operating_hours_start,
-        operatingHoursEnd: facility.operating_hours_end
-      },
-      availableSlots
+      facility: facilityInfo,
+      closure: null,
+      availableSlots,
+      bookableRanges
     };
   }
 }
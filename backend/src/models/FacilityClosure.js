@@ -0,0 +1,146 @@
+const { withTransaction, setTransactionUser } = require('../database/connection');
+const Booking = require('./Booking');
+const MaintenanceWindow = require('./MaintenanceWindow');
+const Notification = require('./Notification');
+const { DEFAULT_POLICY, calculateCancellation } = require('../utils/cancellationPolicy');
+const { toClubTime } = require('../utils/clubTime');
+
+function formatSlot(booking) {
+  return `${toClubTime(booking.start_time).format('YYYY-MM-DD HH:mm')}-${toClubTime(booking.end_time).format('HH:mm')}`;
+}
+
+// Moves the booking to the first other facility of the same type that can take it. Each attempt
+// runs under a savepoint as a rejected write would otherwise abort the closure.
+async function relocate(client, booking, alternatives) {
+  for (const facility of alternatives) {
+    await client.query('SAVEPOINT relocate_booking');
+    try {
+      const relocated = await Booking.relocateWithClient(client, booking, facility.id);
+      await client.query('RELEASE SAVEPOINT relocate_booking');
+      return { booking: relocated, facility };
+    } catch {
+      // Taken, closed too, or the member cannot book there
+      await client.query('ROLLBACK TO SAVEPOINT relocate_booking');
+      continue;
+    }
+  }
+
+  return null;
+}
+
+// The club closed the facility, so the member gets back everything charged and pays no fee
+async function cancelForClosure(client, booking) {
+  const quote = await Booking.quoteCancellation(client, booking);
+  const waived = {
+    ...quote,
+    policy: DEFAULT_POLICY,
+    ...calculateCancellation(DEFAULT_POLICY, booking.start_time, quote.chargedAmount)
+  };
+
+  return await Booking.cancelWithClient(client, booking, waived);
+}
+
+// Cancels or relocates every booking colliding with the window and notifies each member.
+// Relocation falls back to cancelling when no other facility of the same type can take the slot.
+async function handleAffectedBookings(client, window, action) {
+  const facilityResult = await client.query('SELECT * FROM facilities WHERE id = $1', [window.facility_id]);
+  const closedFacility = facilityResult.rows[0];
+
+  const bookingsResult = await client.query(`
+    SELECT *
+    FROM bookings
+    WHERE facility_id = $1
+      AND status IN ('confirmed', 'pending')
+      AND start_time < $3 AND end_time > $2
+      AND end_time > NOW()
+    ORDER BY start_time ASC
+    FOR UPDATE
+  `, [window.facility_id, window.starts_at, window.ends_at]);
+
+  let alternatives = [];
+  if (action === 'relocate') {
+    const alternativesResult = await client.query(`
+      SELECT *
+      FROM facilities
+      WHERE type = $1 AND id <> $2 AND status = 'available'
+      ORDER BY name ASC
+    `, [closedFacility.type, closedFacility.id]);
+    alternatives = alternativesResult.rows;
+  }
+
+  const reason = window.reason ? ` (${window.reason})` : '';
+  const cancelled = [];
+  const relocated = [];
+
+  for (const booking of bookingsResult.rows) {
+    const move = action === 'relocate' ? await relocate(client, booking, alternatives) : null;
+
+    if (move) {
+      relocated.push({ booking: move.booking, facility: { id: move.facility.id, name: move.facility.name } });
+
+      await Notification.create({
+        userId: booking.user_id,
+        subject: 'Your booking has moved',
+        content: `${closedFacility.name} is closed for maintenance${reason}, so your booking on ` +
+          `${formatSlot(booking)} has moved to ${move.facility.name} at the same time.`
+      }, client);
+      continue;
+    }
+
+    const result = await cancelForClosure(client, booking);
+    cancelled.push(result);
+
+    const refund = result.quote.refund > 0 ? ` You have been refunded ${result.quote.refund.toFixed(2)}.` : '';
+    await Notification.create({
+      userId: booking.user_id,
+      subject: 'Your booking has been cancelled',
+      content: `${closedFacility.name} is closed for maintenance${reason}, so your booking on ` +
+        `${formatSlot(booking)} has been cancelled.${refund}`
+    }, client);
+  }
+
+  return { cancelled, relocated };
+}
+
+class FacilityClosure {
+  // Schedules a maintenance window and deals with the bookings it affects in one transaction.
+  // Returns null when the facility does not exist.
+  static async close(windowData, action, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const created = await MaintenanceWindow.createWithClient(client, windowData, staffId);
+      if (!created) {
+        return null;
+      }
+
+      const handled = await handleAffectedBookings(client, created.window, action);
+      return { window: created.window, ...handled };
+    });
+  }
+
+  // Deals with the bookings still colliding with an existing window. Returns null when the
+  // window is not scheduled for the facility.
+  static async resolve(facilityId, windowId, action, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const windowResult = await client.query(`
+        SELECT *
+        FROM maintenance_windows
+        WHERE id = $1 AND facility_id = $2 AND status = 'scheduled'
+        FOR UPDATE
+      `, [windowId, facilityId]);
+
+      const window = windowResult.rows[0];
+      if (!window) {
+        return null;
+      }
+
+      const handled = await handleAffectedBookings(client, window, action);
+      return { window, ...handled };
+    });
+  }
+}
+
+module.exports = FacilityClosure;
\ No newline at end of file
@@ -0,0 +1,150 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const moment = require('moment');
+
+// Stores a set of per-day hours; a day marked closed gets a row without times
+async function insertHours(client, facilityId, seasonId, days) {
+  const hours = [];
+  for (const day of days) {
+    const result = await client.query(`
+      INSERT INTO facility_hours (facility_id, season_id, day_of_week, opens_at, closes_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      facilityId, seasonId, day.dayOfWeek,
+      day.closed ? null : day.opensAt, day.closed ? null : day.closesAt
+    ]);
+    hours.push(result.rows[0]);
+  }
+
+  return hours;
+}
+
+async function facilityExists(client, facilityId) {
+  const result = await client.query('SELECT id FROM facilities WHERE id = $1 FOR UPDATE', [facilityId]);
+  return result.rows.length > 0;
+}
+
+class FacilitySchedule {
+  // Opening hours of a facility on a club date (YYYY-MM-DD). A season covering the date wins for
+  // the days it lists, then the weekly hours, then the facility's default operating hours.
+  static async getHoursOn(client, facility, date) {
+    const day = moment(date, 'YYYY-MM-DD');
+
+    const result = await client.query(`
+      SELECT h.opens_at, h.closes_at, s.name as season_name
+      FROM facility_hours h
+      LEFT JOIN facility_seasons s ON h.season_id = s.id
+      WHERE h.facility_id = $1 AND h.day_of_week = $2
+        AND (h.season_id IS NULL OR $3::date BETWEEN s.start_date AND s.end_date)
+      ORDER BY (h.season_id IS NOT NULL) DESC, s.start_date DESC
+      LIMIT 1
+    `, [facility.id, day.day(), day.format('YYYY-MM-DD')]);
+
+    const hours = result.rows[0];
+    if (!hours) {
+      return {
+        opensAt: facility.operating_hours_start,
+        closesAt: facility.operating_hours_end,
+        closed: false,
+        seasonName: null
+      };
+    }
+
+    return {
+      opensAt: hours.opens_at,
+      closesAt: hours.closes_at,
+      closed: hours.opens_at === null,
+      seasonName: hours.season_name
+    };
+  }
+
+  static async getSchedule(facilityId) {
+    const facilityResult = await pool.query(`
+      SELECT id, operating_hours_start, operating_hours_end
+      FROM facilities
+      WHERE id = $1
+    `, [facilityId]);
+
+    const facility = facilityResult.rows[0];
+    if (!facility) {
+      return null;
+    }
+
+    const hoursResult = await pool.query(`
+      SELECT *
+      FROM facility_hours
+      WHERE facility_id = $1
+      ORDER BY day_of_week ASC
+    `, [facilityId]);
+
+    const seasonsResult = await pool.query(`
+      SELECT *
+      FROM facility_seasons
+      WHERE facility_id = $1
+      ORDER BY start_date ASC
+    `, [facilityId]);
+
+    return {
+      defaultHours: { opensAt: facility.operating_hours_start, closesAt: facility.operating_hours_end },
+      weekly: hoursResult.rows.filter(row => row.season_id === null),
+      seasons: seasonsResult.rows.map(season => ({
+        ...season,
+        hours: hoursResult.rows.filter(row => row.season_id === season.id)
+      }))
+    };
+  }
+
+  // Replaces the facility's weekly hours. Returns null when the facility does not exist.
+  static async setWeeklyHours(facilityId, days, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      if (!await facilityExists(client, facilityId)) {
+        return null;
+      }
+
+      await client.query('DELETE FROM facility_hours WHERE facility_id = $1 AND season_id IS NULL', [facilityId]);
+      return await insertHours(client, facilityId, null, days);
+    });
+  }
+
+  // Returns null when the facility does not exist
+  static async createSeason(facilityId, seasonData, staffId) {
+    const { name, startDate, endDate, days } = seasonData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      if (!await facilityExists(client, facilityId)) {
+        return null;
+      }
+
+      const result = await client.query(`
+        INSERT INTO facility_seasons (facility_id, name, start_date, end_date)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [facilityId, name, startDate, endDate]);
+
+      const season = result.rows[0];
+      season.hours = await insertHours(client, facilityId, season.id, days);
+
+      return season;
+    });
+  }
+
+  static async deleteSeason(facilityId, seasonId, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        DELETE FROM facility_seasons
+        WHERE id = $1 AND facility_id = $2
+        RETURNING *
+      `, [seasonId, facilityId]);
+
+      return result.rows[0];
+    });
+  }
+}
+
+module.exports = FacilitySchedule;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+
+class MaintenanceWindow {
+  // Schedules the window and reports the bookings already made for it, which stay in place
+  // until staff cancel or move them
+  static async create(windowData, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+      return await MaintenanceWindow.createWithClient(client, windowData, staffId);
+    });
+  }
+
+  // Returns null when the facility does not exist
+  static async createWithClient(client, windowData, staffId) {
+    const { facilityId, startsAt, endsAt, reason = null } = windowData;
+
+    const facilityResult = await client.query('SELECT id FROM facilities WHERE id = $1', [facilityId]);
+    if (facilityResult.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(`
+      INSERT INTO maintenance_windows (facility_id, starts_at, ends_at, reason, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [facilityId, startsAt, endsAt, reason, staffId]);
+
+    const window = result.rows[0];
+    const conflicts = await MaintenanceWindow.findConflicts(client, window);
+
+    return { window, conflicts };
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM maintenance_windows WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Windows that have not ended yet, soonest first
+  static async findByFacilityId(facilityId) {
+    const query = `
+      SELECT *
+      FROM maintenance_windows
+      WHERE facility_id = $1 AND status = 'scheduled' AND ends_at > NOW()
+      ORDER BY starts_at ASC
+    `;
+
+    const result = await pool.query(query, [facilityId]);
+    return result.rows;
+  }
+
+  static async findOverlapping(client, facilityId, startTime, endTime) {
+    const result = await client.query(`
+      SELECT *
+      FROM maintenance_windows
+      WHERE facility_id = $1 AND status = 'scheduled'
+        AND starts_at < $3 AND ends_at > $2
+      ORDER BY starts_at ASC
+    `, [facilityId, startTime, endTime]);
+
+    return result.rows;
+  }
+
+  // Upcoming bookings that collide with the window
+  static async findConflicts(client, window) {
+    const result = await client.query(`
+      SELECT b.*, u.first_name, u.last_name, u.email
+      FROM bookings b
+      JOIN users u ON b.user_id = u.id
+      WHERE b.facility_id = $1
+        AND b.status IN ('confirmed', 'pending')
+        AND b.start_time < $3 AND b.end_time > $2
+        AND b.end_time > NOW()
+      ORDER BY b.start_time ASC
+    `, [window.facility_id, window.starts_at, window.ends_at]);
+
+    return result.rows;
+  }
+
+  static async getConflicts(id) {
+    const window = await MaintenanceWindow.findById(id);
+    if (!window) {
+      return null;
+    }
+
+    return { window, conflicts: await MaintenanceWindow.findConflicts(pool, window) };
+  }
+
+  // Only cancels the window when it belongs to the facility
+  static async cancel(id, facilityId, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        UPDATE maintenance_windows
+        SET status = 'cancelled', updated_at = NOW()
+        WHERE id = $1 AND facility_id = $2 AND status = 'scheduled'
+        RETURNING *
+      `, [id, facilityId]);
+
+      return result.rows[0];
+    });
+  }
+}
+
+module.exports = MaintenanceWindow;
\ No newline at end of file
@@ -1,17 +1,33 @@
-const { pool } = require('../database/connection');
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const moment = require('moment');
+const Transaction = require('./Transaction');
+const { calculatePlanChange } = require('../utils/proration');
+
+// Frozen memberships are neither renewed nor expired; completing the freeze extends them instead
+const frozenOn = (dateParam) => `
+  SELECT 1 FROM membership_freezes f
+  WHERE f.membership_id = m.id AND f.status = 'scheduled' AND f.start_date <= ${dateParam}::date
+`;
 
 class Membership {
   static async create(membershipData) {
-    const { userId, membershipTypeId, startDate, endDate, paymentMethod, notes } = membershipData;
+    const {
+      userId, membershipTypeId, startDate, endDate, paymentMethod, notes,
+      autoRenew = false, agreedPrice = null
+    } = membershipData;
 
     const query = `
-      INSERT INTO memberships (user_id, membership_type_id, start_date, end_date, payment_method, notes)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO memberships (
+        user_id, membership_type_id, start_date, end_date, payment_method, notes,
+        auto_renew, agreed_price
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
     `;
 
     const result = await pool.query(query, [
-      userId, membershipTypeId, startDate, endDate, paymentMethod, notes
+      userId, membershipTypeId, startDate, endDate, paymentMethod, notes,
+      autoRenew, agreedPrice
     ]);
 
     return result.rows[0];
@@ -44,7 +60,7 @@ class Membership {
     const params = [userId];
 
     if (!includeExpired) {
-      query += ` AND (m.status = 'active' OR (m.status != 'cancelled' AND m.end_date >= CURRENT_DATE))`;
+      query += ` AND (m.status = 'active' OR (m.status NOT IN ('cancelled', 'rejected') AND m.end_date >= CURRENT_DATE))`;
     }
 
     query += ` ORDER BY m.created_at DESC`;
@@ -53,14 +69,21 @@ class Membership {
     return result.rows;
   }
 
+  // Includes memberships the user shares as a dependant, preferring their own
   static async getActiveMembership(userId) {
     const query = `
       SELECT m.*, mt.name as membership_type_name, mt.facilities_access,
-             mt.max_bookings_per_day, mt.max_booking_days_ahead
+             mt.max_bookings_per_day, mt.max_booking_days_ahead, mt.booking_limit_scope,
+             mt.guest_passes_per_month, mt.guest_fee, (m.user_id <> $1) as is_dependant
       FROM memberships m
       JOIN membership_types mt ON m.membership_type_id = mt.id
-      WHERE m.user_id = $1 AND m.status = 'active' AND m.end_date >= CURRENT_DATE
-      ORDER BY m.created_at DESC
+      WHERE (
+          m.user_id = $1 OR m.id IN (
+            SELECT membership_id FROM membership_dependants WHERE user_id = $1 AND status = 'active'
+          )
+        )
+        AND m.status = 'active' AND m.end_date >= CURRENT_DATE
+      ORDER BY (m.user_id = $1) DESC, m.created_at DESC
       LIMIT 1
     `;
 
@@ -80,7 +103,106 @@ class Membership {
     return result.rows[0];
   }
 
-  static async renew(id, newEndDate, paymentMethod = null) {
+  static async cancel(id, userId) {
+    const query = `
+      UPDATE memberships
+      SET status = 'cancelled', auto_renew = FALSE, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND status IN ('active', 'pending')
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+
+  static async getPendingApplications() {
+    const query = `
+      SELECT m.*, u.first_name, u.last_name, u.email, u.phone,
+             mt.name as membership_type_name, mt.price, mt.duration_months
+      FROM memberships m
+      JOIN users u ON m.user_id = u.id
+      JOIN membership_types mt ON m.membership_type_id = mt.id
+      WHERE m.status = 'pending'
+      ORDER BY m.created_at ASC
+    `;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  static async approve(id, reviewerId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, reviewerId);
+
+      const applicationQuery = `
+        SELECT m.*, mt.duration_months, mt.name as membership_type_name,
+               COALESCE(m.agreed_price, mt.price) as term_price
+        FROM memberships m
+        JOIN membership_types mt ON m.membership_type_id = mt.id
+        WHERE m.id = $1 AND m.status = 'pending'
+        FOR UPDATE OF m
+      `;
+
+      const applicationResult = await client.query(applicationQuery, [id]);
+      if (applicationResult.rows.length === 0) {
+        return null;
+      }
+
+      const application = applicationResult.rows[0];
+
+      // The membership term starts on approval unless the member asked for a later date
+      const today = moment().startOf('day');
+      const requestedStart = moment(application.start_date).startOf('day');
+      const startDate = requestedStart.isAfter(today) ? requestedStart : today;
+      const endDate = startDate.clone().add(application.duration_months, 'months');
+
+      const updateQuery = `
+        UPDATE memberships
+        SET status = 'active', start_date = $1, end_date = $2,
+            reviewed_by = $3, reviewed_at = NOW(), rejection_reason = NULL, updated_at = NOW()
+        WHERE id = $4
+        RETURNING *
+      `;
+
+      const result = await client.query(updateQuery, [
+        startDate.format('YYYY-MM-DD'), endDate.format('YYYY-MM-DD'), reviewerId, id
+      ]);
+
+      // The first term is charged on approval; renewals are charged by the membership job
+      if (Number(application.term_price) > 0) {
+        await Transaction.create({
+          userId: application.user_id,
+          membershipId: id,
+          type: 'membership_fee',
+          amount: application.term_price,
+          paymentMethod: application.payment_method,
+          description: `${application.membership_type_name} membership ` +
+            `(${startDate.format('YYYY-MM-DD')} to ${endDate.format('YYYY-MM-DD')})`
+        }, client);
+      }
+
+      return result.rows[0];
+    });
+  }
+
+  static async reject(id, reviewerId, reason) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, reviewerId);
+
+      const query = `
+        UPDATE memberships
+        SET status = 'rejected', reviewed_by = $1, reviewed_at = NOW(),
+            rejection_reason = $2, updated_at = NOW()
+        WHERE id = $3 AND status = 'pending'
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [reviewerId, reason, id]);
+      return result.rows[0];
+    });
+  }
+
+  static async renew(id, newEndDate, paymentMethod = null, client = pool) {
     const query = `
       UPDATE memberships
       SET end_date = $1, payment_method = COALESCE($2, payment_method), status = 'active', updated_at = NOW()
@@ -88,10 +210,171 @@ class Membership {
       RETURNING *
     `;
 
-    const result = await pool.query(query, [newEndDate, paymentMethod, id]);
+    const result = await client.query(query, [newEndDate, paymentMethod, id]);
+    return result.rows[0];
+  }
+
+  static async quotePlanChange(id, newMembershipTypeId, client = pool) {
+    const membershipResult = await client.query(`
+      SELECT m.*, mt.price as current_type_price, mt.duration_months as current_duration_months
+      FROM memberships m
+      JOIN membership_types mt ON m.membership_type_id = mt.id
+      WHERE m.id = $1
+    `, [id]);
+
+    if (membershipResult.rows.length === 0) {
+      throw new Error('Membership not found.');
+    }
+
+    const membership = membershipResult.rows[0];
+    if (membership.status !== 'active') {
+      throw new Error('Only active memberships can change plan.');
+    }
+
+    if (membership.membership_type_id === newMembershipTypeId) {
+      throw new Error('Membership is already on this plan.');
+    }
+
+    const newTypeResult = await client.query(
+      'SELECT * FROM membership_types WHERE id = $1 AND is_active = TRUE',
+      [newMembershipTypeId]
+    );
+    if (newTypeResult.rows.length === 0) {
+      throw new Error('Membership type not available.');
+    }
+
+    const newType = newTypeResult.rows[0];
+    const currentType = {
+      price: membership.current_type_price,
+      duration_months: membership.current_duration_months
+    };
+
+    return {
+      membership,
+      newType,
+      change: calculatePlanChange(membership, currentType, newType)
+    };
+  }
+
+  // Upgrades apply immediately with a prorated charge; downgrades are scheduled for the next renewal
+  static async changePlan(id, newMembershipTypeId, userId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+      await client.query('SELECT id FROM memberships WHERE id = $1 FOR UPDATE', [id]);
+
+      const { membership, newType, change } = await Membership.quotePlanChange(id, newMembershipTypeId, client);
+
+      if (change.direction === 'downgrade') {
+        const result = await client.query(`
+          UPDATE memberships
+          SET scheduled_membership_type_id = $1, updated_at = NOW()
+          WHERE id = $2
+          RETURNING *
+        `, [newType.id, id]);
+
+        return { membership: result.rows[0], change, transaction: null };
+      }
+
+      const result = await client.query(`
+        UPDATE memberships
+        SET membership_type_id = $1, agreed_price = $2, scheduled_membership_type_id = NULL, updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [newType.id, newType.price, id]);
+
+      let transaction = null;
+      if (change.amount !== 0) {
+        transaction = await Transaction.create({
+          userId: membership.user_id,
+          membershipId: id,
+          type: change.amount > 0 ? 'membership_fee' : 'refund',
+          amount: Math.abs(change.amount),
+          paymentMethod: membership.payment_method,
+          description: `Prorated plan change to ${newType.name} for ${change.remainingDays} remaining days ` +
+            `(charge ${change.charge.toFixed(2)}, credit ${change.credit.toFixed(2)})`
+        }, client);
+      }
+
+      return { membership: result.rows[0], change, transaction };
+    });
+  }
+
+  static async cancelScheduledPlanChange(id) {
+    const query = `
+      UPDATE memberships
+      SET scheduled_membership_type_id = NULL, updated_at = NOW()
+      WHERE id = $1 AND scheduled_membership_type_id IS NOT NULL
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [id]);
     return result.rows[0];
   }
 
+  static async applyScheduledPlanChange(id, client) {
+    const query = `
+      UPDATE memberships m
+      SET membership_type_id = mt.id, agreed_price = mt.price,
+          scheduled_membership_type_id = NULL, updated_at = NOW()
+      FROM membership_types mt
+      WHERE m.id = $1 AND mt.id = m.scheduled_membership_type_id
+      RETURNING m.*
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0];
+  }
+
+  static async getDueForRenewal(today) {
+    const query = `
+      SELECT m.id
+      FROM memberships m
+      WHERE m.status = 'active' AND m.auto_renew = TRUE AND m.end_date < $1::date
+        AND NOT EXISTS (${frozenOn('$1')})
+      ORDER BY m.end_date ASC
+    `;
+
+    const result = await pool.query(query, [today]);
+    return result.rows;
+  }
+
+  // Locks the membership and returns it only if it is still due, so concurrent or repeated runs renew it once
+  static async lockForRenewal(id, today, client) {
+    const query = `
+      SELECT m.*, mt.duration_months, mt.name as membership_type_name,
+             CASE WHEN m.scheduled_membership_type_id IS NOT NULL THEN mt.price
+                  ELSE COALESCE(m.agreed_price, mt.price) END as renewal_price
+      FROM memberships m
+      JOIN membership_types mt ON mt.id = COALESCE(m.scheduled_membership_type_id, m.membership_type_id)
+      WHERE m.id = $1 AND m.status = 'active' AND m.auto_renew = TRUE AND m.end_date < $2::date
+        AND NOT EXISTS (${frozenOn('$2')})
+      FOR UPDATE OF m SKIP LOCKED
+    `;
+
+    const result = await client.query(query, [id, today]);
+    return result.rows[0];
+  }
+
+  // A scheduled downgrade still takes effect at term end, so the lapsed membership is left on the
+  // plan the member moved to
+  static async expireOverdue(today) {
+    const query = `
+      UPDATE memberships m
+      SET status = 'expired',
+          membership_type_id = COALESCE(m.scheduled_membership_type_id, m.membership_type_id),
+          agreed_price = CASE WHEN m.scheduled_membership_type_id IS NOT NULL
+                              THEN (SELECT price FROM membership_types WHERE id = m.scheduled_membership_type_id)
+                              ELSE m.agreed_price END,
+          scheduled_membership_type_id = NULL, updated_at = NOW()
+      WHERE m.status = 'active' AND m.auto_renew = FALSE AND m.end_date < $1::date
+        AND NOT EXISTS (${frozenOn('$1')})
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [today]);
+    return result.rows;
+  }
+
   static async getAll(filters = {}) {
     let query = `
       SELECT m.*, u.first_name, u.last_name, u.email, u.phone,
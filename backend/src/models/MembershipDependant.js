@@ -0,0 +1,142 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+
+// Dependants younger than this on the day they are checked are juniors
+const JUNIOR_AGE_LIMIT = 18;
+
+const AGE_GROUP = `
+  CASE WHEN u.date_of_birth > CURRENT_DATE - INTERVAL '${JUNIOR_AGE_LIMIT} years' THEN 'junior' ELSE 'adult' END
+`;
+
+class MembershipDependant {
+  static async add(dependantData) {
+    const { membershipId, email, relationship, addedBy } = dependantData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, addedBy);
+
+      const membershipQuery = `
+        SELECT m.*, mt.max_dependants, mt.max_adult_dependants
+        FROM memberships m
+        JOIN membership_types mt ON m.membership_type_id = mt.id
+        WHERE m.id = $1
+        FOR UPDATE OF m
+      `;
+
+      const membershipResult = await client.query(membershipQuery, [membershipId]);
+      if (membershipResult.rows.length === 0) {
+        throw new Error('Membership not found.');
+      }
+
+      const membership = membershipResult.rows[0];
+      if (!['active', 'pending'].includes(membership.status)) {
+        throw new Error('Dependants can only be added to active or pending memberships.');
+      }
+
+      if (!membership.max_dependants) {
+        throw new Error('Your membership plan does not include dependants.');
+      }
+
+      const userResult = await client.query(`
+        SELECT u.id, u.status, u.date_of_birth, ${AGE_GROUP} as age_group
+        FROM users u
+        WHERE u.email = $1
+      `, [email]);
+
+      if (userResult.rows.length === 0) {
+        throw new Error('No account found for this email. The dependant must register first.');
+      }
+
+      const dependant = userResult.rows[0];
+      if (dependant.id === membership.user_id) {
+        throw new Error('The account holder cannot be added as a dependant.');
+      }
+
+      if (!dependant.date_of_birth) {
+        throw new Error('The dependant must have a date of birth on their profile.');
+      }
+
+      const existingQuery = `
+        SELECT 1 FROM membership_dependants WHERE user_id = $1 AND status = 'active'
+        UNION ALL
+        SELECT 1 FROM memberships
+        WHERE user_id = $1 AND status IN ('active', 'pending') AND end_date >= CURRENT_DATE
+      `;
+
+      const existingResult = await client.query(existingQuery, [dependant.id]);
+      if (existingResult.rows.length > 0) {
+        throw new Error('This person already has a membership or belongs to another household.');
+      }
+
+      const countsResult = await client.query(`
+        SELECT COUNT(*) as total,
+               COUNT(CASE WHEN ${AGE_GROUP} = 'adult' THEN 1 END) as adults
+        FROM membership_dependants d
+        JOIN users u ON d.user_id = u.id
+        WHERE d.membership_id = $1 AND d.status = 'active'
+      `, [membershipId]);
+
+      const counts = countsResult.rows[0];
+      if (parseInt(counts.total) >= membership.max_dependants) {
+        throw new Error(`Your membership plan allows at most ${membership.max_dependants} dependants.`);
+      }
+
+      if (dependant.age_group === 'adult' && membership.max_adult_dependants !== null &&
+          parseInt(counts.adults) >= membership.max_adult_dependants) {
+        throw new Error(`Your membership plan allows at most ${membership.max_adult_dependants} adult dependants.`);
+      }
+
+      const insertQuery = `
+        INSERT INTO membership_dependants (membership_id, user_id, relationship, added_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `;
+
+      const result = await client.query(insertQuery, [membershipId, dependant.id, relationship, addedBy]);
+      return { ...result.rows[0], age_group: dependant.age_group };
+    });
+  }
+
+  static async findByMembershipId(membershipId) {
+    const query = `
+      SELECT d.*, u.first_name, u.last_name, u.email, u.date_of_birth,
+             ${AGE_GROUP} as age_group
+      FROM membership_dependants d
+      JOIN users u ON d.user_id = u.id
+      WHERE d.membership_id = $1 AND d.status = 'active'
+      ORDER BY d.created_at ASC
+    `;
+
+    const result = await pool.query(query, [membershipId]);
+    return result.rows;
+  }
+
+  static async remove(membershipId, userId, removedBy) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, removedBy);
+
+      const query = `
+        UPDATE membership_dependants
+        SET status = 'removed', removed_at = NOW()
+        WHERE membership_id = $1 AND user_id = $2 AND status = 'active'
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [membershipId, userId]);
+      return result.rows[0];
+    });
+  }
+
+  // The account holder plus every active dependant on the membership
+  static async getHouseholdUserIds(membershipId, client = pool) {
+    const query = `
+      SELECT user_id FROM memberships WHERE id = $1
+      UNION
+      SELECT user_id FROM membership_dependants WHERE membership_id = $1 AND status = 'active'
+    `;
+
+    const result = await client.query(query, [membershipId]);
+    return result.rows.map(row => row.user_id);
+  }
+}
+
+module.exports = MembershipDependant;
\ No newline at end of file
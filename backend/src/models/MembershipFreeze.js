@@ -0,0 +1,211 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const moment = require('moment');
+
+class MembershipFreeze {
+  static async create(freezeData) {
+    const { membershipId, startDate, endDate, reason, createdBy } = freezeData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, createdBy);
+
+      const membershipQuery = `
+        SELECT m.*, mt.max_freeze_days_per_year
+        FROM memberships m
+        JOIN membership_types mt ON m.membership_type_id = mt.id
+        WHERE m.id = $1
+        FOR UPDATE OF m
+      `;
+
+      const membershipResult = await client.query(membershipQuery, [membershipId]);
+      if (membershipResult.rows.length === 0) {
+        throw new Error('Membership not found.');
+      }
+
+      const membership = membershipResult.rows[0];
+      if (membership.status !== 'active') {
+        throw new Error('Only active memberships can be frozen.');
+      }
+
+      if (!membership.max_freeze_days_per_year) {
+        throw new Error('Your membership plan does not allow freezes.');
+      }
+
+      const freezeStart = moment(startDate).startOf('day');
+      const freezeEnd = moment(endDate).startOf('day');
+
+      if (freezeStart.isBefore(moment().startOf('day'))) {
+        throw new Error('Freeze cannot start in the past.');
+      }
+
+      if (freezeEnd.isBefore(freezeStart)) {
+        throw new Error('Freeze end date must be on or after the start date.');
+      }
+
+      if (freezeStart.isAfter(moment(membership.end_date))) {
+        throw new Error('Freeze must start before the membership ends.');
+      }
+
+      const overlapQuery = `
+        SELECT id FROM membership_freezes
+        WHERE membership_id = $1
+          AND status = 'scheduled'
+          AND start_date <= $3::date AND end_date >= $2::date
+      `;
+
+      const overlapResult = await client.query(overlapQuery, [
+        membershipId, freezeStart.format('YYYY-MM-DD'), freezeEnd.format('YYYY-MM-DD')
+      ]);
+      if (overlapResult.rows.length > 0) {
+        throw new Error('Freeze overlaps an existing freeze on this membership.');
+      }
+
+      // Freeze days count against the calendar year in which each freeze starts
+      const freezeDays = freezeEnd.diff(freezeStart, 'days') + 1;
+      const usedDaysQuery = `
+        SELECT COALESCE(SUM(end_date - start_date + 1), 0) as used_days
+        FROM membership_freezes
+        WHERE membership_id = $1
+          AND status IN ('scheduled', 'completed')
+          AND EXTRACT(YEAR FROM start_date) = $2
+      `;
+
+      const usedDaysResult = await client.query(usedDaysQuery, [membershipId, freezeStart.year()]);
+      const usedDays = parseInt(usedDaysResult.rows[0].used_days);
+
+      if (usedDays + freezeDays > membership.max_freeze_days_per_year) {
+        throw new Error(
+          `Freeze limit of ${membership.max_freeze_days_per_year} days per year exceeded ` +
+          `(${usedDays} days already used in ${freezeStart.year()}).`
+        );
+      }
+
+      const insertQuery = `
+        INSERT INTO membership_freezes (membership_id, start_date, end_date, reason, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+
+      const result = await client.query(insertQuery, [
+        membershipId, freezeStart.format('YYYY-MM-DD'), freezeEnd.format('YYYY-MM-DD'), reason, createdBy
+      ]);
+
+      return result.rows[0];
+    });
+  }
+
+  static async findByMembershipId(membershipId) {
+    const query = `
+      SELECT *
+      FROM membership_freezes
+      WHERE membership_id = $1
+      ORDER BY start_date DESC
+    `;
+
+    const result = await pool.query(query, [membershipId]);
+    return result.rows;
+  }
+
+  // Returns the freeze covering the given date, if any
+  static async findActiveOn(membershipId, date, client = pool) {
+    const query = `
+      SELECT *
+      FROM membership_freezes
+      WHERE membership_id = $1
+        AND status = 'scheduled'
+        AND $2::date BETWEEN start_date AND end_date
+      LIMIT 1
+    `;
+
+    const result = await client.query(query, [membershipId, date]);
+    return result.rows[0];
+  }
+
+  // Freezes that have not started are cancelled; freezes in progress end yesterday
+  static async cancel(id, membershipId, userId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, userId);
+
+      const freezeResult = await client.query(`
+        SELECT *
+        FROM membership_freezes
+        WHERE id = $1 AND membership_id = $2 AND status = 'scheduled'
+        FOR UPDATE
+      `, [id, membershipId]);
+
+      if (freezeResult.rows.length === 0) {
+        return null;
+      }
+
+      const freeze = freezeResult.rows[0];
+      const today = moment().startOf('day');
+
+      if (!moment(freeze.start_date).isBefore(today)) {
+        const result = await client.query(`
+          UPDATE membership_freezes
+          SET status = 'cancelled', updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [id]);
+        return result.rows[0];
+      }
+
+      const result = await client.query(`
+        UPDATE membership_freezes
+        SET end_date = LEAST(end_date, $1::date), updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [today.clone().subtract(1, 'day').format('YYYY-MM-DD'), id]);
+      return result.rows[0];
+    });
+  }
+
+  static async getDueForCompletion(today) {
+    const query = `
+      SELECT id
+      FROM membership_freezes
+      WHERE status = 'scheduled' AND end_date < $1::date
+      ORDER BY end_date ASC
+    `;
+
+    const result = await pool.query(query, [today]);
+    return result.rows;
+  }
+
+  // Extends the membership by the frozen days; the row lock makes repeated runs extend it once
+  static async complete(id, today, client) {
+    const freezeResult = await client.query(`
+      SELECT f.*, m.status as membership_status
+      FROM membership_freezes f
+      JOIN memberships m ON f.membership_id = m.id
+      WHERE f.id = $1 AND f.status = 'scheduled' AND f.end_date < $2::date
+      FOR UPDATE OF f, m SKIP LOCKED
+    `, [id, today]);
+
+    if (freezeResult.rows.length === 0) {
+      return null;
+    }
+
+    const freeze = freezeResult.rows[0];
+    const frozenDays = moment(freeze.end_date).diff(moment(freeze.start_date), 'days') + 1;
+    const daysExtended = freeze.membership_status === 'active' ? frozenDays : 0;
+
+    if (daysExtended > 0) {
+      await client.query(`
+        UPDATE memberships
+        SET end_date = end_date + $1::integer, updated_at = NOW()
+        WHERE id = $2
+      `, [daysExtended, freeze.membership_id]);
+    }
+
+    const result = await client.query(`
+      UPDATE membership_freezes
+      SET status = 'completed', days_extended = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [daysExtended, id]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = MembershipFreeze;
\ No newline at end of file
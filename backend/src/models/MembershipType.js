@@ -0,0 +1,176 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+
+class MembershipType {
+  static async create(typeData, createdBy) {
+    const {
+      name, description, durationMonths, price, facilitiesAccess,
+      maxBookingsPerDay, maxBookingDaysAhead, maxFreezeDaysPerYear,
+      maxDependants, maxAdultDependants = null, bookingLimitScope,
+      guestPassesPerMonth, guestFee, freeCancelHours = null, lateCancelFee = null,
+      lateCancelRefundPercent = null, isActive = true
+    } = typeData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, createdBy);
+
+      const query = `
+        INSERT INTO membership_types (
+          name, description, duration_months, price, facilities_access,
+          max_bookings_per_day, max_booking_days_ahead, max_freeze_days_per_year,
+          max_dependants, max_adult_dependants, booking_limit_scope,
+          guest_passes_per_month, guest_fee, free_cancel_hours, late_cancel_fee,
+          late_cancel_refund_percent, is_active
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        name, description, durationMonths, price, facilitiesAccess,
+        maxBookingsPerDay, maxBookingDaysAhead, maxFreezeDaysPerYear,
+        maxDependants, maxAdultDependants, bookingLimitScope,
+        guestPassesPerMonth, guestFee, freeCancelHours, lateCancelFee,
+        lateCancelRefundPercent, isActive
+      ]);
+
+      const membershipType = result.rows[0];
+
+      await client.query(`
+        INSERT INTO membership_type_prices (membership_type_id, price, changed_by)
+        VALUES ($1, $2, $3)
+      `, [membershipType.id, price, createdBy]);
+
+      return membershipType;
+    });
+  }
+
+  static async findById(id) {
+    const query = `
+      SELECT *
+      FROM membership_types
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  static async getAll(filters = {}) {
+    let query = `
+      SELECT *
+      FROM membership_types
+      WHERE 1=1
+    `;
+
+    if (filters.activeOnly) {
+      query += ` AND is_active = TRUE`;
+    }
+
+    query += ` ORDER BY price ASC, name ASC`;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  static async update(id, updateData, changedBy) {
+    const allowedFields = [
+      'name', 'description', 'duration_months', 'price', 'facilities_access',
+      'max_bookings_per_day', 'max_booking_days_ahead', 'max_freeze_days_per_year',
+      'max_dependants', 'max_adult_dependants', 'booking_limit_scope',
+      'guest_passes_per_month', 'guest_fee', 'free_cancel_hours', 'late_cancel_fee',
+      'late_cancel_refund_percent', 'is_active'
+    ];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      const dbField = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+      if (allowedFields.includes(dbField)) {
+        updates.push(`${dbField} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    if (updates.length === 0) return null;
+
+    updates.push(`updated_at = NOW()`);
+    values.push(id);
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, changedBy);
+
+      const currentResult = await client.query(
+        'SELECT price FROM membership_types WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+
+      const query = `
+        UPDATE membership_types
+        SET ${updates.join(', ')}
+        WHERE id = $${paramIndex}
+        RETURNING *
+      `;
+
+      const result = await client.query(query, values);
+      const membershipType = result.rows[0];
+
+      // Existing memberships keep their agreed_price; only new applications see the new price
+      if (Number(membershipType.price) !== Number(currentResult.rows[0].price)) {
+        await client.query(`
+          INSERT INTO membership_type_prices (membership_type_id, price, changed_by)
+          VALUES ($1, $2, $3)
+        `, [id, membershipType.price, changedBy]);
+      }
+
+      return membershipType;
+    });
+  }
+
+  static async setActive(id, isActive, changedBy) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, changedBy);
+
+      const query = `
+        UPDATE membership_types
+        SET is_active = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [isActive, id]);
+      return result.rows[0];
+    });
+  }
+
+  static async getPriceHistory(id) {
+    const query = `
+      SELECT mtp.*, u.first_name as changed_by_first_name, u.last_name as changed_by_last_name
+      FROM membership_type_prices mtp
+      LEFT JOIN users u ON mtp.changed_by = u.id
+      WHERE mtp.membership_type_id = $1
+      ORDER BY mtp.effective_from DESC
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows;
+  }
+
+  static async countMemberships(id) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM memberships
+      WHERE membership_type_id = $1 AND status IN ('active', 'pending')
+    `;
+
+    const result = await pool.query(query, [id]);
+    return parseInt(result.rows[0].count);
+  }
+}
+
+module.exports = MembershipType;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { pool } = require('../database/connection');
+
+class Notification {
+  // Queues a notification; delivery happens outside the API
+  static async create(notificationData, client = pool) {
+    const { userId, type = 'email', subject, content } = notificationData;
+
+    const query = `
+      INSERT INTO notifications (user_id, type, subject, content)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [userId, type, subject, content]);
+    return result.rows[0];
+  }
+
+  static async findByUserId(userId, limit = 50) {
+    const query = `
+      SELECT *
+      FROM notifications
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `;
+
+    const result = await pool.query(query, [userId, limit]);
+    return result.rows;
+  }
+}
+
+module.exports = Notification;
\ No newline at end of file
@@ -0,0 +1,331 @@
+const { pool, withTransaction } = require('../database/connection');
+const Transaction = require('./Transaction');
+const Notification = require('./Notification');
+const { getPaymentProvider } = require('../services/payments');
+const { statusFor, statusForEvent, allocateRefund } = require('../utils/payments');
+
+// Transaction types the member pays; refunds pay money back against them
+const CHARGE_TYPES = ['payment', 'booking_fee', 'membership_fee'];
+
+function paymentFailedNotice(transaction) {
+  return {
+    userId: transaction.user_id,
+    subject: 'Payment failed',
+    content: `Your payment of ${Number(transaction.amount).toFixed(2)} ${transaction.currency} ` +
+      `(${transaction.description || transaction.type}) failed: ${transaction.failure_reason}. ` +
+      'Please retry it with another payment method.'
+  };
+}
+
+// Charges on the same booking or membership that a refund's money can go back to. `refundable`
+// is what is left of each after earlier refunds.
+const REFUNDABLE_CHARGES = `
+  SELECT c.*,
+         c.amount - COALESCE((
+           SELECT SUM(r.amount)
+           FROM transactions r
+           WHERE r.parent_transaction_id = c.id AND r.type = 'refund' AND r.status = 'completed'
+         ), 0) as refundable
+  FROM transactions c
+  WHERE c.user_id = $1
+    AND c.type = ANY($4)
+    AND ((c.booking_id = $2) OR (c.membership_id = $3))
+`;
+
+class Payment {
+  // Records what the provider says about a charge and tells the member when it failed
+  static async applyIntent(client, transaction, providerName, intent) {
+    const result = await client.query(`
+      UPDATE transactions
+      SET status = $1, payment_provider = $2, payment_gateway_id = $3, failure_reason = $4, updated_at = NOW()
+      WHERE id = $5
+      RETURNING *
+    `, [statusFor(intent), providerName, intent.id, intent.failureReason || null, transaction.id]);
+
+    const updated = result.rows[0];
+    if (updated.status === 'failed') {
+      await Notification.create(paymentFailedNotice(updated), client);
+    }
+
+    return updated;
+  }
+
+  // Sends a pending charge to the payment provider. Returns the updated transaction, or null when
+  // it is not a charge waiting to be sent. A provider error leaves it pending for the next try.
+  static async charge(id) {
+    return await withTransaction(async (client) => {
+      // SKIP LOCKED so the payment job and a request never send the same charge twice
+      const result = await client.query(`
+        SELECT *
+        FROM transactions
+        WHERE id = $1 AND status = 'pending' AND payment_gateway_id IS NULL AND type = ANY($2)
+        FOR UPDATE SKIP LOCKED
+      `, [id, CHARGE_TYPES]);
+
+      const transaction = result.rows[0];
+      if (!transaction) {
+        return null;
+      }
+
+      if (Number(transaction.amount) <= 0) {
+        return await Payment.applyIntent(client, transaction, null, { id: null, status: 'succeeded' });
+      }
+
+      const provider = getPaymentProvider();
+      const intent = await provider.createIntent({
+        amount: Number(transaction.amount),
+        currency: transaction.currency,
+        paymentMethod: transaction.payment_method,
+        capture: true,
+        idempotencyKey: transaction.id,
+        description: transaction.description
+      });
+
+      return await Payment.applyIntent(client, transaction, provider.name, intent);
+    });
+  }
+
+  // Asks the provider again about a charge it is still settling, for when a webhook went missing
+  static async sync(id) {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT *
+        FROM transactions
+        WHERE id = $1 AND status = 'pending' AND payment_gateway_id IS NOT NULL AND type = ANY($2)
+        FOR UPDATE SKIP LOCKED
+      `, [id, CHARGE_TYPES]);
+
+      const transaction = result.rows[0];
+      if (!transaction) {
+        return null;
+      }
+
+      const provider = getPaymentProvider(transaction.payment_provider);
+      const intent = await provider.retrieve(transaction.payment_gateway_id);
+
+      return statusFor(intent) === 'pending'
+        ? transaction
+        : await Payment.applyIntent(client, transaction, provider.name, intent);
+    });
+  }
+
+  // Pays a pending refund back to the charges it came from, splitting it into one refund row per
+  // charge (see allocateRefund). Waits while charges it could come from are still being collected;
+  // whatever cannot be paid back once they are settled is recorded as a failed refund. Returns the
+  // refund rows, or null when there is nothing to do yet.
+  static async refund(id) {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT *
+        FROM transactions
+        WHERE id = $1 AND status = 'pending' AND type = 'refund' AND payment_gateway_id IS NULL
+        FOR UPDATE SKIP LOCKED
+      `, [id]);
+
+      const refund = result.rows[0];
+      if (!refund) {
+        return null;
+      }
+
+      const chargesResult = await client.query(`
+        ${REFUNDABLE_CHARGES}
+        FOR UPDATE OF c
+      `, [refund.user_id, refund.booking_id, refund.membership_id, CHARGE_TYPES]);
+
+      const allocation = allocateRefund(refund, chargesResult.rows);
+      if (!allocation) {
+        return null;
+      }
+
+      const rows = [];
+      const { parts, remaining } = allocation;
+
+      for (const { charge, amount } of parts) {
+        // Charges settled without the provider, such as zero amounts, need no provider refund
+        let gatewayRefund = { id: null };
+        if (charge.payment_gateway_id) {
+          const provider = getPaymentProvider(charge.payment_provider);
+          gatewayRefund = await provider.refund(charge.payment_gateway_id, amount, {
+            idempotencyKey: `${refund.id}:${charge.id}`
+          });
+        }
+
+        rows.push(await Payment.recordRefundPart(client, refund, rows.length === 0, {
+          amount,
+          status: 'completed',
+          parentTransactionId: charge.id,
+          provider: charge.payment_provider,
+          gatewayId: gatewayRefund.id,
+          failureReason: null
+        }));
+      }
+
+      if (remaining > 0) {
+        rows.push(await Payment.recordRefundPart(client, refund, rows.length === 0, {
+          amount: remaining,
+          status: 'failed',
+          parentTransactionId: refund.parent_transaction_id,
+          provider: null,
+          gatewayId: null,
+          failureReason: refund.parent_transaction_id
+            ? 'Nothing collected left to refund on the charge this refund is for'
+            : 'Nothing collected left to refund'
+        }));
+      }
+
+      return rows;
+    });
+  }
+
+  // The first part of a refund reuses its row; later parts are new rows like it
+  static async recordRefundPart(client, refund, first, part) {
+    if (first) {
+      const result = await client.query(`
+        UPDATE transactions
+        SET amount = $1, status = $2, parent_transaction_id = $3, payment_provider = $4,
+            payment_gateway_id = $5, failure_reason = $6, updated_at = NOW()
+        WHERE id = $7
+        RETURNING *
+      `, [
+        part.amount, part.status, part.parentTransactionId, part.provider,
+        part.gatewayId, part.failureReason, refund.id
+      ]);
+
+      return result.rows[0];
+    }
+
+    const created = await Transaction.create({
+      userId: refund.user_id,
+      bookingId: refund.booking_id,
+      membershipId: refund.membership_id,
+      type: 'refund',
+      amount: part.amount,
+      currency: refund.currency,
+      status: part.status,
+      paymentMethod: refund.payment_method,
+      description: refund.description,
+      parentTransactionId: part.parentTransactionId
+    }, client);
+
+    const result = await client.query(`
+      UPDATE transactions
+      SET payment_provider = $1, payment_gateway_id = $2, failure_reason = $3
+      WHERE id = $4
+      RETURNING *
+    `, [part.provider, part.gatewayId, part.failureReason, created.id]);
+
+    return result.rows[0];
+  }
+
+  // Moves a pending transaction on: sends a charge, checks on one in flight or pays a refund
+  static async process(transaction) {
+    if (transaction.type === 'refund') {
+      return await Payment.refund(transaction.id);
+    }
+
+    return transaction.payment_gateway_id
+      ? await Payment.sync(transaction.id)
+      : await Payment.charge(transaction.id);
+  }
+
+  // Processes the pending transactions of a booking or membership straight after it changed, so
+  // the response can show the payment. The change is already saved, so this never throws: errors
+  // are logged and left to the payment job, and the transactions list comes back empty if it
+  // cannot be read.
+  static async processFor({ bookingId = null, membershipId = null }) {
+    try {
+      const pending = await pool.query(`
+        SELECT *
+        FROM transactions
+        WHERE status = 'pending' AND (booking_id = $1 OR membership_id = $2)
+        ORDER BY (type = 'refund') ASC, created_at ASC
+      `, [bookingId, membershipId]);
+
+      for (const transaction of pending.rows) {
+        try {
+          await Payment.process(transaction);
+        } catch (error) {
+          console.error(`Payment of transaction ${transaction.id} failed; the payment job will retry:`, error);
+        }
+      }
+
+      const result = await pool.query(`
+        SELECT *
+        FROM transactions
+        WHERE booking_id = $1 OR membership_id = $2
+        ORDER BY created_at ASC
+      `, [bookingId, membershipId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Payment processing failed; the payment job will retry:', error);
+      return [];
+    }
+  }
+
+  static async getPending(limit = 100) {
+    const result = await pool.query(`
+      SELECT *
+      FROM transactions
+      WHERE status = 'pending'
+      ORDER BY (type = 'refund') ASC, created_at ASC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows;
+  }
+
+  // Applies a verified webhook event to the charge it is about. The intent is fetched from the
+  // provider again and the event is ignored if the provider disagrees with it. Events for unknown
+  // intents and repeats of events already applied change nothing. Returns the transaction, if any.
+  static async handleEvent(providerName, event) {
+    const eventStatus = statusForEvent(event);
+    if (!eventStatus) {
+      return null;
+    }
+
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT *
+        FROM transactions
+        WHERE payment_provider = $1 AND payment_gateway_id = $2
+        FOR UPDATE
+      `, [providerName, event.intentId]);
+
+      const transaction = result.rows[0];
+      if (!transaction || transaction.status !== 'pending') {
+        return transaction || null;
+      }
+
+      const intent = await getPaymentProvider(providerName).retrieve(event.intentId);
+      if (statusFor(intent) !== eventStatus) {
+        console.warn(`Ignored ${event.type} event ${event.id}: the provider reports intent ${intent.id} as ${intent.status}`);
+        return transaction;
+      }
+
+      return await Payment.applyIntent(client, transaction, providerName, intent);
+    });
+  }
+
+  // Sends a failed charge again, optionally with another payment method. Returns null when the
+  // user has no failed charge with this ID.
+  static async retry(id, userId, paymentMethod = null) {
+    const result = await pool.query(`
+      UPDATE transactions
+      SET status = 'pending', payment_method = COALESCE($1, payment_method),
+          payment_provider = NULL, payment_gateway_id = NULL, failure_reason = NULL, updated_at = NOW()
+      WHERE id = $2 AND user_id = $3 AND status = 'failed' AND type = ANY($4)
+      RETURNING *
+    `, [paymentMethod, id, userId, CHARGE_TYPES]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return await Payment.charge(id) || await Transaction.findById(id);
+  }
+}
+
+Payment.CHARGE_TYPES = CHARGE_TYPES;
+
+module.exports = Payment;
\ No newline at end of file
@@ -0,0 +1,141 @@
+const { pool, withTransaction, setTransactionUser } = require('../database/connection');
+const Transaction = require('./Transaction');
+const { calculatePrice } = require('../utils/pricing');
+const { roundCurrency } = require('../utils/proration');
+
+// The plan a member books under, either their own or one they are a dependant on
+async function findPlan(client, userId) {
+  const result = await client.query(`
+    SELECT m.membership_type_id, m.payment_method
+    FROM memberships m
+    WHERE (
+        m.user_id = $1 OR m.id IN (
+          SELECT membership_id FROM membership_dependants WHERE user_id = $1 AND status = 'active'
+        )
+      )
+      AND m.status = 'active' AND m.end_date >= CURRENT_DATE
+    ORDER BY (m.user_id = $1) DESC, m.created_at DESC
+    LIMIT 1
+  `, [userId]);
+
+  return result.rows[0] || { membership_type_id: null, payment_method: null };
+}
+
+class PricingRule {
+  static async findByFacilityId(facilityId, client = pool) {
+    const result = await client.query(`
+      SELECT r.*, mt.name as membership_type_name
+      FROM facility_pricing_rules r
+      LEFT JOIN membership_types mt ON r.membership_type_id = mt.id
+      WHERE r.facility_id = $1
+      ORDER BY r.membership_type_id NULLS FIRST, r.starts_at NULLS FIRST, r.name ASC
+    `, [facilityId]);
+
+    return result.rows;
+  }
+
+  // Returns null when the facility does not exist
+  static async create(facilityId, ruleData, staffId) {
+    const {
+      membershipTypeId = null, name, pricingType, memberRate = 0, guestRate = 0,
+      daysOfWeek = null, startsAt = null, endsAt = null
+    } = ruleData;
+
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const facilityResult = await client.query('SELECT id FROM facilities WHERE id = $1', [facilityId]);
+      if (facilityResult.rows.length === 0) {
+        return null;
+      }
+
+      const result = await client.query(`
+        INSERT INTO facility_pricing_rules (
+          facility_id, membership_type_id, name, pricing_type, member_rate, guest_rate,
+          days_of_week, starts_at, ends_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        facilityId, membershipTypeId, name, pricingType, memberRate, guestRate,
+        daysOfWeek, startsAt, endsAt
+      ]);
+
+      return result.rows[0];
+    });
+  }
+
+  static async delete(facilityId, ruleId, staffId) {
+    return await withTransaction(async (client) => {
+      await setTransactionUser(client, staffId);
+
+      const result = await client.query(`
+        DELETE FROM facility_pricing_rules
+        WHERE id = $1 AND facility_id = $2
+        RETURNING *
+      `, [ruleId, facilityId]);
+
+      return result.rows[0];
+    });
+  }
+
+  // What the user would pay to book a slot, without booking it. Returns null when the
+  // facility does not exist.
+  static async quote({ userId, facilityId, startTime, endTime, guests = 0 }) {
+    const facilityResult = await pool.query('SELECT id FROM facilities WHERE id = $1', [facilityId]);
+    if (facilityResult.rows.length === 0) {
+      return null;
+    }
+
+    const plan = await findPlan(pool, userId);
+    const rules = await PricingRule.findByFacilityId(facilityId);
+
+    return {
+      facilityId,
+      startTime,
+      endTime,
+      guests,
+      ...calculatePrice(rules, { membershipTypeId: plan.membership_type_id, startTime, endTime, guests })
+    };
+  }
+
+  // Prices a booking as it now stands inside the caller's transaction and stores the price.
+  // total_cost is what has been charged so far, so only the difference is charged, or refunded
+  // when the booking got cheaper. Returns the updated booking.
+  static async chargeWithClient(client, booking) {
+    const plan = await findPlan(client, booking.user_id);
+    const rules = await PricingRule.findByFacilityId(booking.facility_id, client);
+    const price = calculatePrice(rules, {
+      membershipTypeId: plan.membership_type_id,
+      startTime: booking.start_time,
+      endTime: booking.end_time,
+      guests: booking.participants - 1
+    });
+
+    const previousTotal = Number(booking.total_cost) || 0;
+    const difference = roundCurrency(price.total - previousTotal);
+    const repriced = booking.price_breakdown !== null;
+
+    if (difference !== 0) {
+      await Transaction.create({
+        userId: booking.user_id,
+        bookingId: booking.id,
+        type: difference > 0 ? 'booking_fee' : 'refund',
+        amount: Math.abs(difference),
+        paymentMethod: plan.payment_method,
+        description: !repriced ? 'Booking fee' : difference > 0 ? 'Booking price increase' : 'Booking price reduction'
+      }, client);
+    }
+
+    const result = await client.query(`
+      UPDATE bookings
+      SET total_cost = $1, price_breakdown = $2, updated_at = NOW()
+      WHERE id = $3
+      RETURNING *
+    `, [price.total, JSON.stringify(price), booking.id]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = PricingRule;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const { pool } = require('../database/connection');
+
+class Transaction {
+  // Pass a transaction client to create the row as part of a larger unit of work
+  static async create(transactionData, client = pool) {
+    const {
+      userId, bookingId = null, membershipId = null, type, amount,
+      currency = 'USD', status = 'pending', paymentMethod = null, description = null,
+      parentTransactionId = null
+    } = transactionData;
+
+    const query = `
+      INSERT INTO transactions (
+        user_id, booking_id, membership_id, type, amount,
+        currency, status, payment_method, description, parent_transaction_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      userId, bookingId, membershipId, type, amount,
+      currency, status, paymentMethod, description, parentTransactionId
+    ]);
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const query = `
+      SELECT *
+      FROM transactions
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  static async findByUserId(userId, filters = {}) {
+    const { status, limit = 50, offset = 0 } = filters;
+    const params = [userId];
+
+    let query = `
+      SELECT *
+      FROM transactions
+      WHERE user_id = $1
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  static async findByMembershipId(membershipId) {
+    const query = `
+      SELECT *
+      FROM transactions
+      WHERE membership_id = $1
+      ORDER BY created_at DESC
+    `;
+
+    const result = await pool.query(query, [membershipId]);
+    return result.rows;
+  }
+}
+
+module.exports = Transaction;
\ No newline at end of file
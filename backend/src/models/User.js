@@ -9,7 +9,7 @@ class User {
     const query = `
       INSERT INTO users (email, password_hash, first_name, last_name, phone, address, date_of_birth, role)
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id, email, first_name, last_name, phone, role, status, created_at
+      RETURNING id, email, first_name, last_name, phone, role, status, created_at, membership_number
     `;
 
     const result = await pool.query(query, [
@@ -34,7 +34,8 @@ class User {
   static async findById(id) {
     const query = `
       SELECT id, email, first_name, last_name, phone, address,
-             date_of_birth, role, status, email_verified, phone_verified, created_at, last_login
+             date_of_birth, role, status, email_verified, phone_verified, created_at, last_login,
+             membership_number
       FROM users
       WHERE id = $1
     `;
@@ -116,7 +117,7 @@ class User {
   static async getAll(filters = {}) {
     let query = `
       SELECT id, email, first_name, last_name, phone, role, status,
-             email_verified, phone_verified, created_at, last_login
+             email_verified, phone_verified, created_at, last_login, membership_number
       FROM users
       WHERE 1=1
     `;
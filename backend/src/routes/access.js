@@ -0,0 +1,42 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const AccessController = require('../controllers/accessController');
+const { authMiddleware, staffMiddleware, adminMiddleware, deviceAuthMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const validateCredential = [
+  body('userId').isUUID(),
+  body('cardUid').trim().isLength({ min: 4, max: 64 }),
+  body('label').optional().trim().isLength({ max: 100 })
+];
+
+const validateDevice = [
+  body('name').trim().isLength({ min: 2, max: 100 }),
+  body('facilityId').optional({ nullable: true }).isUUID()
+];
+
+const validateVerify = [
+  body('cardUid').trim().isLength({ min: 4, max: 64 })
+];
+
+const validateEventsQuery = [
+  query('deviceId').optional().isUUID(),
+  query('userId').optional().isUUID(),
+  query('date').optional().isISO8601()
+];
+
+// Door reader routes (device key, not a user token)
+router.post('/verify', deviceAuthMiddleware, validateVerify, AccessController.verify);
+
+// Admin/Staff routes
+router.post('/credentials', authMiddleware, staffMiddleware, validateCredential, AccessController.registerCredential);
+router.get('/credentials', authMiddleware, staffMiddleware, AccessController.getCredentials);
+router.delete('/credentials/:id', authMiddleware, staffMiddleware, AccessController.revokeCredential);
+router.get('/devices', authMiddleware, staffMiddleware, AccessController.getDevices);
+router.post('/devices', authMiddleware, adminMiddleware, validateDevice, AccessController.createDevice);
+router.put('/devices/:id/status', authMiddleware, adminMiddleware, AccessController.updateDeviceStatus);
+router.get('/events', authMiddleware, staffMiddleware, validateEventsQuery, AccessController.getEvents);
+
+module.exports = router;
\ No newline at end of file
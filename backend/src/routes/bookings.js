@@ -10,7 +10,45 @@ const validateBooking = [
   body('facilityId').isUUID(),
   body('startTime').isISO8601(),
   body('endTime').isISO8601(),
-  body('notes').optional().isLength({ max: 500 })
+  body('notes').optional().isLength({ max: 500 }),
+  body('guests').optional().isArray({ max: 10 })
+];
+
+const validateQuote = [
+  body('facilityId').isUUID(),
+  body('startTime').isISO8601(),
+  body('endTime').isISO8601(),
+  body('guests').optional().isInt({ min: 0, max: 10 })
+];
+
+const validateSeries = [
+  body('facilityId').isUUID(),
+  body('startTime').isISO8601(),
+  body('endTime').isISO8601(),
+  body('notes').optional().isLength({ max: 500 }),
+  body('pattern').isIn(['weekly', 'biweekly', 'custom']),
+  body('rule').optional().isLength({ max: 255 }),
+  body('until').optional().isISO8601(),
+  body('count').optional().isInt({ min: 1 }),
+  body('skipConflicts').optional().isBoolean()
+];
+
+const validateBookingEdit = [
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601(),
+  body('notes').optional().isLength({ max: 500 }),
+  body('scope').optional().isIn(['single', 'following', 'series'])
+];
+
+const validateWaitlist = [
+  body('facilityId').isUUID(),
+  body('startTime').isISO8601(),
+  body('endTime').isISO8601()
+];
+
+const validateGuests = [
+  body('guests').isArray({ min: 1, max: 10 }),
+  body('guests.*.name').trim().isLength({ min: 2, max: 200 })
 ];
 
 const validateBookingUpdate = [
@@ -24,14 +62,36 @@ const validateAvailabilityQuery = [
 
 // Member routes
 router.post('/', authMiddleware, validateBooking, BookingController.createBooking);
+router.post('/quote', authMiddleware, validateQuote, BookingController.getQuote);
 router.get('/', authMiddleware, BookingController.getBookings);
-router.get('/:id', authMiddleware, BookingController.getBooking);
-router.delete('/:id', authMiddleware, BookingController.cancelBooking);
+router.get('/guest-passes', authMiddleware, BookingController.getGuestPassUsage);
+router.get('/strikes', authMiddleware, BookingController.getStrikes);
+router.post('/series', authMiddleware, validateSeries, BookingController.createSeries);
+router.post('/series/preview', authMiddleware, validateSeries, BookingController.previewSeries);
+router.get('/series/:seriesId', authMiddleware, BookingController.getSeries);
+router.post('/waitlist', authMiddleware, validateWaitlist, BookingController.joinWaitlist);
+router.get('/waitlist', authMiddleware, BookingController.getWaitlist);
+router.post('/waitlist/:entryId/claim', authMiddleware, BookingController.claimWaitlistOffer);
+router.delete('/waitlist/:entryId', authMiddleware, BookingController.leaveWaitlist);
 router.get('/facilities/:facilityId/availability', authMiddleware, validateAvailabilityQuery, BookingController.getFacilityAvailability);
 
-// Admin/Staff routes
+// Admin/Staff routes. They come before the /:id routes, which would otherwise read "admin" as a booking ID.
 router.get('/admin/all', authMiddleware, staffMiddleware, BookingController.getAllBookings);
-router.put('/:id/status', authMiddleware, staffMiddleware, validateBookingUpdate, BookingController.updateBookingStatus);
 router.get('/admin/stats', authMiddleware, staffMiddleware, BookingController.getBookingStats);
+router.get('/admin/guests', authMiddleware, staffMiddleware, BookingController.getExpectedGuests);
+router.get('/admin/strikes/:userId', authMiddleware, staffMiddleware, BookingController.getUserStrikes);
+router.delete('/admin/strikes/:strikeId', authMiddleware, staffMiddleware, BookingController.waiveStrike);
+router.delete('/admin/suspensions/:suspensionId', authMiddleware, staffMiddleware, BookingController.liftSuspension);
+
+// Single booking routes
+router.get('/:id', authMiddleware, BookingController.getBooking);
+router.put('/:id', authMiddleware, validateBookingEdit, BookingController.updateBooking);
+router.delete('/:id', authMiddleware, BookingController.cancelBooking);
+router.get('/:id/cancellation', authMiddleware, BookingController.getCancellationQuote);
+router.get('/:id/history', authMiddleware, BookingController.getBookingHistory);
+router.get('/:id/guests', authMiddleware, BookingController.getGuests);
+router.post('/:id/guests', authMiddleware, validateGuests, BookingController.addGuests);
+router.delete('/:id/guests/:guestId', authMiddleware, BookingController.removeGuest);
+router.put('/:id/status', authMiddleware, staffMiddleware, validateBookingUpdate, BookingController.updateBookingStatus);
 
 module.exports = router;
\ No newline at end of file
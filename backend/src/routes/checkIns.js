@@ -0,0 +1,25 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const CheckInController = require('../controllers/checkInController');
+const { authMiddleware, staffMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const validateCheckIn = [
+  body('email').optional().isEmail(),
+  body('membershipNumber').optional().trim().isLength({ min: 1, max: 20 }),
+  body('code').optional().trim().isLength({ min: 1, max: 100 }),
+  body('facilityId').optional().isUUID()
+];
+
+const validateOnSiteQuery = [
+  query('facilityId').optional().isUUID()
+];
+
+// Front desk routes (staff only)
+router.post('/', authMiddleware, staffMiddleware, validateCheckIn, CheckInController.checkIn);
+router.get('/on-site', authMiddleware, staffMiddleware, validateOnSiteQuery, CheckInController.getOnSite);
+router.post('/:id/check-out', authMiddleware, staffMiddleware, CheckInController.checkOut);
+
+module.exports = router;
\ No newline at end of file
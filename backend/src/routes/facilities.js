@@ -16,7 +16,80 @@ const validateFacility = [
   body('operatingHoursEnd').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('bookingDurationMinutes').optional().isInt({ min: 15, max: 480 }),
   body('bookingBufferMinutes').optional().isInt({ min: 0, max: 60 }),
-  body('requiresSupervision').optional().isBoolean()
+  body('bookingGranularityMinutes').optional({ nullable: true }).isInt({ min: 5, max: 480 }),
+  body('minBookingMinutes').optional({ nullable: true }).isInt({ min: 15, max: 720 }),
+  body('maxBookingMinutes').optional({ nullable: true }).isInt({ min: 15, max: 720 }),
+  body('bookingIncrementMinutes').optional({ nullable: true }).isInt({ min: 5, max: 240 }),
+  body('requiresSupervision').optional().isBoolean(),
+  body('bookingMode').optional().isIn(['exclusive', 'shared']),
+  body('freeCancelHours').optional({ nullable: true }).isInt({ min: 0, max: 720 }),
+  body('lateCancelFee').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('lateCancelRefundPercent').optional({ nullable: true }).isInt({ min: 0, max: 100 }),
+  body('checkInRequired').optional().isBoolean(),
+  body('bookingRequired').optional().isBoolean()
+];
+
+// Updates only change the fields that are sent
+const validateFacilityUpdate = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }),
+  body('type').optional().trim().isLength({ min: 2, max: 50 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('capacity').optional().isInt({ min: 1 }),
+  body('location').optional().trim().isLength({ max: 100 }),
+  body('operatingHoursStart').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  body('operatingHoursEnd').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  body('bookingDurationMinutes').optional().isInt({ min: 15, max: 480 }),
+  body('bookingBufferMinutes').optional().isInt({ min: 0, max: 60 }),
+  body('bookingGranularityMinutes').optional({ nullable: true }).isInt({ min: 5, max: 480 }),
+  body('minBookingMinutes').optional({ nullable: true }).isInt({ min: 15, max: 720 }),
+  body('maxBookingMinutes').optional({ nullable: true }).isInt({ min: 15, max: 720 }),
+  body('bookingIncrementMinutes').optional({ nullable: true }).isInt({ min: 5, max: 240 }),
+  body('requiresSupervision').optional().isBoolean(),
+  body('bookingMode').optional().isIn(['exclusive', 'shared']),
+  body('freeCancelHours').optional({ nullable: true }).isInt({ min: 0, max: 720 }),
+  body('lateCancelFee').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('lateCancelRefundPercent').optional({ nullable: true }).isInt({ min: 0, max: 100 }),
+  body('checkInRequired').optional().isBoolean(),
+  body('bookingRequired').optional().isBoolean()
+];
+
+const validateWeeklyHours = [
+  body('days').isArray({ max: 7 })
+];
+
+const validateSeason = [
+  body('name').trim().isLength({ min: 2, max: 100 }),
+  body('startDate').isISO8601(),
+  body('endDate').isISO8601(),
+  body('days').isArray({ min: 1, max: 7 })
+];
+
+const validatePricingRule = [
+  body('name').trim().isLength({ min: 2, max: 100 }),
+  body('membershipTypeId').optional({ nullable: true }).isUUID(),
+  body('pricingType').isIn(['included', 'flat', 'hourly']),
+  body('memberRate').optional().isFloat({ min: 0 }),
+  body('guestRate').optional().isFloat({ min: 0 }),
+  body('daysOfWeek').optional({ nullable: true }).isArray({ min: 1, max: 7 }),
+  body('startsAt').optional({ nullable: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  body('endsAt').optional({ nullable: true }).matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+];
+
+const validateMaintenanceWindow = [
+  body('startsAt').isISO8601(),
+  body('endsAt').isISO8601(),
+  body('reason').optional().trim().isLength({ max: 255 }),
+  body('affectedBookings').optional().isIn(['keep', 'cancel', 'relocate'])
+];
+
+const validateResolveClosure = [
+  body('action').isIn(['cancel', 'relocate'])
+];
+
+const validateBlackout = [
+  body('name').trim().isLength({ min: 2, max: 100 }),
+  body('startDate').isISO8601(),
+  body('endDate').isISO8601()
 ];
 
 const validateAvailabilityQuery = [
@@ -26,15 +99,31 @@ const validateAvailabilityQuery = [
 // Public routes (available to all authenticated users)
 router.get('/', authMiddleware, FacilityController.getFacilities);
 router.get('/types', authMiddleware, FacilityController.getFacilityTypes);
+router.get('/blackouts', authMiddleware, FacilityController.getBlackoutDates);
 router.get('/:id', authMiddleware, FacilityController.getFacility);
 router.get('/:id/availability', authMiddleware, validateAvailabilityQuery, FacilityController.getFacilityAvailability);
 router.get('/:id/available-slots', authMiddleware, validateAvailabilityQuery, FacilityController.getAvailableSlots);
+router.get('/:id/maintenance', authMiddleware, FacilityController.getMaintenanceWindows);
+router.get('/:id/schedule', authMiddleware, FacilityController.getSchedule);
+router.get('/:id/pricing', authMiddleware, FacilityController.getPricingRules);
 
 // Admin/Staff routes
 router.post('/', authMiddleware, staffMiddleware, validateFacility, FacilityController.createFacility);
-router.put('/:id', authMiddleware, staffMiddleware, validateFacility, FacilityController.updateFacility);
+router.put('/:id', authMiddleware, staffMiddleware, validateFacilityUpdate, FacilityController.updateFacility);
 router.delete('/:id', authMiddleware, staffMiddleware, FacilityController.deleteFacility);
 router.put('/:id/status', authMiddleware, staffMiddleware, FacilityController.updateFacilityStatus);
 router.get('/admin/utilization', authMiddleware, staffMiddleware, FacilityController.getFacilityUtilization);
+router.post('/blackouts', authMiddleware, staffMiddleware, validateBlackout, FacilityController.createBlackoutDate);
+router.get('/blackouts/:blackoutId/conflicts', authMiddleware, staffMiddleware, FacilityController.getBlackoutConflicts);
+router.delete('/blackouts/:blackoutId', authMiddleware, staffMiddleware, FacilityController.deleteBlackoutDate);
+router.put('/:id/schedule/weekly', authMiddleware, staffMiddleware, validateWeeklyHours, FacilityController.setWeeklyHours);
+router.post('/:id/seasons', authMiddleware, staffMiddleware, validateSeason, FacilityController.createSeason);
+router.delete('/:id/seasons/:seasonId', authMiddleware, staffMiddleware, FacilityController.deleteSeason);
+router.post('/:id/pricing', authMiddleware, staffMiddleware, validatePricingRule, FacilityController.createPricingRule);
+router.delete('/:id/pricing/:ruleId', authMiddleware, staffMiddleware, FacilityController.deletePricingRule);
+router.post('/:id/maintenance', authMiddleware, staffMiddleware, validateMaintenanceWindow, FacilityController.createMaintenanceWindow);
+router.get('/:id/maintenance/:windowId/conflicts', authMiddleware, staffMiddleware, FacilityController.getMaintenanceConflicts);
+router.post('/:id/maintenance/:windowId/resolve', authMiddleware, staffMiddleware, validateResolveClosure, FacilityController.resolveMaintenanceConflicts);
+router.delete('/:id/maintenance/:windowId', authMiddleware, staffMiddleware, FacilityController.cancelMaintenanceWindow);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,84 @@
+const express = require('express');
+const { body } = require('express-validator');
+const MembershipController = require('../controllers/membershipController');
+const { authMiddleware, staffMiddleware, adminMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const validateApplication = [
+  body('membershipTypeId').isUUID(),
+  body('startDate').optional().isISO8601(),
+  body('paymentMethod').optional().isLength({ max: 50 }),
+  body('autoRenew').optional().isBoolean(),
+  body('notes').optional().isLength({ max: 500 })
+];
+
+const validateDependant = [
+  body('email').isEmail().normalizeEmail(),
+  body('relationship').optional().isLength({ max: 50 })
+];
+
+const validatePlanChange = [
+  body('membershipTypeId').isUUID()
+];
+
+const validateFreeze = [
+  body('startDate').isISO8601(),
+  body('endDate').isISO8601(),
+  body('reason').optional().isLength({ max: 500 })
+];
+
+const validateRejection = [
+  body('reason').trim().isLength({ min: 3, max: 500 })
+];
+
+const validateMembershipType = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('durationMonths').optional().isInt({ min: 1, max: 60 }),
+  body('price').optional().isFloat({ min: 0 }),
+  body('facilitiesAccess').optional().isArray({ min: 1 }),
+  body('maxBookingsPerDay').optional().isInt({ min: 1, max: 50 }),
+  body('maxBookingDaysAhead').optional().isInt({ min: 1, max: 365 }),
+  body('maxFreezeDaysPerYear').optional().isInt({ min: 0, max: 365 }),
+  body('maxDependants').optional().isInt({ min: 0, max: 20 }),
+  body('bookingLimitScope').optional().isIn(['per_person', 'household']),
+  body('guestPassesPerMonth').optional().isInt({ min: 0, max: 100 }),
+  body('guestFee').optional().isFloat({ min: 0 }),
+  body('freeCancelHours').optional({ nullable: true }).isInt({ min: 0, max: 720 }),
+  body('lateCancelFee').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('lateCancelRefundPercent').optional({ nullable: true }).isInt({ min: 0, max: 100 }),
+  body('isActive').optional().isBoolean()
+];
+
+// Member routes
+router.get('/types', authMiddleware, MembershipController.getMembershipTypes);
+router.post('/', authMiddleware, validateApplication, MembershipController.applyForMembership);
+router.get('/', authMiddleware, MembershipController.getMyMemberships);
+router.get('/:id', authMiddleware, MembershipController.getMembership);
+router.delete('/:id', authMiddleware, MembershipController.cancelMembership);
+router.post('/:id/freezes', authMiddleware, validateFreeze, MembershipController.freezeMembership);
+router.get('/:id/freezes', authMiddleware, MembershipController.getMembershipFreezes);
+router.delete('/:id/freezes/:freezeId', authMiddleware, MembershipController.cancelMembershipFreeze);
+router.get('/:id/dependants', authMiddleware, MembershipController.getDependants);
+router.post('/:id/dependants', authMiddleware, validateDependant, MembershipController.addDependant);
+router.delete('/:id/dependants/:userId', authMiddleware, MembershipController.removeDependant);
+router.get('/:id/plan-change', authMiddleware, MembershipController.quotePlanChange);
+router.post('/:id/plan-change', authMiddleware, validatePlanChange, MembershipController.changePlan);
+router.delete('/:id/plan-change', authMiddleware, MembershipController.cancelPlanChange);
+
+// Admin/Staff routes
+router.get('/admin/all', authMiddleware, staffMiddleware, MembershipController.getAllMemberships);
+router.get('/admin/pending', authMiddleware, staffMiddleware, MembershipController.getPendingApplications);
+router.put('/:id/approve', authMiddleware, staffMiddleware, MembershipController.approveMembership);
+router.put('/:id/reject', authMiddleware, staffMiddleware, validateRejection, MembershipController.rejectMembership);
+
+// Admin membership type (plan) management
+router.get('/admin/types', authMiddleware, adminMiddleware, MembershipController.getAllMembershipTypes);
+router.post('/types', authMiddleware, adminMiddleware, validateMembershipType, MembershipController.createMembershipType);
+router.put('/types/:id', authMiddleware, adminMiddleware, validateMembershipType, MembershipController.updateMembershipType);
+router.put('/types/:id/status', authMiddleware, adminMiddleware, MembershipController.updateMembershipTypeStatus);
+router.get('/types/:id/price-history', authMiddleware, adminMiddleware, MembershipController.getMembershipTypePriceHistory);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const { body } = require('express-validator');
+const PaymentController = require('../controllers/paymentController');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRetry = [
+  body('paymentMethod').optional().isLength({ max: 50 })
+];
+
+// Payment provider callbacks (signed by the provider, not a user token)
+router.post('/webhooks/:provider', PaymentController.handleWebhook);
+
+// Member routes
+router.get('/transactions', authMiddleware, PaymentController.getTransactions);
+router.post('/transactions/:id/retry', authMiddleware, validateRetry, PaymentController.retryPayment);
+
+module.exports = router;
\ No newline at end of file
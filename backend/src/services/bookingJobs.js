@@ -0,0 +1,87 @@
+const { pool } = require('../database/connection');
+const Booking = require('../models/Booking');
+const BookingWaitlist = require('../models/BookingWaitlist');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Offers every waitlisted slot that is free again, including slots whose claim window just closed
+async function offerOpenWaitlistSlots() {
+  const slots = await BookingWaitlist.getOpenSlots();
+  const offered = [];
+
+  for (const slot of slots) {
+    try {
+      offered.push(...await BookingWaitlist.offerSlot(slot.facility_id, slot.start_time, slot.end_time));
+    } catch (error) {
+      console.error(`Booking job: failed to offer waitlisted slot on facility ${slot.facility_id}:`, error);
+    }
+  }
+
+  return offered;
+}
+
+// `now` is injectable so the job can be run against a fake clock
+async function runBookingJobs({ now = () => new Date() } = {}) {
+  const { completed, noShows, suspensions } = await Booking.settleFinished(now());
+  const expiredOffers = await BookingWaitlist.expireOffers(now());
+  const offered = await offerOpenWaitlistSlots();
+
+  if (completed.length > 0 || noShows.length > 0) {
+    console.log(
+      `${new Date().toISOString()} - Booking job: completed ${completed.length} bookings, ` +
+      `marked ${noShows.length} no-shows, suspended ${suspensions.length} members`
+    );
+  }
+
+  if (expiredOffers.length > 0 || offered.length > 0) {
+    console.log(
+      `${new Date().toISOString()} - Booking job: expired ${expiredOffers.length} waitlist entries, ` +
+      `offered ${offered.length} slots`
+    );
+  }
+
+  return { completed, noShows, suspensions, expiredOffers, offered };
+}
+
+function scheduleBookingJobs(options = {}) {
+  const intervalMinutes = options.intervalMinutes ||
+    parseInt(process.env.BOOKING_JOB_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap with a run that is still in progress
+    if (running) return;
+    running = true;
+    try {
+      await runBookingJobs(options);
+    } catch (error) {
+      console.error('Booking job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+if (require.main === module) {
+  runBookingJobs()
+    .then(({ completed, noShows, suspensions, expiredOffers, offered }) => {
+      console.log(
+        `Completed ${completed.length} bookings, marked ${noShows.length} no-shows and ` +
+        `suspended ${suspensions.length} members.`
+      );
+      console.log(`Expired ${expiredOffers.length} waitlist entries and offered ${offered.length} slots.`);
+    })
+    .catch((error) => {
+      console.error('Booking job failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { runBookingJobs, offerOpenWaitlistSlots, scheduleBookingJobs };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const moment = require('moment');
+const { pool, withTransaction } = require('../database/connection');
+const Membership = require('../models/Membership');
+const MembershipFreeze = require('../models/MembershipFreeze');
+const Transaction = require('../models/Transaction');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+async function completeEndedFreezes(today) {
+  const due = await MembershipFreeze.getDueForCompletion(today);
+  const completed = [];
+
+  for (const { id } of due) {
+    try {
+      const freeze = await withTransaction((client) => MembershipFreeze.complete(id, today, client));
+      if (freeze) {
+        completed.push(freeze);
+      }
+    } catch (error) {
+      console.error(`Membership job: failed to complete freeze ${id}:`, error);
+    }
+  }
+
+  return completed;
+}
+
+async function renewDueMemberships(today) {
+  const due = await Membership.getDueForRenewal(today);
+  const renewed = [];
+
+  for (const { id } of due) {
+    try {
+      const result = await withTransaction(async (client) => {
+        const membership = await Membership.lockForRenewal(id, today, client);
+        if (!membership) {
+          return null;
+        }
+
+        // A scheduled downgrade takes effect with the new term
+        if (membership.scheduled_membership_type_id) {
+          await Membership.applyScheduledPlanChange(id, client);
+        }
+
+        const periodStart = moment(membership.end_date).add(1, 'day');
+        const newEndDate = moment(membership.end_date).add(membership.duration_months, 'months');
+
+        const renewedMembership = await Membership.renew(id, newEndDate.format('YYYY-MM-DD'), null, client);
+        const transaction = await Transaction.create({
+          userId: membership.user_id,
+          membershipId: id,
+          type: 'membership_fee',
+          amount: membership.renewal_price,
+          paymentMethod: membership.payment_method,
+          description: `Auto-renewal of ${membership.membership_type_name} membership ` +
+            `(${periodStart.format('YYYY-MM-DD')} to ${newEndDate.format('YYYY-MM-DD')})`
+        }, client);
+
+        return { membership: renewedMembership, transaction };
+      });
+
+      if (result) {
+        renewed.push(result);
+      }
+    } catch (error) {
+      console.error(`Membership job: failed to renew membership ${id}:`, error);
+    }
+  }
+
+  return renewed;
+}
+
+// `now` is injectable so the job can be run against a fake clock
+async function runMembershipJobs({ now = () => new Date() } = {}) {
+  const today = moment(now()).format('YYYY-MM-DD');
+
+  // Extend memberships for finished freezes first, then renew, so neither step expires a membership early
+  const unfrozen = await completeEndedFreezes(today);
+  const renewed = await renewDueMemberships(today);
+  const expired = await Membership.expireOverdue(today);
+
+  if (unfrozen.length > 0 || renewed.length > 0 || expired.length > 0) {
+    console.log(
+      `${new Date().toISOString()} - Membership job: unfrozen ${unfrozen.length}, ` +
+      `renewed ${renewed.length}, expired ${expired.length}`
+    );
+  }
+
+  return { date: today, unfrozen, renewed, expired };
+}
+
+function scheduleMembershipJobs(options = {}) {
+  const intervalMinutes = options.intervalMinutes ||
+    parseInt(process.env.MEMBERSHIP_JOB_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap with a run that is still in progress
+    if (running) return;
+    running = true;
+    try {
+      await runMembershipJobs(options);
+    } catch (error) {
+      console.error('Membership job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+if (require.main === module) {
+  runMembershipJobs()
+    .then(({ unfrozen, renewed, expired }) => {
+      console.log(`Unfroze ${unfrozen.length}, renewed ${renewed.length} and expired ${expired.length} memberships.`);
+    })
+    .catch((error) => {
+      console.error('Membership job failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { runMembershipJobs, completeEndedFreezes, renewDueMemberships, scheduleMembershipJobs };
\ No newline at end of file
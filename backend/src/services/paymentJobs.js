@@ -0,0 +1,84 @@
+const { pool } = require('../database/connection');
+const Payment = require('../models/Payment');
+
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+// Sends pending charges, checks on charges still settling and pays pending refunds. Refunds go
+// last so they can use charges collected in the same run.
+async function runPaymentJobs() {
+  const pending = await Payment.getPending();
+  const outcomes = { completed: [], failed: [], refunded: [], waiting: 0 };
+
+  for (const transaction of pending) {
+    try {
+      const result = await Payment.process(transaction);
+      const rows = Array.isArray(result) ? result : [result];
+
+      for (const row of rows) {
+        if (!row || row.status === 'pending') {
+          outcomes.waiting++;
+        } else if (row.type === 'refund' && row.status === 'completed') {
+          outcomes.refunded.push(row);
+        } else if (row.status === 'completed') {
+          outcomes.completed.push(row);
+        } else {
+          outcomes.failed.push(row);
+        }
+      }
+    } catch (error) {
+      console.error(`Payment job: failed to process transaction ${transaction.id}:`, error);
+    }
+  }
+
+  const { completed, failed, refunded } = outcomes;
+  if (completed.length > 0 || failed.length > 0 || refunded.length > 0) {
+    console.log(
+      `${new Date().toISOString()} - Payment job: completed ${completed.length} payments, ` +
+      `${failed.length} failed, refunded ${refunded.length}`
+    );
+  }
+
+  return outcomes;
+}
+
+function schedulePaymentJobs(options = {}) {
+  const intervalMinutes = options.intervalMinutes ||
+    parseInt(process.env.PAYMENT_JOB_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap with a run that is still in progress
+    if (running) return;
+    running = true;
+    try {
+      await runPaymentJobs();
+    } catch (error) {
+      console.error('Payment job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+if (require.main === module) {
+  runPaymentJobs()
+    .then(({ completed, failed, refunded, waiting }) => {
+      console.log(
+        `Completed ${completed.length} payments, ${failed.length} failed, refunded ${refunded.length}; ` +
+        `${waiting} still waiting.`
+      );
+    })
+    .catch((error) => {
+      console.error('Payment job failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { runPaymentJobs, schedulePaymentJobs };
\ No newline at end of file
@@ -0,0 +1,30 @@
+const MockProvider = require('./mockProvider');
+
+// Payment providers by name. Each one implements:
+//   createIntent({ amount, currency, paymentMethod, capture, idempotencyKey, description })
+//   retrieve(intentId), capture(intentId), refund(intentId, amount, { idempotencyKey })
+//   constructEvent(rawBody, signature), with the signature from the signatureHeader request header
+// Intents come back as { id, status, failureReason } with status requires_capture, processing,
+// succeeded or failed; refunds as { id, intentId, amount, status }. constructEvent verifies a
+// webhook and returns { id, type, intentId, failureReason }, where type is payment.succeeded or
+// payment.failed.
+const PROVIDERS = {
+  mock: MockProvider
+};
+
+const instances = {};
+
+// The provider named by PAYMENT_PROVIDER (default mock), or the one named
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown payment provider "${name}"; use one of ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new PROVIDERS[name]();
+  }
+
+  return instances[name];
+}
+
+module.exports = { PROVIDERS, getPaymentProvider };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+// Outcomes the mock can simulate. A delayed payment stays processing for the settlement time
+// before it succeeds, or fails with delayed_decline.
+const OUTCOMES = ['success', 'decline', 'delayed', 'delayed_decline'];
+
+// Payment methods that force an outcome, like a real gateway's test cards
+const TEST_PAYMENT_METHODS = {
+  mock_success: 'success',
+  mock_decline: 'decline',
+  mock_delayed: 'delayed',
+  mock_delayed_decline: 'delayed_decline'
+};
+
+const DEFAULT_SETTLEMENT_SECONDS = 60;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+function webhookError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_WEBHOOK';
+  return error;
+}
+
+// A local sandbox gateway for development and tests. Intents carry their outcome and creation
+// time in their ID, so they settle the same way after a restart; only manual captures are
+// kept in memory.
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.signatureHeader = 'X-Mock-Signature';
+    this.webhookSecret = options.webhookSecret || process.env.MOCK_WEBHOOK_SECRET || 'mock_webhook_secret';
+    this.defaultOutcome = options.outcome || process.env.MOCK_PAYMENT_OUTCOME || 'success';
+    this.settlementSeconds = options.settlementSeconds ||
+      parseInt(process.env.MOCK_SETTLEMENT_SECONDS) || DEFAULT_SETTLEMENT_SECONDS;
+    this.now = options.now || (() => Date.now());
+    this.captured = new Set();
+
+    if (!OUTCOMES.includes(this.defaultOutcome)) {
+      throw new Error(`Unknown MOCK_PAYMENT_OUTCOME "${this.defaultOutcome}"; use one of ${OUTCOMES.join(', ')}.`);
+    }
+  }
+
+  outcomeFor(paymentMethod) {
+    return TEST_PAYMENT_METHODS[paymentMethod] || this.defaultOutcome;
+  }
+
+  // Asks for a payment. With capture false a successful payment waits for capture().
+  async createIntent({ amount, currency = 'USD', paymentMethod = null, capture = true }) {
+    const outcome = this.outcomeFor(paymentMethod);
+    const id = [
+      'mock_pi', outcome, this.now(), capture ? 'auto' : 'manual', crypto.randomBytes(6).toString('hex')
+    ].join('_');
+
+    return { ...await this.retrieve(id), amount, currency };
+  }
+
+  async retrieve(intentId) {
+    const match = /^mock_pi_(success|decline|delayed|delayed_decline)_(\d+)_(auto|manual)_[0-9a-f]+$/.exec(intentId);
+    if (!match) {
+      throw new Error(`Unknown payment intent ${intentId}.`);
+    }
+
+    const [, outcome, createdAt, capture] = match;
+    const settled = this.now() - Number(createdAt) >= this.settlementSeconds * 1000;
+    const declined = outcome === 'decline' || (outcome === 'delayed_decline' && settled);
+
+    let status = 'succeeded';
+    if (declined) {
+      status = 'failed';
+    } else if (outcome.startsWith('delayed') && !settled) {
+      status = 'processing';
+    } else if (capture === 'manual' && !this.captured.has(intentId)) {
+      status = 'requires_capture';
+    }
+
+    return {
+      id: intentId,
+      status,
+      failureReason: declined ? 'Card declined (simulated)' : null
+    };
+  }
+
+  async capture(intentId) {
+    const intent = await this.retrieve(intentId);
+    if (intent.status !== 'requires_capture') {
+      throw new Error(`Payment intent ${intentId} cannot be captured while ${intent.status}.`);
+    }
+
+    this.captured.add(intentId);
+    return await this.retrieve(intentId);
+  }
+
+  async refund(intentId, amount) {
+    const intent = await this.retrieve(intentId);
+    if (intent.status !== 'succeeded') {
+      throw new Error(`Payment intent ${intentId} cannot be refunded while ${intent.status}.`);
+    }
+
+    return {
+      id: `mock_re_${this.now()}_${crypto.randomBytes(6).toString('hex')}`,
+      intentId,
+      amount,
+      status: 'succeeded'
+    };
+  }
+
+  // Header value for a webhook body, as the gateway would send it: t=<unix seconds>,v1=<hmac>
+  signPayload(body, timestamp = Math.floor(this.now() / 1000)) {
+    return `t=${timestamp},v1=${hmac(this.webhookSecret, `${timestamp}.${body}`)}`;
+  }
+
+  // Checks a webhook's signature and turns it into { id, type, intentId, failureReason }
+  constructEvent(rawBody, signature) {
+    const parts = Object.fromEntries(String(signature || '').split(',').map(part => part.split('=')));
+    if (!parts.t || !parts.v1) {
+      throw webhookError('Missing webhook signature.');
+    }
+
+    const expected = Buffer.from(hmac(this.webhookSecret, `${parts.t}.${rawBody}`));
+    const actual = Buffer.from(parts.v1);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw webhookError('Invalid webhook signature.');
+    }
+
+    if (Math.abs(this.now() / 1000 - Number(parts.t)) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw webhookError('Webhook signature has expired.');
+    }
+
+    const event = JSON.parse(rawBody);
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: event.data.intentId,
+      failureReason: event.data.failureReason || null
+    };
+  }
+}
+
+MockProvider.OUTCOMES = OUTCOMES;
+MockProvider.TEST_PAYMENT_METHODS = TEST_PAYMENT_METHODS;
+
+module.exports = MockProvider;
\ No newline at end of file
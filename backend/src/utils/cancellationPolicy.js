@@ -0,0 +1,46 @@
+const moment = require('moment');
+const { roundCurrency } = require('./proration');
+
+// Without any settings a booking can be cancelled for free up to its start
+const DEFAULT_POLICY = {
+  freeCancelHours: 0,
+  lateCancelFee: 0,
+  lateCancelRefundPercent: 100
+};
+
+// Each setting comes from the facility when it has one, otherwise from the member's plan
+function resolvePolicy(facility, plan = {}) {
+  const pick = (field, fallback) => facility[field] ?? plan[field] ?? fallback;
+
+  return {
+    freeCancelHours: Number(pick('free_cancel_hours', DEFAULT_POLICY.freeCancelHours)),
+    lateCancelFee: Number(pick('late_cancel_fee', DEFAULT_POLICY.lateCancelFee)),
+    lateCancelRefundPercent: Number(pick('late_cancel_refund_percent', DEFAULT_POLICY.lateCancelRefundPercent))
+  };
+}
+
+// Works out what cancelling a booking on `date` costs. `chargedAmount` is what the member has
+// been charged for the booking so far; inside the free window all of it is refunded, after it
+// only the policy's share is and the late-cancel fee is added.
+function calculateCancellation(policy, startTime, chargedAmount = 0, date = new Date()) {
+  const start = moment(startTime);
+  const freeCancelUntil = start.clone().subtract(policy.freeCancelHours, 'hours');
+  const isLate = !moment(date).isBefore(freeCancelUntil);
+
+  const refundPercent = isLate ? policy.lateCancelRefundPercent : 100;
+  const refund = roundCurrency(chargedAmount * refundPercent / 100);
+  const fee = isLate ? roundCurrency(policy.lateCancelFee) : 0;
+
+  return {
+    isLate,
+    freeCancelUntil: freeCancelUntil.toISOString(),
+    chargedAmount: roundCurrency(chargedAmount),
+    refundPercent,
+    refund,
+    fee,
+    // What the member loses compared to a free cancellation
+    penalty: roundCurrency(fee + chargedAmount - refund)
+  };
+}
+
+module.exports = { DEFAULT_POLICY, resolvePolicy, calculateCancellation };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const moment = require('moment-timezone');
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+let warnedZone = null;
+
+// The IANA time zone the club runs in. Opening hours, slot times and booking dates are all
+// wall-clock values in this zone, whatever zone the server runs in.
+function clubTimezone() {
+  const zone = process.env.CLUB_TIMEZONE;
+  if (!zone) {
+    return DEFAULT_TIMEZONE;
+  }
+
+  if (!moment.tz.zone(zone)) {
+    if (warnedZone !== zone) {
+      console.warn(`⚠️  Unknown CLUB_TIMEZONE "${zone}", using ${DEFAULT_TIMEZONE}`);
+      warnedZone = zone;
+    }
+    return DEFAULT_TIMEZONE;
+  }
+
+  return zone;
+}
+
+// An instant (Date, ISO string or moment) seen on the club's clock; no argument means now
+function toClubTime(value) {
+  return value === undefined ? moment.tz(clubTimezone()) : moment.tz(value, clubTimezone());
+}
+
+// The club's calendar date of an instant, as YYYY-MM-DD
+function clubDate(value) {
+  return toClubTime(value).format('YYYY-MM-DD');
+}
+
+// The instant a wall-clock time occurs on a club date. A time skipped when clocks go forward
+// moves forward by the gap; a repeated time when clocks go back is its first occurrence.
+function atClubTime(date, time) {
+  return moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm:ss', clubTimezone());
+}
+
+// Start (inclusive) and end (exclusive) instants of a club date, which is 23 or 25 hours long
+// on the days the clocks change. Used in place of DATE(column) in queries.
+function clubDayRange(date) {
+  const start = moment.tz(date, 'YYYY-MM-DD', clubTimezone());
+  return { start: start.toISOString(), end: start.clone().add(1, 'day').toISOString() };
+}
+
+module.exports = { DEFAULT_TIMEZONE, clubTimezone, toClubTime, clubDate, atClubTime, clubDayRange };
\ No newline at end of file
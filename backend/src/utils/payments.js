@@ -0,0 +1,50 @@
+const { roundCurrency } = require('./proration');
+
+// Transaction status for a provider's intent status; anything still in flight stays pending
+function statusFor(intent) {
+  if (intent.status === 'succeeded') {
+    return 'completed';
+  }
+
+  return intent.status === 'failed' ? 'failed' : 'pending';
+}
+
+// Transaction status a webhook event reports, or null for events we do not act on
+function statusForEvent(event) {
+  return { 'payment.succeeded': 'completed', 'payment.failed': 'failed' }[event.type] || null;
+}
+
+// Splits a refund over the charges it can be paid back to. A refund that names its charge in
+// parent_transaction_id only goes back to that charge; any other refund goes to the collected
+// charges newest first. `refundable` is what is left of each charge after earlier refunds.
+// Returns null while a charge it could come from is still being collected, otherwise the
+// `parts` to pay back and the amount `remaining` that cannot be.
+function allocateRefund(refund, charges) {
+  const sources = refund.parent_transaction_id
+    ? charges.filter(charge => charge.id === refund.parent_transaction_id)
+    : [...charges].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  const collected = sources.filter(charge => charge.status === 'completed' && Number(charge.refundable) > 0);
+  const available = roundCurrency(collected.reduce((sum, charge) => sum + Number(charge.refundable), 0));
+
+  if (available < Number(refund.amount) && sources.some(charge => charge.status === 'pending')) {
+    return null;
+  }
+
+  const parts = [];
+  let remaining = Number(refund.amount);
+
+  for (const charge of collected) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const amount = roundCurrency(Math.min(Number(charge.refundable), remaining));
+    remaining = roundCurrency(remaining - amount);
+    parts.push({ charge, amount });
+  }
+
+  return { parts, remaining };
+}
+
+module.exports = { statusFor, statusForEvent, allocateRefund };
\ No newline at end of file
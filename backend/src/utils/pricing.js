@@ -0,0 +1,99 @@
+const moment = require('moment');
+const { toClubTime } = require('./clubTime');
+const { roundCurrency } = require('./proration');
+
+const PRICING_TYPES = ['included', 'flat', 'hourly'];
+
+// Whether a pricing rule covers the minute starting at `time`, on the club clock. Days are the
+// club date of that minute, so an overnight window's early hours count on the following day.
+function ruleCovers(rule, time) {
+  const local = toClubTime(time);
+  if (rule.days_of_week && !rule.days_of_week.map(Number).includes(local.day())) {
+    return false;
+  }
+
+  if (!rule.starts_at) {
+    return true;
+  }
+
+  const clock = local.format('HH:mm:ss');
+  return rule.starts_at < rule.ends_at
+    ? clock >= rule.starts_at && clock < rule.ends_at
+    : clock >= rule.starts_at || clock < rule.ends_at;
+}
+
+// Higher is more specific: the member's own plan, then limited days or hours
+function ruleRank(rule) {
+  return (rule.membership_type_id ? 2 : 0) + (rule.days_of_week || rule.starts_at ? 1 : 0);
+}
+
+// Prices a booking from a facility's rules. Each minute takes the most specific rule covering it;
+// hourly rules charge for their minutes, and flat and included rules once for the booking.
+// Minutes no rule covers are free. The member pays member_rate and each guest guest_rate.
+// Returns { total, memberAmount, guestAmount, lines }.
+function calculatePrice(rules, { membershipTypeId = null, startTime, endTime, guests = 0 }) {
+  const candidates = rules
+    .filter(rule => !rule.membership_type_id || rule.membership_type_id === membershipTypeId)
+    .sort((a, b) => ruleRank(b) - ruleRank(a));
+
+  // Runs of minutes priced by the same rule
+  const periods = [];
+  const end = moment(endTime);
+  for (let minute = moment(startTime); minute.isBefore(end); minute.add(1, 'minute')) {
+    const rule = candidates.find(candidate => ruleCovers(candidate, minute)) || null;
+    const last = periods[periods.length - 1];
+
+    if (last && last.rule === rule) {
+      last.minutes++;
+      last.endTime = minute.clone().add(1, 'minute');
+    } else {
+      periods.push({ rule, minutes: 1, startTime: minute.clone(), endTime: minute.clone().add(1, 'minute') });
+    }
+  }
+
+  const lines = [];
+  const charged = new Set();
+
+  for (const { rule, minutes, startTime: from, endTime: to } of periods) {
+    if (!rule || (rule.pricing_type !== 'hourly' && charged.has(rule.id))) {
+      continue;
+    }
+    charged.add(rule.id);
+
+    const hourly = rule.pricing_type === 'hourly';
+    const payers = [
+      { payer: 'member', quantity: 1, rate: rule.pricing_type === 'included' ? 0 : Number(rule.member_rate) },
+      { payer: 'guest', quantity: guests, rate: Number(rule.guest_rate) }
+    ];
+
+    for (const { payer, quantity, rate } of payers) {
+      // Guests only get a line when they pay; the member always does, to show what was included
+      if (payer === 'guest' && (quantity === 0 || rate === 0)) {
+        continue;
+      }
+
+      lines.push({
+        ruleId: rule.id,
+        name: rule.name,
+        pricingType: rule.pricing_type,
+        payer,
+        startTime: from.toISOString(),
+        endTime: to.toISOString(),
+        minutes,
+        quantity,
+        rate,
+        amount: roundCurrency(rate * quantity * (hourly ? minutes / 60 : 1))
+      });
+    }
+  }
+
+  const sum = (payer) => roundCurrency(
+    lines.filter(line => line.payer === payer).reduce((total, line) => total + line.amount, 0)
+  );
+  const memberAmount = sum('member');
+  const guestAmount = sum('guest');
+
+  return { total: roundCurrency(memberAmount + guestAmount), memberAmount, guestAmount, lines };
+}
+
+module.exports = { PRICING_TYPES, ruleCovers, calculatePrice };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const moment = require('moment');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Days in a term of `months` starting on `from`, counting both ends as in memberships.start_date/end_date
+const termDays = (from, months) => moment(from).add(months, 'months').diff(moment(from), 'days') + 1;
+
+// Works out what moving a membership to another plan costs on `date`. The unused share of the
+// current term is credited at the agreed price and the same days are charged at the new plan's rate.
+// Moves to a plan with a lower monthly rate are downgrades and wait for the next term.
+function calculatePlanChange(membership, currentType, newType, date = new Date()) {
+  const start = moment(membership.start_date).startOf('day');
+  const end = moment(membership.end_date).startOf('day');
+  const today = moment.max(moment(date).startOf('day'), start);
+
+  const currentPrice = Number(membership.agreed_price ?? currentType.price);
+  const newPrice = Number(newType.price);
+
+  const currentMonthlyRate = currentPrice / currentType.duration_months;
+  const newMonthlyRate = newPrice / newType.duration_months;
+  const direction = newMonthlyRate < currentMonthlyRate ? 'downgrade' : 'upgrade';
+
+  if (direction === 'downgrade') {
+    return {
+      direction,
+      effectiveDate: end.clone().add(1, 'day').format('YYYY-MM-DD'),
+      remainingDays: 0,
+      credit: 0,
+      charge: 0,
+      amount: 0
+    };
+  }
+
+  const remainingDays = Math.max(end.diff(today, 'days') + 1, 0);
+  const currentTermDays = end.diff(start, 'days') + 1;
+
+  const credit = roundCurrency(currentPrice * remainingDays / currentTermDays);
+  const charge = roundCurrency(newPrice * remainingDays / termDays(today, newType.duration_months));
+
+  return {
+    direction,
+    effectiveDate: today.format('YYYY-MM-DD'),
+    remainingDays,
+    credit,
+    charge,
+    amount: roundCurrency(charge - credit)
+  };
+}
+
+module.exports = { calculatePlanChange, roundCurrency };
\ No newline at end of file
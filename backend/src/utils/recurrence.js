@@ -0,0 +1,154 @@
+const moment = require('moment');
+const { toClubTime, clubDayRange } = require('./clubTime');
+const { ruleError } = require('./ruleError');
+
+// Hard cap on how many bookings a single series can create
+const MAX_OCCURRENCES = 52;
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Parses the RRULE subset we support: FREQ=DAILY|WEEKLY, INTERVAL, BYDAY (weekly only), COUNT, UNTIL
+function parseRule(ruleString) {
+  const rule = { freq: null, interval: 1, byDay: [], count: null, until: null };
+
+  for (const part of ruleString.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=').map(piece => (piece || '').trim().toUpperCase());
+
+    switch (key) {
+      case 'FREQ':
+        if (!['DAILY', 'WEEKLY'].includes(value)) {
+          throw ruleError('INVALID_RECURRENCE', `Unsupported recurrence frequency: ${value}.`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value);
+        if (!(rule.interval >= 1 && rule.interval <= 52)) {
+          throw ruleError('INVALID_RECURRENCE', 'Recurrence interval must be between 1 and 52.');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(day => {
+          const index = WEEKDAYS.indexOf(day);
+          if (index === -1) {
+            throw ruleError('INVALID_RECURRENCE', `Invalid recurrence weekday: ${day}.`);
+          }
+          return index + 1;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value);
+        break;
+      case 'UNTIL':
+        rule.until = moment(value.slice(0, 8), 'YYYYMMDD', true);
+        if (!rule.until.isValid()) {
+          throw ruleError('INVALID_RECURRENCE', 'Recurrence UNTIL must be a date in YYYYMMDD format.');
+        }
+        break;
+      default:
+        throw ruleError('INVALID_RECURRENCE', `Unsupported recurrence rule part: ${key}.`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw ruleError('INVALID_RECURRENCE', 'Recurrence rule must include FREQ.');
+  }
+
+  if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY') {
+    throw ruleError('INVALID_RECURRENCE', 'BYDAY is only supported for weekly recurrence.');
+  }
+
+  return rule;
+}
+
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`, `INTERVAL=${rule.interval}`];
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day - 1]).join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${moment(rule.until).format('YYYYMMDD')}`);
+  }
+  return parts.join(';');
+}
+
+// Expands a rule into occurrences starting at firstStart; every occurrence keeps its wall-clock
+// time in the club's time zone, also across daylight saving changes
+function expandOccurrences(firstStart, durationMinutes, rule) {
+  if (!rule.count && !rule.until) {
+    throw ruleError('INVALID_RECURRENCE', 'Recurrence needs an end date or an occurrence count.');
+  }
+
+  if (rule.count && (rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    throw ruleError('INVALID_RECURRENCE', `Recurrence count must be between 1 and ${MAX_OCCURRENCES}.`);
+  }
+
+  const first = toClubTime(firstStart);
+  const until = rule.until ? moment(clubDayRange(moment(rule.until).format('YYYY-MM-DD')).end) : null;
+  const limit = rule.count || MAX_OCCURRENCES + 1;
+  const days = rule.byDay.length > 0 ? [...rule.byDay].sort() : [first.isoWeekday()];
+
+  const occurrences = [];
+  const addOccurrence = (start) => {
+    // An UNTIL that runs past the cap is refused rather than cut short without telling the member
+    if (occurrences.length === MAX_OCCURRENCES) {
+      throw ruleError(
+        'INVALID_RECURRENCE',
+        `Recurrence UNTIL gives more than ${MAX_OCCURRENCES} occurrences. Choose an earlier end date or a count.`
+      );
+    }
+
+    occurrences.push({
+      startTime: start.toISOString(),
+      endTime: start.clone().add(durationMinutes, 'minutes').toISOString()
+    });
+  };
+
+  for (let period = 0; occurrences.length < limit; period += rule.interval) {
+    const candidates = rule.freq === 'DAILY'
+      ? [first.clone().add(period, 'days')]
+      : days.map(day => first.clone().startOf('isoWeek').add(period, 'weeks').add(day - 1, 'days')
+        .set({ hour: first.hour(), minute: first.minute(), second: first.second(), millisecond: 0 }));
+
+    for (const candidate of candidates) {
+      if (until && !candidate.isBefore(until)) {
+        return occurrences;
+      }
+      if (candidate.isBefore(first) || occurrences.length >= limit) {
+        continue;
+      }
+      addOccurrence(candidate);
+    }
+  }
+
+  return occurrences;
+}
+
+// New times for the occurrences of a series edit made to the one starting at anchorStart. Each
+// occurrence moves by the same number of club days to the new wall-clock time and length. Moves
+// are ordered so no occurrence lands on a sibling that has not moved away yet: when the series
+// moves later the last occurrence goes first, otherwise the first one does.
+function planSeriesMove(anchorStart, occurrences, startTime, endTime) {
+  const newStart = toClubTime(startTime);
+  const dayShift = newStart.clone().startOf('day').diff(toClubTime(anchorStart).startOf('day'), 'days');
+  const durationMinutes = moment(endTime).diff(newStart, 'minutes');
+  const direction = moment(startTime).isAfter(anchorStart) ? -1 : 1;
+
+  return occurrences
+    .map((occurrence) => {
+      const start = toClubTime(occurrence.start_time).add(dayShift, 'days')
+        .set({ hour: newStart.hour(), minute: newStart.minute(), second: 0, millisecond: 0 });
+
+      return {
+        occurrence,
+        startTime: start.toISOString(),
+        endTime: start.clone().add(durationMinutes, 'minutes').toISOString()
+      };
+    })
+    .sort((a, b) => direction * moment(a.occurrence.start_time).diff(b.occurrence.start_time));
+}
+
+module.exports = { MAX_OCCURRENCES, parseRule, formatRule, expandOccurrences, planSeriesMove };
\ No newline at end of file
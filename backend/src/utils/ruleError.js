@@ -0,0 +1,14 @@
+// Broken booking rules carry a code, so clients can tell them apart without reading the message.
+// Only these errors are shown to the client; anything else is an internal error.
+function ruleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.isRuleError = true;
+  return error;
+}
+
+function isRuleError(error) {
+  return Boolean(error && error.isRuleError);
+}
+
+module.exports = { ruleError, isRuleError };
\ No newline at end of file
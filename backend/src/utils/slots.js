@@ -0,0 +1,84 @@
+const { toClubTime, clubDate, atClubTime } = require('./clubTime');
+
+// Minutes from one bookable start time to the next: the facility's granularity when it has one,
+// otherwise one booking length plus the cleanup buffer
+function slotStep({ durationMinutes, bufferMinutes = 0, granularityMinutes = null }) {
+  return granularityMinutes || durationMinutes + bufferMinutes;
+}
+
+// Bookable slots on a club date between its opening and closing time. Slots follow elapsed
+// time, so when the clocks change during opening hours the day has one slot more or fewer.
+function generateSlots({ date, opensAt, closesAt, durationMinutes, bufferMinutes = 0, granularityMinutes = null }) {
+  const dayStart = atClubTime(date, opensAt);
+  const dayEnd = atClubTime(date, closesAt);
+  const step = slotStep({ durationMinutes, bufferMinutes, granularityMinutes });
+
+  const slots = [];
+  let current = dayStart.clone();
+
+  while (!current.clone().add(durationMinutes, 'minutes').isAfter(dayEnd)) {
+    const startTime = current.clone();
+    const endTime = current.clone().add(durationMinutes, 'minutes');
+    slots.push({ startTime, endTime });
+
+    current = startTime.clone().add(step, 'minutes');
+  }
+
+  return slots;
+}
+
+// Whether a booking starts on one of the slot times generateSlots offers for its club date
+function isOnSlotGrid(startTime, { opensAt, durationMinutes, bufferMinutes = 0, granularityMinutes = null }) {
+  const sinceOpening = toClubTime(startTime).diff(atClubTime(clubDate(startTime), opensAt), 'seconds');
+  const step = slotStep({ durationMinutes, bufferMinutes, granularityMinutes }) * 60;
+
+  return sinceOpening >= 0 && sinceOpening % step === 0;
+}
+
+// Stretches of a club date's opening hours with a spot free. `taken` lists what already takes
+// spots (bookings, held offers, closures) as { startTime, endTime, spots } with Date times.
+function freeRanges({ date, opensAt, closesAt, taken, capacity = 1 }) {
+  const dayStart = atClubTime(date, opensAt).valueOf();
+  const dayEnd = atClubTime(date, closesAt).valueOf();
+
+  const points = new Set([dayStart, dayEnd]);
+  for (const item of taken) {
+    points.add(Math.min(Math.max(item.startTime.getTime(), dayStart), dayEnd));
+    points.add(Math.min(Math.max(item.endTime.getTime(), dayStart), dayEnd));
+  }
+
+  const boundaries = [...points].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const from = boundaries[i];
+    const to = boundaries[i + 1];
+    const spotsTaken = taken
+      .filter(item => item.startTime.getTime() < to && item.endTime.getTime() > from)
+      .reduce((sum, item) => sum + item.spots, 0);
+
+    if (spotsTaken >= capacity) {
+      continue;
+    }
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.endTime.getTime() === from) {
+      last.endTime = new Date(to);
+    } else {
+      ranges.push({ startTime: new Date(from), endTime: new Date(to) });
+    }
+  }
+
+  return ranges;
+}
+
+// Whether a booking starts and ends within the opening hours of the club date it starts on
+function isWithinHours(startTime, endTime, hours) {
+  const date = clubDate(startTime);
+  const start = toClubTime(startTime);
+  const end = toClubTime(endTime);
+
+  return !start.isBefore(atClubTime(date, hours.opensAt)) && !end.isAfter(atClubTime(date, hours.closesAt));
+}
+
+module.exports = { slotStep, generateSlots, isOnSlotGrid, freeRanges, isWithinHours };
\ No newline at end of file
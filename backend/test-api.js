@@ -299,6 +299,7 @@ async function testBookings() {
   // Test admin booking endpoints
   await testAPI('GET', '/api/bookings/admin/all', null, adminHeaders);
   await testAPI('GET', '/api/bookings/admin/stats', null, adminHeaders);
+  await testAPI('GET', `/api/bookings/admin/guests?date=${new Date().toISOString().split('T')[0]}`, null, adminHeaders);
 
   // Test creating overlapping booking (should fail)
   if (facilityId) {
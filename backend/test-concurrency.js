@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Booking Concurrency Test Script
+ *
+ * Fires parallel booking requests for the same slot and checks only one of them gets it. Sets
+ * up its own exclusive facility with a cleanup buffer and its own members, then:
+ *   1. books one slot from every member at once through the API
+ *   2. books overlapping and buffer-adjacent slots at once through the API
+ *   3. inserts the same slot on parallel database connections, skipping the API checks, so
+ *      only the bookings_no_overlap constraint stands in the way
+ * The facility is closed afterwards. Needs the server running and the database it uses.
+ *
+ * Usage: node test-concurrency.js [members]
+ */
+
+require('dotenv').config();
+
+const moment = require('moment-timezone');
+const { pool } = require('./src/database/connection');
+const { clubDate } = require('./src/utils/clubTime');
+
+const BASE_URL = process.env.API_BASE_URL || 'http://localhost:5000';
+// The database step takes a pool connection per member, and the pool holds 20
+const MEMBERS = Math.min(parseInt(process.argv[2]) || 8, 20);
+const BUFFER_MINUTES = 15;
+
+const adminCredentials = {
+  email: 'admin@leisureclub.com',
+  password: 'admin123'
+};
+
+const results = { total: 0, passed: 0, failed: 0 };
+
+function check(name, passed, detail) {
+  results.total++;
+  if (passed) {
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    results.failed++;
+    console.log(`❌ ${name}`);
+    if (detail) {
+      console.log(`   ${detail}`);
+    }
+  }
+}
+
+async function api(method, endpoint, body, token) {
+  const response = await fetch(`${BASE_URL}${endpoint}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  return { status: response.status, data: await response.json() };
+}
+
+async function expectOk(label, request) {
+  const response = await request;
+  if (response.status >= 300) {
+    throw new Error(`${label} failed (${response.status}): ${response.data.error}`);
+  }
+  return response.data;
+}
+
+// Registers a member and gives them an approved Premium membership, which includes courts
+async function createMember(adminToken, membershipTypeId, index) {
+  const registered = await expectOk('Registration', api('POST', '/api/auth/register', {
+    email: `concurrency${Date.now()}${index}@example.com`,
+    password: 'testpass123',
+    firstName: 'Concurrency',
+    lastName: `Member${index}`
+  }));
+
+  const applied = await expectOk('Membership application', api('POST', '/api/memberships', {
+    membershipTypeId,
+    paymentMethod: 'card'
+  }, registered.token));
+
+  await expectOk('Membership approval', api(
+    'PUT', `/api/memberships/${applied.membership.id}/approve`, {}, adminToken
+  ));
+
+  return { id: registered.user.id, token: registered.token };
+}
+
+// Sends every request at once and splits the responses into bookings made and refusals
+async function bookAtOnce(requests) {
+  const responses = await Promise.all(requests.map(({ member, startTime, endTime, facilityId }) =>
+    api('POST', '/api/bookings', { facilityId, startTime, endTime }, member.token)
+  ));
+
+  return {
+    booked: responses.filter(response => response.status === 201),
+    refused: responses.filter(response => response.status === 400),
+    unexpected: responses.filter(response => ![201, 400].includes(response.status))
+  };
+}
+
+function describe(outcome) {
+  const errors = [...new Set(outcome.refused.map(response => response.data.error))];
+  return `${outcome.booked.length} booked, ${outcome.refused.length} refused (${errors.join('; ')}), ` +
+    `${outcome.unexpected.length} unexpected`;
+}
+
+// Inserts the slot for every member on its own connection, all at once
+async function insertAtOnce(members, facilityId, slot) {
+  const clients = await Promise.all(members.map(() => pool.connect()));
+
+  try {
+    const outcomes = await Promise.allSettled(clients.map((client, index) => client.query(`
+      INSERT INTO bookings (user_id, facility_id, start_time, end_time, status)
+      VALUES ($1, $2, $3, $4, 'confirmed')
+      RETURNING id
+    `, [members[index].id, facilityId, slot.startTime, slot.endTime])));
+
+    return {
+      inserted: outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value.rows[0].id),
+      rejected: outcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason)
+    };
+  } finally {
+    clients.forEach(client => client.release());
+  }
+}
+
+async function main() {
+  console.log(`\n🏁 Booking concurrency test against ${BASE_URL} with ${MEMBERS} members\n`);
+
+  let adminToken = null;
+  let facilityId = null;
+
+  try {
+    const admin = await expectOk('Admin login', api('POST', '/api/auth/login', adminCredentials));
+    adminToken = admin.token;
+
+    const { membershipTypes } = await expectOk('Membership types', api(
+      'GET', '/api/memberships/types', null, adminToken
+    ));
+    const premium = membershipTypes.find(type => type.name === 'Premium');
+    if (!premium) {
+      throw new Error('The Premium membership type is needed; run npm run db:migrate:safe first.');
+    }
+
+    const created = await expectOk('Facility creation', api('POST', '/api/facilities', {
+      name: `Concurrency Court ${Date.now()}`,
+      type: 'tennis_court',
+      operatingHoursStart: '06:00',
+      operatingHoursEnd: '22:00',
+      bookingDurationMinutes: 60,
+      bookingBufferMinutes: BUFFER_MINUTES,
+      bookingMode: 'exclusive'
+    }, adminToken));
+    facilityId = created.facility.id;
+
+    const members = [];
+    for (let index = 0; index < MEMBERS; index++) {
+      members.push(await createMember(adminToken, premium.id, index));
+    }
+    console.log(`👥 ${members.length} members ready, booking ${created.facility.name}\n`);
+
+    const date = clubDate(moment().add(1, 'day'));
+    const { availableSlots } = await expectOk('Available slots', api(
+      'GET', `/api/facilities/${facilityId}/available-slots?date=${date}`, null, adminToken
+    ));
+    if (availableSlots.length < 6) {
+      throw new Error(`Expected a full day of slots on ${date}, got ${availableSlots.length}.`);
+    }
+
+    // 1. Everyone wants the same slot
+    const sameSlot = availableSlots[0];
+    const sameOutcome = await bookAtOnce(members.map(member => ({
+      member, facilityId, startTime: sameSlot.startTime, endTime: sameSlot.endTime
+    })));
+    check(
+      'Only one of the parallel requests for one slot is booked',
+      sameOutcome.booked.length === 1 && sameOutcome.unexpected.length === 0,
+      describe(sameOutcome)
+    );
+
+    // 2. The slot, the slot half an hour later and the slot straight after it with no cleanup
+    // time all clash, so only one of them can be booked
+    const slot = availableSlots[2];
+    const shift = (minutes) => ({
+      startTime: moment(slot.startTime).add(minutes, 'minutes').toISOString(),
+      endTime: moment(slot.endTime).add(minutes, 'minutes').toISOString()
+    });
+    const duration = moment(slot.endTime).diff(moment(slot.startTime), 'minutes');
+    const clashing = [shift(0), shift(30), shift(duration)];
+
+    const clashOutcome = await bookAtOnce(members.map((member, index) => ({
+      member, facilityId, ...clashing[index % clashing.length]
+    })));
+    check(
+      `Only one of the overlapping and ${BUFFER_MINUTES}-minute buffer requests is booked`,
+      clashOutcome.booked.length === 1 && clashOutcome.unexpected.length === 0,
+      describe(clashOutcome)
+    );
+
+    // 3. The database alone keeps concurrent inserts apart
+    const { inserted, rejected } = await insertAtOnce(members, facilityId, availableSlots[4]);
+    const exclusionViolations = rejected.filter(error => error.code === '23P01');
+    check(
+      'Only one of the parallel database inserts for one slot is stored',
+      inserted.length === 1 && exclusionViolations.length === rejected.length,
+      `${inserted.length} inserted, ${exclusionViolations.length} exclusion violations, ` +
+        `${rejected.length - exclusionViolations.length} other errors ` +
+        `(${rejected.map(error => error.message).join('; ')})`
+    );
+  } catch (error) {
+    results.failed++;
+    console.log(`❌ ${error.message}`);
+  } finally {
+    if (facilityId) {
+      await api('PUT', `/api/facilities/${facilityId}/status`, { status: 'closed' }, adminToken)
+        .catch(() => {});
+    }
+    await pool.end();
+  }
+
+  console.log(`\n📊 ${results.passed}/${results.total} passed`);
+  process.exitCode = results.failed > 0 ? 1 : 0;
+}
+
+main();
\ No newline at end of file
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Time Zone and DST Test Script
+ *
+ * Checks slot generation, the slot grid, opening-hours checks, club dates and recurring
+ * bookings on the days the clocks change, with the club in one time zone and the server in
+ * another. Needs no database or running server.
+ *
+ * Usage: node test-dst.js
+ */
+
+const assert = require('assert');
+
+// Run the server far from the clubs under test; results must not depend on it
+process.env.TZ = 'Asia/Kolkata';
+
+const { clubDate, clubDayRange } = require('./src/utils/clubTime');
+const { generateSlots, isOnSlotGrid, freeRanges, isWithinHours } = require('./src/utils/slots');
+const { parseRule, expandOccurrences, planSeriesMove } = require('./src/utils/recurrence');
+const moment = require('moment-timezone');
+
+const results = { total: 0, passed: 0, failed: 0 };
+
+function test(name, zone, fn) {
+  results.total++;
+  process.env.CLUB_TIMEZONE = zone;
+
+  try {
+    fn();
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.failed++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+// Slot start times as wall-clock times with their UTC offset, e.g. 01:00+01:00
+function localStarts(slots, zone) {
+  return slots.map(slot => moment.tz(slot.startTime, zone).format('HH:mmZ'));
+}
+
+function hoursLong(range) {
+  return moment(range.end).diff(moment(range.start), 'hours');
+}
+
+// Series occurrences as booking rows
+function seriesBookings(firstStart, ruleString) {
+  return expandOccurrences(firstStart, 60, parseRule(ruleString))
+    .map((occurrence, index) => ({ id: index, start_time: occurrence.startTime, end_time: occurrence.endTime }));
+}
+
+// Plays the moves in order and fails if one lands on a sibling that is still in its old slot
+function assertMovesIntoFreeSlots(bookings, moves) {
+  const slots = new Map(bookings.map(booking => [booking.id, [booking.start_time, booking.end_time]]));
+
+  for (const move of moves) {
+    for (const [id, [start, end]] of slots) {
+      const overlaps = moment(move.startTime).isBefore(end) && moment(move.endTime).isAfter(start);
+      assert.ok(id === move.occurrence.id || !overlaps, `occurrence ${move.occurrence.id} moves onto occurrence ${id}`);
+    }
+    slots.set(move.occurrence.id, [move.startTime, move.endTime]);
+  }
+}
+
+console.log('\n🕐 Club time zone and DST tests\n');
+
+test('London day is 23 hours when the clocks go forward', 'Europe/London', () => {
+  assert.strictEqual(hoursLong(clubDayRange('2026-03-29')), 23);
+});
+
+test('London day is 25 hours when the clocks go back', 'Europe/London', () => {
+  assert.strictEqual(hoursLong(clubDayRange('2026-10-25')), 25);
+});
+
+test('New York club day starts at local midnight', 'America/New_York', () => {
+  assert.deepStrictEqual(clubDayRange('2026-11-01'), {
+    start: '2026-11-01T04:00:00.000Z',
+    end: '2026-11-02T05:00:00.000Z'
+  });
+});
+
+test('Club date of a late evening booking is the local date', 'America/New_York', () => {
+  assert.strictEqual(clubDate('2026-11-01T03:30:00.000Z'), '2026-10-31');
+});
+
+test('Slots skip the hour lost when the clocks go forward', 'Europe/London', () => {
+  const slots = generateSlots({ date: '2026-03-29', opensAt: '00:00:00', closesAt: '06:00:00', durationMinutes: 60 });
+  assert.deepStrictEqual(localStarts(slots, 'Europe/London'), [
+    '00:00+00:00', '02:00+01:00', '03:00+01:00', '04:00+01:00', '05:00+01:00'
+  ]);
+});
+
+test('Slots repeat the hour gained when the clocks go back', 'Europe/London', () => {
+  const slots = generateSlots({ date: '2026-10-25', opensAt: '00:00:00', closesAt: '06:00:00', durationMinutes: 60 });
+  assert.deepStrictEqual(localStarts(slots, 'Europe/London'), [
+    '00:00+01:00', '01:00+01:00', '01:00+00:00', '02:00+00:00', '03:00+00:00', '04:00+00:00', '05:00+00:00'
+  ]);
+});
+
+test('Daytime slots keep their wall-clock times on a DST day', 'America/New_York', () => {
+  const slots = generateSlots({
+    date: '2026-03-08', opensAt: '09:00:00', closesAt: '12:00:00', durationMinutes: 45, bufferMinutes: 15
+  });
+  assert.deepStrictEqual(localStarts(slots, 'America/New_York'), ['09:00-04:00', '10:00-04:00', '11:00-04:00']);
+  assert.strictEqual(slots[0].startTime.toISOString(), '2026-03-08T13:00:00.000Z');
+});
+
+test('Slots are the same whatever zone the server runs in', 'Europe/London', () => {
+  const generate = () => generateSlots({ date: '2026-10-25', opensAt: '08:00:00', closesAt: '10:00:00', durationMinutes: 60 })
+    .map(slot => slot.startTime.toISOString());
+
+  const inKolkata = generate();
+  process.env.TZ = 'America/Los_Angeles';
+  const inLosAngeles = generate();
+  process.env.TZ = 'Asia/Kolkata';
+
+  assert.deepStrictEqual(inLosAngeles, inKolkata);
+  assert.deepStrictEqual(inKolkata, ['2026-10-25T08:00:00.000Z', '2026-10-25T09:00:00.000Z']);
+});
+
+test('Opening hours are checked on the club clock', 'America/New_York', () => {
+  const hours = { opensAt: '08:00:00', closesAt: '20:00:00' };
+
+  // 19:00-20:00 EDT is 23:00-00:00 UTC, which a UTC comparison would reject
+  assert.strictEqual(isWithinHours('2026-10-31T23:00:00.000Z', '2026-11-01T00:00:00.000Z', hours), true);
+  assert.strictEqual(isWithinHours('2026-11-01T00:30:00.000Z', '2026-11-01T01:30:00.000Z', hours), false);
+  assert.strictEqual(isWithinHours('2026-11-01T11:00:00.000Z', '2026-11-01T12:00:00.000Z', hours), false);
+  assert.strictEqual(isWithinHours('2026-11-01T13:00:00.000Z', '2026-11-01T14:00:00.000Z', hours), true);
+});
+
+test('Opening hours on the day the clocks go forward', 'Europe/London', () => {
+  const hours = { opensAt: '00:00:00', closesAt: '03:00:00' };
+
+  // 02:00-03:00 BST is only an hour after midnight GMT but still inside the hours
+  assert.strictEqual(isWithinHours('2026-03-29T01:00:00.000Z', '2026-03-29T02:00:00.000Z', hours), true);
+  assert.strictEqual(isWithinHours('2026-03-29T01:30:00.000Z', '2026-03-29T02:30:00.000Z', hours), false);
+});
+
+test('Slot grid follows elapsed time when the clocks go back', 'Europe/London', () => {
+  const grid = { opensAt: '00:00:00', durationMinutes: 45, bufferMinutes: 15 };
+
+  // The repeated 01:00 is two hours after midnight BST, so both 01:00s are slot times
+  assert.strictEqual(isOnSlotGrid('2026-10-25T00:00:00.000Z', grid), true);
+  assert.strictEqual(isOnSlotGrid('2026-10-25T01:00:00.000Z', grid), true);
+  assert.strictEqual(isOnSlotGrid('2026-10-25T01:30:00.000Z', grid), false);
+});
+
+test('Slot grid uses the facility granularity when it has one', 'America/New_York', () => {
+  const grid = { opensAt: '08:00:00', durationMinutes: 60, bufferMinutes: 15, granularityMinutes: 30 };
+
+  assert.strictEqual(isOnSlotGrid('2026-11-01T13:30:00.000Z', grid), true);
+  assert.strictEqual(isOnSlotGrid('2026-11-01T13:45:00.000Z', grid), false);
+  assert.strictEqual(isOnSlotGrid('2026-11-01T12:30:00.000Z', grid), false);
+
+  const slots = generateSlots({ date: '2026-11-01', opensAt: '08:00:00', closesAt: '10:00:00', ...grid });
+  assert.deepStrictEqual(localStarts(slots, 'America/New_York'), ['08:00-05:00', '08:30-05:00', '09:00-05:00']);
+});
+
+test('Bookable ranges stretch across the hour gained when the clocks go back', 'Europe/London', () => {
+  // Booked 01:00-02:00 GMT, the second 01:00, with 15 minutes of cleanup either side
+  const taken = [{
+    startTime: new Date('2026-10-25T00:45:00.000Z'),
+    endTime: new Date('2026-10-25T02:15:00.000Z'),
+    spots: 1
+  }];
+  const ranges = freeRanges({ date: '2026-10-25', opensAt: '00:00:00', closesAt: '06:00:00', taken });
+
+  assert.deepStrictEqual(ranges.map(range => [range.startTime.toISOString(), range.endTime.toISOString()]), [
+    ['2026-10-24T23:00:00.000Z', '2026-10-25T00:45:00.000Z'],
+    ['2026-10-25T02:15:00.000Z', '2026-10-25T06:00:00.000Z']
+  ]);
+});
+
+test('Weekly series keeps its wall-clock time across the change', 'Europe/London', () => {
+  const rule = parseRule('FREQ=WEEKLY;COUNT=3');
+  const occurrences = expandOccurrences('2026-03-22T18:00:00.000Z', 60, rule);
+
+  assert.deepStrictEqual(occurrences.map(o => moment.tz(o.startTime, 'Europe/London').format('YYYY-MM-DD HH:mm')), [
+    '2026-03-22 18:00', '2026-03-29 18:00', '2026-04-05 18:00'
+  ]);
+  assert.strictEqual(occurrences[1].startTime, '2026-03-29T17:00:00.000Z');
+});
+
+test('Series UNTIL includes the whole club day', 'America/New_York', () => {
+  const rule = parseRule('FREQ=DAILY;UNTIL=20261101');
+  const occurrences = expandOccurrences('2026-10-30T23:00:00.000Z', 60, rule);
+
+  assert.deepStrictEqual(occurrences.map(o => moment.tz(o.startTime, 'America/New_York').format('YYYY-MM-DD HH:mm')), [
+    '2026-10-30 19:00', '2026-10-31 19:00', '2026-11-01 19:00'
+  ]);
+});
+
+test('Series UNTIL past the occurrence cap is refused', 'Europe/London', () => {
+  assert.strictEqual(expandOccurrences('2026-01-05T18:00:00.000Z', 60, parseRule('FREQ=WEEKLY;UNTIL=20261228')).length, 52);
+  assert.throws(
+    () => expandOccurrences('2026-01-05T18:00:00.000Z', 60, parseRule('FREQ=WEEKLY;UNTIL=20270104')),
+    /more than 52 occurrences/
+  );
+});
+
+test('Moving a weekly series a week later frees each slot before it is taken', 'Europe/London', () => {
+  const bookings = seriesBookings('2026-03-15T18:00:00.000Z', 'FREQ=WEEKLY;COUNT=4');
+  const moves = planSeriesMove(bookings[0].start_time, bookings, bookings[1].start_time, bookings[1].end_time);
+
+  assertMovesIntoFreeSlots(bookings, moves);
+  assert.deepStrictEqual(moves.map(move => move.occurrence.id), [3, 2, 1, 0]);
+  assert.deepStrictEqual(moves.map(move => moment.tz(move.startTime, 'Europe/London').format('YYYY-MM-DD HH:mm')), [
+    '2026-04-12 18:00', '2026-04-05 18:00', '2026-03-29 18:00', '2026-03-22 18:00'
+  ]);
+});
+
+test('Moving a daily series a day earlier frees each slot before it is taken', 'America/New_York', () => {
+  const bookings = seriesBookings('2026-10-30T23:00:00.000Z', 'FREQ=DAILY;COUNT=4');
+  const moves = planSeriesMove(bookings[1].start_time, bookings, bookings[0].start_time, bookings[0].end_time);
+
+  assertMovesIntoFreeSlots(bookings, moves);
+  assert.deepStrictEqual(moves.map(move => move.occurrence.id), [0, 1, 2, 3]);
+  assert.deepStrictEqual(moves.map(move => moment.tz(move.startTime, 'America/New_York').format('YYYY-MM-DD HH:mm')), [
+    '2026-10-29 19:00', '2026-10-30 19:00', '2026-10-31 19:00', '2026-11-01 19:00'
+  ]);
+});
+
+console.log(`\n📊 ${results.passed}/${results.total} passed`);
+process.exitCode = results.failed > 0 ? 1 : 0;
\ No newline at end of file
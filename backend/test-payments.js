@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Payments Test Script
+ *
+ * Checks the mock payment provider behaves like a gateway: successful, declined and delayed
+ * payments, manual capture, refunds and signed webhooks. Also checks how refunds are split over
+ * charges and which webhook events agree with the provider. Runs the provider against a fake
+ * clock, so it needs no database or running server.
+ *
+ * Usage: node test-payments.js
+ */
+
+const assert = require('assert');
+const MockProvider = require('./src/services/payments/mockProvider');
+const { statusFor, statusForEvent, allocateRefund } = require('./src/utils/payments');
+
+const results = { total: 0, passed: 0, failed: 0 };
+
+async function test(name, fn) {
+  results.total++;
+
+  try {
+    await fn();
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.failed++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+// A provider on a clock the test moves forward by hand
+function providerAt(start = Date.parse('2026-10-19T10:00:00.000Z'), options = {}) {
+  const clock = { now: start };
+  const provider = new MockProvider({
+    webhookSecret: 'test_secret',
+    settlementSeconds: 60,
+    now: () => clock.now,
+    ...options
+  });
+
+  return { provider, clock };
+}
+
+function charge(id, status, refundable, createdAt) {
+  return { id, status, refundable, created_at: createdAt };
+}
+
+// Charge IDs and amounts of a refund allocation
+const allocated = (allocation) => allocation.parts.map(part => [part.charge.id, part.amount]);
+
+async function main() {
+  console.log('\n💳 Mock payment provider tests\n');
+
+  await test('Payments succeed by default', async () => {
+    const { provider } = providerAt();
+    const intent = await provider.createIntent({ amount: 25, paymentMethod: 'card' });
+
+    assert.strictEqual(intent.status, 'succeeded');
+    assert.strictEqual(intent.failureReason, null);
+  });
+
+  await test('The mock_decline method is declined', async () => {
+    const { provider } = providerAt();
+    const intent = await provider.createIntent({ amount: 25, paymentMethod: 'mock_decline' });
+
+    assert.strictEqual(intent.status, 'failed');
+    assert.ok(intent.failureReason);
+  });
+
+  await test('The default outcome applies to other methods', async () => {
+    const { provider } = providerAt(undefined, { outcome: 'decline' });
+    assert.strictEqual((await provider.createIntent({ amount: 25, paymentMethod: 'card' })).status, 'failed');
+    assert.strictEqual((await provider.createIntent({ amount: 25, paymentMethod: 'mock_success' })).status, 'succeeded');
+  });
+
+  await test('Delayed payments settle after the settlement time', async () => {
+    const { provider, clock } = providerAt();
+    const intent = await provider.createIntent({ amount: 25, paymentMethod: 'mock_delayed' });
+    assert.strictEqual(intent.status, 'processing');
+
+    clock.now += 59 * 1000;
+    assert.strictEqual((await provider.retrieve(intent.id)).status, 'processing');
+
+    clock.now += 1000;
+    assert.strictEqual((await provider.retrieve(intent.id)).status, 'succeeded');
+  });
+
+  await test('Delayed declines fail once settled', async () => {
+    const { provider, clock } = providerAt();
+    const intent = await provider.createIntent({ amount: 25, paymentMethod: 'mock_delayed_decline' });
+    assert.strictEqual(intent.status, 'processing');
+
+    clock.now += 60 * 1000;
+    assert.strictEqual((await provider.retrieve(intent.id)).status, 'failed');
+  });
+
+  await test('Intents settle the same way on a new provider, as after a restart', async () => {
+    const { provider, clock } = providerAt();
+    const intent = await provider.createIntent({ amount: 25, paymentMethod: 'mock_delayed' });
+
+    const restarted = new MockProvider({ settlementSeconds: 60, now: () => clock.now + 60 * 1000 });
+    assert.strictEqual((await restarted.retrieve(intent.id)).status, 'succeeded');
+  });
+
+  await test('Manual capture waits for capture()', async () => {
+    const { provider } = providerAt();
+    const intent = await provider.createIntent({ amount: 25, paymentMethod: 'card', capture: false });
+    assert.strictEqual(intent.status, 'requires_capture');
+
+    assert.strictEqual((await provider.capture(intent.id)).status, 'succeeded');
+    await assert.rejects(provider.capture(intent.id));
+  });
+
+  await test('Only settled payments can be refunded', async () => {
+    const { provider } = providerAt();
+    const paid = await provider.createIntent({ amount: 25, paymentMethod: 'card' });
+    const processing = await provider.createIntent({ amount: 25, paymentMethod: 'mock_delayed' });
+
+    const refund = await provider.refund(paid.id, 10);
+    assert.deepStrictEqual([refund.intentId, refund.amount, refund.status], [paid.id, 10, 'succeeded']);
+    await assert.rejects(provider.refund(processing.id, 10));
+  });
+
+  await test('Signed webhooks are accepted and turned into events', async () => {
+    const { provider } = providerAt();
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { intentId: 'mock_pi_x' } });
+
+    assert.deepStrictEqual(provider.constructEvent(body, provider.signPayload(body)), {
+      id: 'evt_1', type: 'payment.succeeded', intentId: 'mock_pi_x', failureReason: null
+    });
+  });
+
+  await test('Webhooks with a bad, missing or old signature are refused', async () => {
+    const { provider, clock } = providerAt();
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.failed', data: { intentId: 'mock_pi_x' } });
+    const signature = provider.signPayload(body);
+
+    assert.throws(() => provider.constructEvent(body.replace('failed', 'succeeded'), signature), /Invalid/);
+    assert.throws(() => provider.constructEvent(body, undefined), /Missing/);
+    assert.throws(() => new MockProvider({ webhookSecret: 'other', now: () => clock.now }).constructEvent(body, signature), /Invalid/);
+
+    clock.now += 10 * 60 * 1000;
+    assert.throws(() => provider.constructEvent(body, signature), /expired/);
+  });
+
+  console.log('\n💸 Refund allocation tests\n');
+
+  await test('Refunds go back to the newest collected charges first', async () => {
+    const allocation = allocateRefund({ amount: 30, parent_transaction_id: null }, [
+      charge('older', 'completed', '20.00', '2026-10-01T10:00:00Z'),
+      charge('newer', 'completed', '25.00', '2026-10-02T10:00:00Z'),
+      charge('declined', 'failed', '40.00', '2026-10-03T10:00:00Z')
+    ]);
+
+    assert.deepStrictEqual(allocated(allocation), [['newer', 25], ['older', 5]]);
+    assert.strictEqual(allocation.remaining, 0);
+  });
+
+  await test('Refunds wait while a charge they could come from is still being collected', async () => {
+    const charges = [
+      charge('paid', 'completed', '10.00', '2026-10-01T10:00:00Z'),
+      charge('settling', 'pending', '20.00', '2026-10-02T10:00:00Z')
+    ];
+
+    assert.strictEqual(allocateRefund({ amount: 15, parent_transaction_id: null }, charges), null);
+    assert.deepStrictEqual(allocated(allocateRefund({ amount: 10, parent_transaction_id: null }, charges)), [['paid', 10]]);
+  });
+
+  await test('What cannot be paid back once charges are settled is left over', async () => {
+    const allocation = allocateRefund({ amount: 30, parent_transaction_id: null }, [
+      charge('paid', 'completed', '12.50', '2026-10-01T10:00:00Z'),
+      charge('refunded', 'completed', '0.00', '2026-10-02T10:00:00Z'),
+      charge('declined', 'failed', '40.00', '2026-10-03T10:00:00Z')
+    ]);
+
+    assert.deepStrictEqual(allocated(allocation), [['paid', 12.5]]);
+    assert.strictEqual(allocation.remaining, 17.5);
+  });
+
+  await test('A refund for one charge only goes back to that charge', async () => {
+    const allocation = allocateRefund({ amount: 15, parent_transaction_id: 'guest_fee' }, [
+      charge('booking_fee', 'completed', '50.00', '2026-10-02T10:00:00Z'),
+      charge('guest_fee', 'completed', '10.00', '2026-10-01T10:00:00Z')
+    ]);
+
+    assert.deepStrictEqual(allocated(allocation), [['guest_fee', 10]]);
+    assert.strictEqual(allocation.remaining, 5);
+  });
+
+  await test('A refund for a declined charge is not paid from other charges', async () => {
+    const allocation = allocateRefund({ amount: 10, parent_transaction_id: 'guest_fee' }, [
+      charge('booking_fee', 'completed', '50.00', '2026-10-02T10:00:00Z'),
+      charge('settling', 'pending', '20.00', '2026-10-03T10:00:00Z'),
+      charge('guest_fee', 'failed', '10.00', '2026-10-01T10:00:00Z')
+    ]);
+
+    assert.deepStrictEqual(allocated(allocation), []);
+    assert.strictEqual(allocation.remaining, 10);
+  });
+
+  await test('A refund for a charge still being collected waits for it', async () => {
+    const charges = [
+      charge('booking_fee', 'completed', '50.00', '2026-10-02T10:00:00Z'),
+      charge('guest_fee', 'pending', '10.00', '2026-10-01T10:00:00Z')
+    ];
+
+    assert.strictEqual(allocateRefund({ amount: 10, parent_transaction_id: 'guest_fee' }, charges), null);
+  });
+
+  console.log('\n🔔 Webhook event tests\n');
+
+  await test('Webhook events only agree with the provider once it reports the same outcome', async () => {
+    const { provider, clock } = providerAt();
+    const declined = await provider.createIntent({ amount: 25, paymentMethod: 'mock_decline' });
+    const delayed = await provider.createIntent({ amount: 25, paymentMethod: 'mock_delayed' });
+    const succeeded = { type: 'payment.succeeded', intentId: delayed.id };
+
+    assert.notStrictEqual(statusFor(await provider.retrieve(declined.id)), statusForEvent({ type: 'payment.succeeded' }));
+    assert.strictEqual(statusFor(await provider.retrieve(declined.id)), statusForEvent({ type: 'payment.failed' }));
+    assert.notStrictEqual(statusFor(await provider.retrieve(delayed.id)), statusForEvent(succeeded));
+
+    clock.now += 60 * 1000;
+    assert.strictEqual(statusFor(await provider.retrieve(delayed.id)), statusForEvent(succeeded));
+  });
+
+  await test('Other webhook events are not acted on', async () => {
+    assert.strictEqual(statusForEvent({ type: 'payment.refunded' }), null);
+  });
+
+  console.log(`\n📊 ${results.passed}/${results.total} passed`);
+  process.exitCode = results.failed > 0 ? 1 : 0;
+}
+
+main();
\ No newline at end of file
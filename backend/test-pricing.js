@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Booking Pricing Test Script
+ *
+ * Checks how calculatePrice picks pricing rules for a booking: peak and off-peak hours on the
+ * club clock, plan rules before rules for every plan, flat and included prices, and member and
+ * guest rates. Needs no database or running server.
+ *
+ * Usage: node test-pricing.js
+ */
+
+const assert = require('assert');
+
+// Run the server far from the club under test; results must not depend on it
+process.env.TZ = 'Asia/Kolkata';
+process.env.CLUB_TIMEZONE = 'Europe/London';
+
+const { calculatePrice } = require('./src/utils/pricing');
+
+const results = { total: 0, passed: 0, failed: 0 };
+
+function test(name, fn) {
+  results.total++;
+
+  try {
+    fn();
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.failed++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+// Rows as they come from facility_pricing_rules, rates as DECIMAL strings
+function rule(fields) {
+  return {
+    membership_type_id: null,
+    member_rate: '0.00',
+    guest_rate: '0.00',
+    days_of_week: null,
+    starts_at: null,
+    ends_at: null,
+    ...fields
+  };
+}
+
+const offPeak = rule({ id: 'off-peak', name: 'Off-peak', pricing_type: 'hourly', member_rate: '10.00', guest_rate: '15.00' });
+const peak = rule({
+  id: 'peak', name: 'Weekday evenings', pricing_type: 'hourly', member_rate: '20.00', guest_rate: '25.00',
+  days_of_week: [1, 2, 3, 4, 5], starts_at: '17:00:00', ends_at: '21:00:00'
+});
+const premium = rule({ id: 'premium', name: 'Premium', pricing_type: 'included', guest_rate: '5.00', membership_type_id: 'premium-plan' });
+const rules = [offPeak, peak, premium];
+
+const amounts = (price) => price.lines.map(line => [line.name, line.payer, line.minutes, line.amount]);
+
+console.log('\n💷 Booking pricing tests\n');
+
+test('No rules means the booking is free', () => {
+  const price = calculatePrice([], { startTime: '2026-10-19T09:00:00.000Z', endTime: '2026-10-19T10:00:00.000Z' });
+  assert.deepStrictEqual(price, { total: 0, memberAmount: 0, guestAmount: 0, lines: [] });
+});
+
+test('A booking running into peak hours pays each rate for its minutes', () => {
+  // 16:30-18:00 BST on a Monday
+  const price = calculatePrice(rules, {
+    startTime: '2026-10-19T15:30:00.000Z', endTime: '2026-10-19T17:00:00.000Z', guests: 1
+  });
+
+  assert.deepStrictEqual(amounts(price), [
+    ['Off-peak', 'member', 30, 5],
+    ['Off-peak', 'guest', 30, 7.5],
+    ['Weekday evenings', 'member', 60, 20],
+    ['Weekday evenings', 'guest', 60, 25]
+  ]);
+  assert.deepStrictEqual([price.memberAmount, price.guestAmount, price.total], [25, 32.5, 57.5]);
+});
+
+test('Peak hours are on the club clock after the clocks go back', () => {
+  // 17:00 GMT on the Monday after the change is 17:00 UTC, an hour later than the week before
+  const price = calculatePrice(rules, { startTime: '2026-10-26T16:00:00.000Z', endTime: '2026-10-26T18:00:00.000Z' });
+  assert.deepStrictEqual(amounts(price), [['Off-peak', 'member', 60, 10], ['Weekday evenings', 'member', 60, 20]]);
+});
+
+test('Peak hours only apply on their days', () => {
+  // Saturday evening
+  const price = calculatePrice(rules, { startTime: '2026-10-24T17:00:00.000Z', endTime: '2026-10-24T18:00:00.000Z' });
+  assert.deepStrictEqual(amounts(price), [['Off-peak', 'member', 60, 10]]);
+});
+
+test('A plan rule wins over rules for every plan, and guests still pay', () => {
+  const price = calculatePrice(rules, {
+    membershipTypeId: 'premium-plan', startTime: '2026-10-19T16:00:00.000Z', endTime: '2026-10-19T17:30:00.000Z', guests: 2
+  });
+
+  assert.deepStrictEqual(amounts(price), [['Premium', 'member', 90, 0], ['Premium', 'guest', 90, 10]]);
+  assert.strictEqual(price.total, 10);
+});
+
+test('A flat fee is charged once however long the booking', () => {
+  const flat = rule({ id: 'flat', name: 'Court hire', pricing_type: 'flat', member_rate: '12.00' });
+  const price = calculatePrice([flat], { startTime: '2026-10-19T09:00:00.000Z', endTime: '2026-10-19T11:00:00.000Z', guests: 3 });
+
+  assert.deepStrictEqual(amounts(price), [['Court hire', 'member', 120, 12]]);
+});
+
+test('An overnight window covers the early hours', () => {
+  const night = rule({
+    id: 'night', name: 'Late night', pricing_type: 'hourly', member_rate: '6.00', starts_at: '22:00:00', ends_at: '06:00:00'
+  });
+  const price = calculatePrice([offPeak, night], { startTime: '2026-10-20T04:00:00.000Z', endTime: '2026-10-20T06:00:00.000Z' });
+
+  // 05:00-07:00 BST
+  assert.deepStrictEqual(amounts(price), [['Late night', 'member', 60, 6], ['Off-peak', 'member', 60, 10]]);
+});
+
+console.log(`\n📊 ${results.passed}/${results.total} passed`);
+process.exitCode = results.failed > 0 ? 1 : 0;
\ No newline at end of file
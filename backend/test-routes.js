@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Route Order Test Script
+ *
+ * Checks that every route is reached by its own path: a literal path such as /admin/guests
+ * must not be taken by an earlier /:id route. Looks only at the routers' stacks, so it needs
+ * no database or running server.
+ *
+ * Usage: node test-routes.js
+ */
+
+const assert = require('assert');
+
+const routers = {
+  access: require('./src/routes/access'),
+  auth: require('./src/routes/auth'),
+  bookings: require('./src/routes/bookings'),
+  checkIns: require('./src/routes/checkIns'),
+  facilities: require('./src/routes/facilities'),
+  memberships: require('./src/routes/memberships'),
+  payments: require('./src/routes/payments')
+};
+
+const results = { total: 0, passed: 0, failed: 0 };
+
+function test(name, fn) {
+  results.total++;
+
+  try {
+    fn();
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.failed++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+// The first route in a router that handles a request, as express would pick it
+function routeFor(router, method, path) {
+  const layer = router.stack.find(layer => layer.route && layer.route.methods[method] && layer.match(path));
+  return layer ? layer.route : null;
+}
+
+// Every route with a sample value in place of each parameter
+function samplePaths(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      route: layer.route,
+      method,
+      path: layer.route.path.replace(/:\w+/g, '3f1b2c4d-0000-4000-8000-000000000000')
+    })));
+}
+
+function main() {
+  console.log('\n🧭 Route order tests\n');
+
+  for (const [name, router] of Object.entries(routers)) {
+    test(`Every ${name} route is reached by its own path`, () => {
+      for (const { route, method, path } of samplePaths(router)) {
+        const reached = routeFor(router, method, path);
+        assert.strictEqual(reached && reached.path, route.path, `${method.toUpperCase()} ${route.path} goes to ${reached && reached.path}`);
+      }
+    });
+  }
+
+  test('GET /api/bookings/admin/guests lists expected guests', () => {
+    const route = routeFor(routers.bookings, 'get', '/admin/guests');
+    assert.strictEqual(route.path, '/admin/guests');
+    assert.strictEqual(route.stack[route.stack.length - 1].name, 'getExpectedGuests');
+  });
+
+  console.log(`\n📊 ${results.passed}/${results.total} passed`);
+  process.exitCode = results.failed > 0 ? 1 : 0;
+}
+
+main();
\ No newline at end of file
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { bookingsAPI, facilitiesAPI } from '../services/api';
 import { toast } from 'react-toastify';
 import moment from 'moment';
+import { confirmCancellation } from '../utils/cancellation';
+import { formatClubTime } from '../utils/clubTime';
 
 const Bookings = () => {
   const [bookings, setBookings] = useState([]);
@@ -11,12 +13,36 @@ const Bookings = () => {
   const [selectedFacility, setSelectedFacility] = useState('');
   const [selectedDate, setSelectedDate] = useState(moment().format('YYYY-MM-DD'));
   const [selectedStartTime, setSelectedStartTime] = useState('');
+  const [selectedEndTime, setSelectedEndTime] = useState('');
   const [notes, setNotes] = useState('');
+  const [availableSlots, setAvailableSlots] = useState([]);
+  const [closure, setClosure] = useState(null);
+  const [clubTimezone, setClubTimezone] = useState(undefined);
+  const [quote, setQuote] = useState(null);
 
   useEffect(() => {
     loadData();
   }, []);
 
+  useEffect(() => {
+    if (!showCreateModal || !selectedFacility || !selectedDate) {
+      setAvailableSlots([]);
+      setClosure(null);
+      return;
+    }
+
+    loadAvailableSlots(selectedFacility, selectedDate);
+  }, [showCreateModal, selectedFacility, selectedDate]);
+
+  useEffect(() => {
+    if (!selectedFacility || !selectedStartTime || !selectedEndTime) {
+      setQuote(null);
+      return;
+    }
+
+    loadQuote(selectedFacility, selectedStartTime, selectedEndTime);
+  }, [selectedFacility, selectedStartTime, selectedEndTime]);
+
   const loadData = async () => {
     try {
       const [bookingsResponse, facilitiesResponse] = await Promise.all([
@@ -34,21 +60,54 @@ const Bookings = () => {
     }
   };
 
+  // Slots follow the facility's hours for the day, including seasonal hours and closed days
+  const loadAvailableSlots = async (facilityId, date) => {
+    try {
+      const response = await facilitiesAPI.getAvailableSlots(facilityId, date);
+      setAvailableSlots(response.data.availableSlots || []);
+      setClosure(response.data.closure);
+      setClubTimezone(response.data.facility?.timezone);
+      setSelectedStartTime('');
+      setSelectedEndTime('');
+    } catch (error) {
+      setAvailableSlots([]);
+      setClosure(null);
+      console.error('Error loading available slots:', error);
+    }
+  };
+
+  // The price shown before booking; the booking is charged the same price when it is made
+  const loadQuote = async (facilityId, startTime, endTime) => {
+    try {
+      const response = await bookingsAPI.getQuote({ facilityId, startTime, endTime });
+      setQuote(response.data.quote);
+    } catch (error) {
+      setQuote(null);
+      console.error('Error loading price:', error);
+    }
+  };
+
+  // End times a booking from the chosen start can have, up to the facility's longest booking
+  const selectedSlot = availableSlots.find(slot => slot.startTime === selectedStartTime);
+  const endTimes = selectedSlot?.endTimes || [];
+
+  const handleStartTimeChange = (startTime) => {
+    const slot = availableSlots.find(s => s.startTime === startTime);
+    setSelectedStartTime(startTime);
+    setSelectedEndTime(slot?.endTimes?.[0] || '');
+  };
+
   const handleCreateBooking = async () => {
-    if (!selectedFacility || !selectedDate || !selectedStartTime) {
+    if (!selectedFacility || !selectedDate || !selectedStartTime || !selectedEndTime) {
       toast.error('Please fill in all required fields');
       return;
     }
 
     try {
-      const endTime = moment(selectedDate + ' ' + selectedStartTime)
-        .add(60, 'minutes')
-        .toISOString();
-
       const bookingData = {
         facilityId: selectedFacility,
-        startTime: moment(selectedDate + ' ' + selectedStartTime).toISOString(),
-        endTime: endTime,
+        startTime: selectedStartTime,
+        endTime: selectedEndTime,
         notes: notes || undefined
       };
 
@@ -59,6 +118,7 @@ const Bookings = () => {
         setShowCreateModal(false);
         setSelectedFacility('');
         setSelectedStartTime('');
+        setSelectedEndTime('');
         setNotes('');
         loadData();
       }
@@ -69,16 +129,17 @@ const Bookings = () => {
   };
 
   const handleCancelBooking = async (bookingId) => {
-    if (!window.confirm('Are you sure you want to cancel this booking?')) {
-      return;
-    }
-
     try {
-      await bookingsAPI.cancel(bookingId);
+      const params = await confirmCancellation(bookingId);
+      if (!params) {
+        return;
+      }
+
+      await bookingsAPI.cancel(bookingId, params);
       toast.success('Booking cancelled successfully');
       loadData();
     } catch (error) {
-      toast.error('Failed to cancel booking');
+      toast.error(error.response?.data?.error || 'Failed to cancel booking');
       console.error('Error cancelling booking:', error);
     }
   };
@@ -105,15 +166,6 @@ const Bookings = () => {
     return icons[type] || '🏢';
   };
 
-  const generateTimeSlots = () => {
-    const slots = [];
-    for (let hour = 6; hour <= 22; hour++) {
-      const time = `${hour.toString().padStart(2, '0')}:00`;
-      slots.push(time);
-    }
-    return slots;
-  };
-
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -276,14 +328,50 @@ const Bookings = () => {
                 </label>
                 <select
                   value={selectedStartTime}
-                  onChange={(e) => setSelectedStartTime(e.target.value)}
+                  onChange={(e) => handleStartTimeChange(e.target.value)}
                   className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="">Select start time</option>
-                  {generateTimeSlots().map((time) => (
-                    <option key={time} value={time}>{time}</option>
+                  {availableSlots
+                    .filter(slot => slot.remainingSpots > 0 && slot.endTimes.length > 0)
+                    .map((slot) => (
+                      <option key={slot.startTime} value={slot.startTime}>
+                        {formatClubTime(slot.startTime, clubTimezone)}
+                      </option>
+                    ))}
+                </select>
+                {closure && (
+                  <p className="text-sm text-red-700 mt-1">
+                    {closure.type === 'blackout'
+                      ? `The club is closed: ${closure.name}`
+                      : 'This facility is closed on this day.'}
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  End Time *
+                </label>
+                <select
+                  value={selectedEndTime}
+                  onChange={(e) => setSelectedEndTime(e.target.value)}
+                  disabled={endTimes.length === 0}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Select end time</option>
+                  {endTimes.map((endTime) => (
+                    <option key={endTime} value={endTime}>
+                      {formatClubTime(endTime, clubTimezone)} ({moment(endTime).diff(moment(selectedStartTime), 'minutes')} minutes)
+                    </option>
                   ))}
                 </select>
+                {quote && (
+                  <p className="text-sm text-gray-600 mt-1">
+                    Price: ${quote.total.toFixed(2)}
+                    {quote.lines.length > 0 && ` (${[...new Set(quote.lines.map(line => line.name))].join(', ')})`}
+                  </p>
+                )}
               </div>
 
               <div>
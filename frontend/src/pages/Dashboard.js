@@ -4,6 +4,7 @@ import { useAuth } from '../contexts/AuthContext';
 import { bookingsAPI, facilitiesAPI } from '../services/api';
 import { toast } from 'react-toastify';
 import moment from 'moment';
+import { confirmCancellation } from '../utils/cancellation';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -65,7 +66,12 @@ const Dashboard = () => {
 
   const handleCancelBooking = async (bookingId) => {
     try {
-      await bookingsAPI.cancel(bookingId);
+      const params = await confirmCancellation(bookingId);
+      if (!params) {
+        return;
+      }
+
+      await bookingsAPI.cancel(bookingId, params);
       toast.success('Booking cancelled successfully');
       fetchDashboardData();
     } catch (error) {
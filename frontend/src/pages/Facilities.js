@@ -2,6 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { facilitiesAPI } from '../services/api';
 import { toast } from 'react-toastify';
 import moment from 'moment';
+import { formatClubTime } from '../utils/clubTime';
+
+const hourMinute = { hour: 'numeric', minute: '2-digit' };
+
+// Facilities booked for a variable length show the range, the rest their fixed length
+const bookingLength = (facility) => {
+  const min = facility.min_booking_minutes || facility.booking_duration_minutes || 60;
+  const max = facility.max_booking_minutes || min;
+  return max > min ? `${min}-${max} minutes` : `${min} minutes`;
+};
 
 const Facilities = () => {
   const [facilities, setFacilities] = useState([]);
@@ -32,7 +42,9 @@ const Facilities = () => {
       const response = await facilitiesAPI.getAvailability(facilityId, selectedDate);
       setSelectedFacility({
         ...facilities.find(f => f.id === facilityId),
-        availability: response.data.availableSlots || []
+        availability: response.data.availableSlots || [],
+        closure: response.data.closure,
+        timezone: response.data.facility?.timezone
       });
       setShowAvailability(true);
     } catch (error) {
@@ -108,7 +120,7 @@ const Facilities = () => {
                 </div>
                 <div className="flex items-center">
                   <span className="font-medium mr-2">Duration:</span>
-                  <span>{facility.booking_duration_minutes || 60} minutes</span>
+                  <span>{bookingLength(facility)}</span>
                 </div>
               </div>
 
@@ -162,23 +174,37 @@ const Facilities = () => {
               Date: {moment(selectedDate).format('MMMM D, YYYY')}
             </div>
 
-            {selectedFacility.availability && selectedFacility.availability.length > 0 ? (
+            {selectedFacility.closure ? (
+              <p className="text-red-700">
+                {selectedFacility.closure.type === 'blackout'
+                  ? `Closed: ${selectedFacility.closure.name}`
+                  : 'Closed on this day.'}
+              </p>
+            ) : selectedFacility.availability && selectedFacility.availability.length > 0 ? (
               <div className="space-y-2">
                 {selectedFacility.availability.map((slot, index) => (
                   <div key={index} className="flex items-center justify-between p-3 border rounded-lg">
                     <div>
                       <span className="font-medium">
-                        {moment(slot.startTime).format('h:mm A')} - {moment(slot.endTime).format('h:mm A')}
+                        {formatClubTime(slot.startTime, selectedFacility.timezone, hourMinute)}
+                        {' - '}
+                        {formatClubTime(slot.endTime, selectedFacility.timezone, hourMinute)}
                       </span>
                       <span className={`ml-2 px-2 py-1 rounded text-xs ${
-                        slot.available
+                        slot.closed
+                          ? 'bg-gray-100 text-gray-800'
+                          : slot.remainingSpots > 0
                           ? 'bg-green-100 text-green-800'
                           : 'bg-red-100 text-red-800'
                       }`}>
-                        {slot.available ? 'Available' : 'Booked'}
+                        {slot.closed
+                          ? 'Maintenance'
+                          : slot.remainingSpots === 0
+                          ? (slot.capacity > 1 ? 'Full' : 'Booked')
+                          : (slot.capacity > 1 ? `${slot.remainingSpots} of ${slot.capacity} spots left` : 'Available')}
                       </span>
                     </div>
-                    {slot.available && (
+                    {slot.remainingSpots > 0 && (
                       <button className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700">
                         Book
                       </button>
@@ -88,20 +88,105 @@ export const facilitiesAPI = {
   delete: (id) => api.delete(`/facilities/${id}`),
   updateStatus: (id, status) => api.put(`/facilities/${id}/status`, { status }),
   getUtilization: (params) => api.get('/facilities/admin/utilization', { params }),
+  getSchedule: (id) => api.get(`/facilities/${id}/schedule`),
+  setWeeklyHours: (id, days) => api.put(`/facilities/${id}/schedule/weekly`, { days }),
+  createSeason: (id, seasonData) => api.post(`/facilities/${id}/seasons`, seasonData),
+  deleteSeason: (id, seasonId) => api.delete(`/facilities/${id}/seasons/${seasonId}`),
+  getPricing: (id) => api.get(`/facilities/${id}/pricing`),
+  createPricingRule: (id, ruleData) => api.post(`/facilities/${id}/pricing`, ruleData),
+  deletePricingRule: (id, ruleId) => api.delete(`/facilities/${id}/pricing/${ruleId}`),
+  getMaintenance: (id) => api.get(`/facilities/${id}/maintenance`),
+  scheduleMaintenance: (id, windowData) => api.post(`/facilities/${id}/maintenance`, windowData),
+  getMaintenanceConflicts: (id, windowId) => api.get(`/facilities/${id}/maintenance/${windowId}/conflicts`),
+  resolveMaintenanceConflicts: (id, windowId, action) => api.post(`/facilities/${id}/maintenance/${windowId}/resolve`, { action }),
+  cancelMaintenance: (id, windowId) => api.delete(`/facilities/${id}/maintenance/${windowId}`),
+  getBlackouts: (params) => api.get('/facilities/blackouts', { params }),
+  createBlackout: (blackoutData) => api.post('/facilities/blackouts', blackoutData),
+  getBlackoutConflicts: (blackoutId) => api.get(`/facilities/blackouts/${blackoutId}/conflicts`),
+  deleteBlackout: (blackoutId) => api.delete(`/facilities/blackouts/${blackoutId}`),
 };
 
 // Bookings API
 export const bookingsAPI = {
   create: (bookingData) => api.post('/bookings', bookingData),
+  getQuote: (slotData) => api.post('/bookings/quote', slotData),
   getAll: (params) => api.get('/bookings', { params }),
   getById: (id) => api.get(`/bookings/${id}`),
-  cancel: (id) => api.delete(`/bookings/${id}`),
+  update: (id, changes) => api.put(`/bookings/${id}`, changes),
+  getHistory: (id) => api.get(`/bookings/${id}/history`),
+  cancel: (id, params) => api.delete(`/bookings/${id}`, { params }),
+  getCancellationQuote: (id) => api.get(`/bookings/${id}/cancellation`),
+  createSeries: (seriesData) => api.post('/bookings/series', seriesData),
+  previewSeries: (seriesData) => api.post('/bookings/series/preview', seriesData),
+  getSeries: (seriesId) => api.get(`/bookings/series/${seriesId}`),
+  joinWaitlist: (slotData) => api.post('/bookings/waitlist', slotData),
+  getWaitlist: () => api.get('/bookings/waitlist'),
+  claimWaitlistOffer: (entryId) => api.post(`/bookings/waitlist/${entryId}/claim`),
+  leaveWaitlist: (entryId) => api.delete(`/bookings/waitlist/${entryId}`),
+  getGuests: (id) => api.get(`/bookings/${id}/guests`),
+  addGuests: (id, guests) => api.post(`/bookings/${id}/guests`, { guests }),
+  removeGuest: (id, guestId) => api.delete(`/bookings/${id}/guests/${guestId}`),
+  getGuestPassUsage: () => api.get('/bookings/guest-passes'),
   getFacilityAvailability: (facilityId, date) =>
     api.get(`/bookings/facilities/${facilityId}/availability`, { params: { date } }),
   // Admin routes
   getAllBookings: (params) => api.get('/bookings/admin/all', { params }),
   updateStatus: (id, statusData) => api.put(`/bookings/${id}/status`, statusData),
   getStats: (params) => api.get('/bookings/admin/stats', { params }),
+  getExpectedGuests: (date) => api.get('/bookings/admin/guests', { params: { date } }),
+};
+
+// Memberships API
+export const membershipsAPI = {
+  getTypes: () => api.get('/memberships/types'),
+  apply: (applicationData) => api.post('/memberships', applicationData),
+  getMine: () => api.get('/memberships'),
+  getById: (id) => api.get(`/memberships/${id}`),
+  cancel: (id) => api.delete(`/memberships/${id}`),
+  freeze: (id, freezeData) => api.post(`/memberships/${id}/freezes`, freezeData),
+  getFreezes: (id) => api.get(`/memberships/${id}/freezes`),
+  cancelFreeze: (id, freezeId) => api.delete(`/memberships/${id}/freezes/${freezeId}`),
+  getDependants: (id) => api.get(`/memberships/${id}/dependants`),
+  addDependant: (id, dependantData) => api.post(`/memberships/${id}/dependants`, dependantData),
+  removeDependant: (id, userId) => api.delete(`/memberships/${id}/dependants/${userId}`),
+  quotePlanChange: (id, membershipTypeId) =>
+    api.get(`/memberships/${id}/plan-change`, { params: { membershipTypeId } }),
+  changePlan: (id, membershipTypeId) => api.post(`/memberships/${id}/plan-change`, { membershipTypeId }),
+  cancelPlanChange: (id) => api.delete(`/memberships/${id}/plan-change`),
+  // Admin routes
+  getAllMemberships: (params) => api.get('/memberships/admin/all', { params }),
+  getPending: () => api.get('/memberships/admin/pending'),
+  approve: (id) => api.put(`/memberships/${id}/approve`),
+  reject: (id, reason) => api.put(`/memberships/${id}/reject`, { reason }),
+  getAllTypes: () => api.get('/memberships/admin/types'),
+  createType: (typeData) => api.post('/memberships/types', typeData),
+  updateType: (id, typeData) => api.put(`/memberships/types/${id}`, typeData),
+  updateTypeStatus: (id, isActive) => api.put(`/memberships/types/${id}/status`, { isActive }),
+  getTypePriceHistory: (id) => api.get(`/memberships/types/${id}/price-history`),
+};
+
+// Front desk check-in API
+export const checkInsAPI = {
+  checkIn: (checkInData) => api.post('/check-ins', checkInData),
+  checkOut: (id) => api.post(`/check-ins/${id}/check-out`),
+  getOnSite: (params) => api.get('/check-ins/on-site', { params }),
+};
+
+// Access control API
+export const accessAPI = {
+  registerCredential: (credentialData) => api.post('/access/credentials', credentialData),
+  getCredentials: (params) => api.get('/access/credentials', { params }),
+  revokeCredential: (id) => api.delete(`/access/credentials/${id}`),
+  getDevices: () => api.get('/access/devices'),
+  createDevice: (deviceData) => api.post('/access/devices', deviceData),
+  updateDeviceStatus: (id, status) => api.put(`/access/devices/${id}/status`, { status }),
+  getEvents: (params) => api.get('/access/events', { params }),
+};
+
+// Payments API
+export const paymentsAPI = {
+  getTransactions: (params) => api.get('/payments/transactions', { params }),
+  retryPayment: (id, paymentMethod) => api.post(`/payments/transactions/${id}/retry`, { paymentMethod }),
 };
 
 // Health check API
@@ -0,0 +1,29 @@
+import { bookingsAPI } from '../services/api';
+
+const formatAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+// Shows the member what cancelling will cost before they confirm. Resolves to the params to
+// cancel with, or null when they back out.
+export const confirmCancellation = async (bookingId) => {
+  const { data } = await bookingsAPI.getCancellationQuote(bookingId);
+  const { quote } = data;
+
+  const lines = ['Are you sure you want to cancel this booking?'];
+  if (quote.isLate && quote.penalty > 0) {
+    lines.push('', 'This is a late cancellation.');
+    if (quote.fee > 0) {
+      lines.push(`A late cancellation fee of ${formatAmount(quote.fee)} will be charged.`);
+    }
+    if (quote.chargedAmount > 0) {
+      lines.push(`${formatAmount(quote.refund)} of the ${formatAmount(quote.chargedAmount)} you paid will be refunded.`);
+    }
+  } else if (quote.refund > 0) {
+    lines.push('', `${formatAmount(quote.refund)} will be refunded.`);
+  }
+
+  if (!window.confirm(lines.join('\n'))) {
+    return null;
+  }
+
+  return { acceptFee: quote.penalty > 0 };
+};
\ No newline at end of file
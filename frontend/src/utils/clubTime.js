@@ -0,0 +1,3 @@
+// Formats an instant as a time on the club's clock, whatever time zone the browser is in
+export const formatClubTime = (value, timeZone, options = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }) =>
+  new Intl.DateTimeFormat(undefined, { ...options, timeZone }).format(new Date(value));
\ No newline at end of file